@@ -1,267 +1,889 @@
-const { TelegramClient, Api } = require("telegram");
+const { TelegramClient } = require("telegram");
 const { StringSession } = require("telegram/sessions");
-const { TwitterApi } = require("twitter-api-v2");
-const OpenAI = require("openai");
+const { NewMessage, Raw } = require("telegram/events");
+const { EditedMessage } = require("telegram/events/EditedMessage");
+const { DeletedMessage } = require("telegram/events/DeletedMessage");
+const { UpdateConnectionState } = require("telegram/network");
 const dotenv = require("dotenv");
 const fs = require("fs-extra");
 const path = require("path");
-const input = require("input");
+const { parseSources, SourceSelector } = require("./src/sources");
+const { createPublishers } = require("./src/publishers");
+const { Router, parseRoutes } = require("./src/routing");
+const {
+  TelegramAuthError,
+  readSession,
+  describeUser,
+} = require("./src/telegramAuth");
+const { weightedLength } = require("./src/publishers/x");
+const {
+  getMediaKind,
+  describeMedia,
+  collectAlbum,
+  selectPostableMedia,
+  summarizeMedia,
+} = require("./src/media");
+const { VideoPreparer } = require("./src/transcode");
+const {
+  describeFailure,
+  failureCategory,
+  isTransientFailure,
+  isAuthFailure,
+  getRetryAfter,
+  computeNextAttempt,
+} = require("./src/failures");
+const { RetryQueue } = require("./src/retryQueue");
+const { StateStore } = require("./src/store");
+const { importLegacyState } = require("./src/legacyImport");
+const { Schedule } = require("./src/schedule");
+const { ReviewChat } = require("./src/review");
+const { Deduplicator } = require("./src/dedup");
+const { createCaptionModel } = require("./src/llm");
+const { CaptionRules } = require("./src/captionRules");
+const { EligibilityFilters } = require("./src/filters");
+const { SelectionStrategy } = require("./src/strategies");
+const { LiveQueue } = require("./src/liveQueue");
+const { createNotifications } = require("./src/notifiers");
+const { EngagementCollector } = require("./src/engagement");
+const { log, createCorrelationId } = require("./src/logger");
+const { metrics } = require("./src/metrics");
+const { startStatusServer } = require("./src/statusServer");
+const { loadConfig } = require("./src/config");
+
+// Duplicates only show up after download; look at this many before giving up on a run
+const MAX_DUPLICATES_PER_RUN = 10;
 
 // Load environment variables
 dotenv.config();
 
 class TelegramToXPoster {
-  constructor() {
+  // `config` is what loadConfig() returns: settings keyed by environment
+  // variable name, and the config file and profile they came from. With
+  // `dryRun` nothing is posted and the state on disk is never written: the
+  // store is an in-memory copy of it.
+  constructor(config = loadConfig(), { dryRun = false } = {}) {
+    const env = config.settings;
+    this.settings = env;
+    this.configFile = config.file;
+    this.profile = config.profile;
+
+    log.configure({
+      level: env.LOG_LEVEL,
+      format: env.LOG_FORMAT,
+    });
+
     // Telegram configuration
-    this.apiId = parseInt(process.env.TELEGRAM_API_ID);
-    this.apiHash = process.env.TELEGRAM_API_HASH;
-    this.groupName = process.env.TELEGRAM_GROUP;
-
-    // Twitter configuration
-    this.twitterClient = new TwitterApi({
-      appKey: process.env.TWITTER_API_KEY,
-      appSecret: process.env.TWITTER_API_SECRET,
-      accessToken: process.env.TWITTER_ACCESS_TOKEN,
-      accessSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET,
+    this.apiId = parseInt(env.TELEGRAM_API_ID);
+    this.apiHash = env.TELEGRAM_API_HASH;
+
+    // Destinations every video is cross-posted to (X, Bluesky, Mastodon)
+    this.publishers = createPublishers(env.PUBLISHERS, env);
+
+    // Which destinations each item goes to, by source, hashtag or keyword
+    this.router = new Router(
+      parseRoutes(env.ROUTES),
+      this.publishers.map((publisher) => publisher.name)
+    );
+
+    // Models for picking a caption from nearby messages and rewriting it
+    // (OpenAI, an OpenAI-compatible local server, or none)
+    this.selectionModel = createCaptionModel("select", env);
+    this.rewriteModel = createCaptionModel("rewrite", env);
+
+    // Configuration
+    this.downloadDir = env.DOWNLOAD_DIR || "./downloads";
+    this.maxVideoSizeMB = parseInt(env.MAX_VIDEO_SIZE_MB) || 50;
+    this.maxDownloadSizeMB = parseInt(env.MAX_DOWNLOAD_SIZE_MB) || 512;
+
+    // ffmpeg stage that fixes videos X would reject (codec, resolution, length, size)
+    this.transcodeEnabled = env.VIDEO_TRANSCODE !== "false";
+    this.videoPreparer = new VideoPreparer({
+      ffmpegPath: env.FFMPEG_PATH || "ffmpeg",
+      ffprobePath: env.FFPROBE_PATH || "ffprobe",
+      maxDurationSeconds: parseInt(env.VIDEO_MAX_DURATION_SECONDS) || 140,
+      maxWidth: parseInt(env.VIDEO_MAX_WIDTH) || 1280,
+      maxHeight: parseInt(env.VIDEO_MAX_HEIGHT) || 1024,
+      maxFrameRate: parseInt(env.VIDEO_MAX_FPS) || 40,
+      targetSizeMB: this.maxVideoSizeMB,
     });
+    // The session string itself, or the file holding it
+    this.telegramSession = env.TELEGRAM_SESSION || "";
+    this.sessionFile = env.TELEGRAM_SESSION_FILE || "./telegram_session.txt";
+    this.stateDir = env.STATE_DIR || "./state";
+
+    // Processed items, failures, cursors, retries and post history live in one SQLite file
+    this.store = new StateStore(
+      env.STATE_DB || path.join(this.stateDir, "poster.db"),
+      { snapshot: dryRun }
+    );
+
+    // Telegram sources, each with its own cursor and processed/failed history
+    this.sources = parseSources(env.TELEGRAM_GROUPS, env.TELEGRAM_GROUP);
+    if (this.sources.length === 0) {
+      throw new Error("No Telegram source configured (set TELEGRAM_GROUPS)");
+    }
+    this.sourceSelector = new SourceSelector(
+      this.sources,
+      env.SOURCE_POLICY || "round-robin",
+      this.store
+    );
 
-    // OpenAI configuration
-    this.openaiClient = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
+    // Move state from the JSON files used by earlier versions (runs once)
+    if (!dryRun) {
+      importLegacyState(this.store, this.sources, this.stateDir);
+    }
+
+    // Transient failures (rate limits, 5xx, network) are retried with backoff
+    this.retryQueue = new RetryQueue(this.store);
+    this.retryMaxAttempts = parseInt(env.RETRY_MAX_ATTEMPTS) || 5;
+    this.retryBaseDelayMs =
+      (parseFloat(env.RETRY_BASE_DELAY_MINUTES) || 15) * 60 * 1000;
+    this.retryMaxDelayMs =
+      (parseFloat(env.RETRY_MAX_DELAY_HOURS) || 24) * 60 * 60 * 1000;
+
+    // Rules a message has to pass to be posted at all, checked while scanning
+    this.filters = new EligibilityFilters({
+      minDuration: env.FILTER_MIN_DURATION_SECONDS,
+      maxDuration: env.FILTER_MAX_DURATION_SECONDS,
+      minResolution: env.FILTER_MIN_RESOLUTION,
+      maxResolution: env.FILTER_MAX_RESOLUTION,
+      minSizeMB: env.FILTER_MIN_SIZE_MB,
+      maxSizeMB: env.FILTER_MAX_SIZE_MB,
+      after: env.FILTER_AFTER,
+      before: env.FILTER_BEFORE,
+      allowSenders: env.FILTER_SENDERS_ALLOW,
+      denySenders: env.FILTER_SENDERS_DENY,
+      captionInclude: env.FILTER_CAPTION_INCLUDE,
+      captionExclude: env.FILTER_CAPTION_EXCLUDE,
+      forwards: env.FILTER_FORWARDS,
+      minViews: env.FILTER_MIN_VIEWS,
+      minReactions: env.FILTER_MIN_REACTIONS,
     });
 
-    // Configuration
-    this.downloadDir = process.env.DOWNLOAD_DIR || "./downloads";
-    this.maxVideoSizeMB = parseInt(process.env.MAX_VIDEO_SIZE_MB) || 50;
-    this.sessionFile = "./telegram_session.txt";
-    this.processedVideosFile = "./processed_videos.json";
-    this.offsetFile = "./video_offset.json";
-    this.failedVideosFile = "./failed_videos.json";
+    // Skip media that was already posted, even when forwarded or re-uploaded
+    this.deduplicator = new Deduplicator(this.store, {
+      enabled: env.DEDUP !== "false",
+      perceptual: env.DEDUP_PERCEPTUAL === "true",
+      threshold: parseFloat(env.DEDUP_SIMILARITY) || 0.9,
+      frames: parseInt(env.DEDUP_FRAMES) || 4,
+      ffmpegPath: env.FFMPEG_PATH || "ffmpeg",
+    });
+
+    // Messages examined per source and run when looking for the next item
+    this.scanBudget = parseInt(env.SCAN_BUDGET) || 1000;
+
+    // Which candidate to post: oldest from the cursor, or the best of the
+    // recent ones by date, engagement, chance or a weighted score
+    this.selectionStrategy = new SelectionStrategy({
+      name: env.SELECTION_STRATEGY,
+      weights: env.SELECTION_WEIGHTS,
+    });
+    this.selectionWindowDays = parseFloat(env.SELECTION_WINDOW_DAYS) || 0;
+
+    // Nothing is posted and no state is written (preview() also sets it)
+    this.dryRun = dryRun;
+
+    // When daemon mode posts (cron expression or "N per day"), in SCHEDULE_TIMEZONE
+    this.schedule = new Schedule({
+      schedule: env.SCHEDULE || "1 per day",
+      timeZone: env.SCHEDULE_TIMEZONE || undefined,
+      windows: env.POSTING_WINDOWS,
+      quietDays: env.QUIET_DAYS,
+      jitterMinutes: parseFloat(env.SCHEDULE_JITTER_MINUTES) || 0,
+    });
+    this.shutdownTimeoutMs =
+      (parseFloat(env.SHUTDOWN_TIMEOUT_SECONDS) || 120) * 1000;
+    this.stopping = false;
+
+    // Templates, hashtags and scrubbing applied after the rewrite
+    this.captionRules = new CaptionRules({
+      prefix: env.CAPTION_PREFIX,
+      suffix: env.CAPTION_SUFFIX,
+      credit: env.CAPTION_CREDIT,
+      hashtags: env.CAPTION_HASHTAGS,
+      hashtagMap: env.CAPTION_HASHTAG_MAP,
+      stripHashtags: env.CAPTION_STRIP_HASHTAGS === "true",
+      bannedWords: env.CAPTION_BANNED_WORDS,
+      scrubPattern: env.CAPTION_SCRUB_REGEX,
+      stripHandles: env.CAPTION_STRIP_HANDLES === "true",
+      stripLinks: env.CAPTION_STRIP_LINKS === "true",
+      timeZone: this.schedule.timeZone,
+    });
+
+    // Optional human review in a Telegram chat before anything is posted
+    this.reviewChat = env.REVIEW_CHAT
+      ? new ReviewChat(this.store, {
+          chat: env.REVIEW_CHAT,
+          expiryMs:
+            (parseFloat(env.REVIEW_EXPIRY_HOURS) || 24) * 60 * 60 * 1000,
+          reviewers: (env.REVIEWERS || "")
+            .split(",")
+            .map((reviewer) => reviewer.trim())
+            .filter(Boolean),
+          regenerate: (review) => this.regenerateCaption(review),
+          onClosed: (review) => this.recordClosedReview(review),
+        })
+      : null;
+    this.reviewPollMs = (parseFloat(env.REVIEW_POLL_MINUTES) || 2) * 60 * 1000;
+
+    // Engagement snapshots of past posts, taken by the daemon every
+    // ENGAGEMENT_CHECK_MINUTES (or by `collect-engagement` from cron)
+    this.engagement = new EngagementCollector({
+      store: this.store,
+      publishers: this.publishers,
+      checkpoints: env.ENGAGEMENT_CHECKPOINTS,
+    });
+    this.engagementCheckMs =
+      (parseFloat(env.ENGAGEMENT_CHECK_MINUTES) || 30) * 60 * 1000;
+    this.nextEngagementCheck = 0;
+
+    // Listen mode: new media is queued as it arrives and posted right away
+    // ("immediate") or in the next scheduled slot ("scheduled")
+    this.liveQueue = new LiveQueue(this.store);
+    this.livePosting = (env.LIVE_POSTING || "immediate").trim().toLowerCase();
+    if (!["immediate", "scheduled"].includes(this.livePosting)) {
+      throw new Error(
+        `Invalid LIVE_POSTING "${env.LIVE_POSTING}" (expected immediate or scheduled)`
+      );
+    }
+    this.liveCheckMs = (parseFloat(env.LIVE_CHECK_MINUTES) || 5) * 60 * 1000;
+    this.listening = false;
+    // Set when a queued item should go out before the next scheduled slot
+    this.postNow = false;
+
+    // Optional HTTP server with /metrics and /healthz (daemon and listen mode)
+    this.statusPort = parseInt(env.STATUS_PORT) || null;
+    this.statusHost = env.STATUS_HOST || "0.0.0.0";
+    this.addStoreMetrics();
+
+    // Webhook, Telegram and email notifications about posts and problems
+    this.notifications = createNotifications(env, {
+      store: this.store,
+      getTelegramClient: () => this.telegramClient,
+    });
+    this.notifyRetryThreshold = parseInt(env.NOTIFY_RETRY_THRESHOLD) || 3;
 
     // Initialize Telegram client
     this.telegramClient = null;
-    this.processedVideos = this.loadProcessedVideos();
-    this.failedVideos = this.loadFailedVideos();
-    this.currentOffset = this.loadOffset();
+    for (const source of this.sources) {
+      source.currentOffset = this.store.getCursor(source.name);
+      log.info(
+        `📍 Loaded cursor for ${source.name}: message ID ${source.currentOffset} (${this.store.countProcessed(
+          source.name
+        )} processed)`
+      );
+    }
+  }
+
+  // Gauges read from the state store whenever /metrics is scraped
+  addStoreMetrics() {
+    metrics.registry.gauge(
+      "queue_depth",
+      "Items waiting in the retry queue, the live queue and for a reviewer",
+      () => [
+        { labels: { queue: "retry" }, value: this.store.listRetries().length },
+        { labels: { queue: "live" }, value: this.liveQueue.list().length },
+        {
+          labels: { queue: "review" },
+          value: this.store.listReviews("pending").length,
+        },
+      ]
+    );
+    metrics.registry.gauge(
+      "last_post_timestamp_seconds",
+      "When the last post went out (Unix time)",
+      () => {
+        const post = this.store.lastPost();
+        return post ? Date.parse(post.posted_at) / 1000 : null;
+      }
+    );
+    metrics.registry.gauge(
+      "telegram_connected",
+      "1 while the Telegram client is connected",
+      () => (this.telegramClient && this.telegramClient.connected ? 1 : 0)
+    );
+  }
+
+  // For /healthz: healthy while Telegram is connected, with the last
+  // successful post for context
+  health() {
+    const connected = !!(this.telegramClient && this.telegramClient.connected);
+    const post = this.store.lastPost();
+    return {
+      ok: connected && !this.stopping,
+      telegram: { connected },
+      lastPost: post
+        ? {
+            source: post.source,
+            publisher: post.publisher,
+            url: post.url,
+            postedAt: post.posted_at,
+            ageSeconds: Math.round(
+              (Date.now() - Date.parse(post.posted_at)) / 1000
+            ),
+          }
+        : null,
+      stopping: this.stopping,
+    };
   }
 
   async initialize() {
-    console.log("🚀 Initializing Telegram to X Poster...");
+    log.info("🚀 Initializing Telegram to X Poster...");
 
     // Ensure download directory exists
     await fs.ensureDir(this.downloadDir);
 
     // Initialize Telegram client
-    await this.initializeTelegramClient();
+    try {
+      await this.initializeTelegramClient();
+    } catch (error) {
+      if (isAuthFailure(error)) {
+        this.notifyAuthFailure("Telegram", error);
+      }
+      throw error;
+    }
 
-    console.log("✅ Initialization complete!");
+    log.info("✅ Initialization complete!");
   }
 
+  // Connect with the saved session (TELEGRAM_SESSION or TELEGRAM_SESSION_FILE).
+  // Never prompts: a missing, revoked or expired session throws a
+  // TelegramAuthError right away, so headless runs fail instead of hanging.
   async initializeTelegramClient() {
-    console.log("📱 Setting up Telegram client...");
+    log.info("📱 Setting up Telegram client...");
 
-    // Load existing session if available
-    let sessionString = "";
+    const { session, origin } = await readSession({
+      session: this.telegramSession,
+      sessionFile: this.sessionFile,
+    });
+    let stringSession;
     try {
-      if (await fs.pathExists(this.sessionFile)) {
-        sessionString = await fs.readFile(this.sessionFile, "utf8");
-        console.log("📂 Found existing Telegram session");
-      }
+      stringSession = new StringSession(session);
     } catch (error) {
-      console.log("⚠️  No existing session found, will create new one");
+      throw new TelegramAuthError(
+        `The Telegram session in ${origin} is not a valid session string (log in again with \`node index.js login\`)`
+      );
     }
 
-    const session = new StringSession(sessionString);
     this.telegramClient = new TelegramClient(
-      session,
+      stringSession,
       this.apiId,
       this.apiHash,
       {
         connectionRetries: 5,
       }
     );
+    await this.telegramClient.connect();
 
-    await this.telegramClient.start({
-      phoneNumber: async () => {
-        console.log("📞 Telegram authentication required");
-        return await input.text(
-          "Enter your phone number (with country code): "
-        );
-      },
-      password: async () => {
-        return await input.password("Enter your 2FA password: ");
-      },
-      phoneCode: async () => {
-        return await input.text(
-          "Enter the verification code sent to your phone: "
+    try {
+      this.telegramUser = await this.telegramClient.getMe();
+    } catch (error) {
+      if (isAuthFailure(error)) {
+        throw new TelegramAuthError(
+          `The Telegram session in ${origin} was revoked or has expired (${error.errorMessage}); log in again with \`node index.js login\``
         );
-      },
-      onError: (err) => {
-        console.error("❌ Telegram authentication error:", err);
-      },
-    });
-
-    // Save session for future use
-    const newSessionString = this.telegramClient.session.save();
-    if (newSessionString !== sessionString) {
-      await fs.writeFile(this.sessionFile, newSessionString);
-      console.log("💾 Telegram session saved");
+      }
+      throw error;
     }
 
-    console.log("✅ Telegram client ready");
+    log.info(
+      `✅ Telegram client ready (${describeUser(this.telegramUser)}, session from ${origin})`
+    );
   }
 
-  loadProcessedVideos() {
-    try {
-      if (fs.existsSync(this.processedVideosFile)) {
-        const data = fs.readFileSync(this.processedVideosFile, "utf8");
-        const processedData = JSON.parse(data);
-
-        // Handle both old format (array) and new format (object with metadata)
-        if (Array.isArray(processedData)) {
-          // Convert old format to new format
-          const videoSet = new Set(processedData);
-          console.log(
-            `📂 Loaded ${videoSet.size} processed videos (legacy format)`
-          );
-          return videoSet;
-        } else {
-          // New format with metadata
-          const videoSet = new Set(processedData.videos || []);
-          console.log(`📂 Loaded ${videoSet.size} processed videos`);
-          return videoSet;
-        }
+  // `config check`'s Telegram check: the account the session belongs to
+  async connectSavedSession() {
+    await this.initializeTelegramClient();
+    return describeUser(this.telegramUser);
+  }
+
+  // `config check`: try every credential without posting or prompting. The
+  // saved Telegram session and each source, every publisher and the caption
+  // models. Resolves to [{ name, ok, detail }].
+  async checkConfig() {
+    const checks = [];
+    const check = async (name, test) => {
+      try {
+        checks.push({ name, ok: true, detail: await test() });
+      } catch (error) {
+        checks.push({ name, ok: false, detail: error.message });
+      }
+      return checks[checks.length - 1].ok;
+    };
+
+    if (await check("Telegram", () => this.connectSavedSession())) {
+      for (const source of this.sources) {
+        await check(`Source ${source.name}`, async () => {
+          const entity = await this.getSourceEntity(source);
+          return entity.title || entity.username || `${entity.id}`;
+        });
+      }
+    }
+    for (const publisher of this.publishers) {
+      await check(publisher.label, () => publisher.verifyCredentials());
+    }
+    for (const model of [this.selectionModel, this.rewriteModel]) {
+      if (model.enabled) {
+        await check(`Caption model (${model.task})`, () => model.verify());
       }
-    } catch (error) {
-      console.log("⚠️  Could not load processed videos list, starting fresh");
     }
-    return new Set();
+    return checks;
   }
 
-  saveProcessedVideos() {
+  saveOffset(source, newOffset) {
+    if (this.dryRun) return;
+
     try {
-      const dataToSave = {
-        lastUpdated: new Date().toISOString(),
-        totalProcessed: this.processedVideos.size,
-        videos: [...this.processedVideos],
-      };
+      this.store.setCursor(source.name, newOffset);
+      log.info(`📍 Updated offset for ${source.name} to: ${newOffset}`);
+      source.currentOffset = newOffset;
+    } catch (error) {
+      log.error("❌ Error saving offset", { error });
+    }
+  }
 
-      fs.writeFileSync(
-        this.processedVideosFile,
-        JSON.stringify(dataToSave, null, 2)
-      );
-      console.log(
-        `💾 Saved ${this.processedVideos.size} processed video records`
+  markVideoProcessed(source, videoId, messageId = null) {
+    this.store.markProcessed(source.name, videoId, { messageId });
+    log.info(
+      `💾 Saved processed record for ${source.name} (${this.store.countProcessed(
+        source.name
+      )} total)`
+    );
+  }
+
+  // Post ID/URL per destination, kept in the post history along with the
+  // captions and the media that went out
+  recordPublishedPost(
+    source,
+    item,
+    publisher,
+    result,
+    { media, caption, originalCaption }
+  ) {
+    this.store.transaction(() => {
+      this.store.recordPost(source.name, item.id, publisher.name, {
+        ...result,
+        strategy: item.strategy,
+        messageId: item.message.id,
+        originalCaption,
+        caption,
+        captionStyle: item.captionStyle,
+        media: media.map(({ kind, mimeType, size, duration, transcoded }) => ({
+          kind,
+          mimeType,
+          size,
+          duration,
+          transcoded: !!transcoded,
+        })),
+      });
+      this.retryQueue.remove(source, item.id, publisher.name);
+    });
+    metrics.posts.inc({ source: source.name, publisher: publisher.name });
+  }
+
+  addFailedVideo(
+    source,
+    videoId,
+    reason,
+    error = null,
+    publisher = null,
+    messageId = null,
+    { notify = true } = {}
+  ) {
+    this.store.addFailure(source.name, videoId, {
+      publisher,
+      messageId,
+      reason,
+      error: error ? error.message : null,
+    });
+    metrics.failures.inc({
+      source: source.name,
+      publisher: publisher || "all",
+      reason: failureCategory(reason),
+    });
+    log.info(
+      `❌ Marked video as failed${
+        publisher ? ` for ${publisher}` : ""
+      }: ${reason}`
+    );
+    if (notify) {
+      this.notifications.notify(
+        "failed",
+        `Failed to post message ${messageId || videoId} from ${source.name}`,
+        `${publisher ? `${publisher}: ` : ""}${reason}`,
+        { source: source.name, itemId: videoId, messageId, publisher, reason }
       );
-    } catch (error) {
-      console.error("❌ Error saving processed videos list:", error);
     }
   }
 
-  loadOffset() {
-    try {
-      if (fs.existsSync(this.offsetFile)) {
-        const data = fs.readFileSync(this.offsetFile, "utf8");
-        const offsetData = JSON.parse(data);
-        console.log(
-          `📍 Loaded offset: ${offsetData.offset} (last updated: ${offsetData.lastUpdated})`
-        );
-        return offsetData.offset || 0;
-      }
-    } catch (error) {
-      console.log("⚠️  Could not load offset, starting from beginning");
+  notifyError(title, error) {
+    this.notifications.notify("error", title, error.message, {
+      error: error.message,
+    });
+  }
+
+  // Expired or revoked credentials need a person to fix them
+  notifyAuthFailure(service, error) {
+    this.notifications.notify(
+      "auth",
+      `${service} authentication failed`,
+      error.message || String(error),
+      { service }
+    );
+  }
+
+  // Filtered items and duplicates are permanent failures for every destination
+  recordSkip(source, item, reason) {
+    if (this.dryRun) {
+      log.info(`🪞 Message ${item.message.id} would be skipped: ${reason}`);
+      return reason;
     }
-    return 0;
+    this.addFailedVideo(source, item.id, reason, null, null, item.message.id, {
+      notify: false,
+    });
+    return reason;
   }
 
-  saveOffset(newOffset) {
-    try {
-      const offsetData = {
-        offset: newOffset,
-        lastUpdated: new Date().toISOString(),
-        totalProcessed: this.processedVideos.size,
-      };
+  // Duplicates point at the original post
+  recordDuplicate(source, item, duplicate) {
+    const posts = Object.values(
+      this.store.getPosts(duplicate.source, duplicate.item_id)
+    );
+    const original = `message ${duplicate.message_id} from ${duplicate.source}`;
+    return this.recordSkip(
+      source,
+      item,
+      `Duplicate of ${original}${
+        posts.length > 0 && posts[0].url ? ` (${posts[0].url})` : ""
+      }`
+    );
+  }
 
-      fs.writeFileSync(this.offsetFile, JSON.stringify(offsetData, null, 2));
-      console.log(`📍 Updated offset to: ${newOffset}`);
-      this.currentOffset = newOffset;
-    } catch (error) {
-      console.error("❌ Error saving offset:", error);
+  // Without a publisher this only matches failures that block every destination
+  // (e.g. download errors, or records written before cross-posting existed)
+  isVideoFailed(source, videoId, publisher = null) {
+    return this.store.isFailed(source.name, videoId, publisher);
+  }
+
+  // Publishers this video hasn't been settled on yet: not posted, not failed
+  // permanently there, and not waiting in the retry queue or for a reviewer
+  unsettledPublishers(source, videoId) {
+    if (
+      this.isVideoFailed(source, videoId) ||
+      (this.reviewChat && this.reviewChat.isPending(source, videoId))
+    ) {
+      return [];
     }
+
+    const posted = this.store.getPosts(source.name, videoId);
+    return this.publishers.filter(
+      (publisher) =>
+        !posted[publisher.name] &&
+        !this.isVideoFailed(source, videoId, publisher.name) &&
+        !this.retryQueue.isWaiting(source, videoId, publisher.name)
+    );
   }
 
-  loadFailedVideos() {
-    try {
-      if (fs.existsSync(this.failedVideosFile)) {
-        const data = fs.readFileSync(this.failedVideosFile, "utf8");
-        const failedData = JSON.parse(data);
-
-        // Handle both old format (array) and new format (object with metadata)
-        if (Array.isArray(failedData)) {
-          const videoSet = new Set(failedData);
-          console.log(
-            `📂 Loaded ${videoSet.size} failed videos (legacy format)`
+  // Unsettled publishers that ROUTES send this item to
+  pendingPublishers(source, item) {
+    return this.router.route(
+      source,
+      item,
+      this.unsettledPublishers(source, item.id)
+    );
+  }
+
+  // Null when the publisher may post now, otherwise { until, reason }: a
+  // rate-limit cooldown, or the account's own daily limit and schedule
+  deferralFor(publisher, now = Date.now()) {
+    const cooldown = this.retryQueue.getCooldown(publisher.name);
+    if (cooldown) {
+      return { until: cooldown, reason: "Rate limit exceeded" };
+    }
+    return publisher.limits
+      ? publisher.limits.check(this.store, publisher.name, now)
+      : null;
+  }
+
+  // Permanent failures are skipped for good. Transient ones go to the retry
+  // queue with exponential backoff until they run out of attempts.
+  // Without a publisher the failure applies to every pending destination.
+  recordFailure(source, item, error, publisherName = null) {
+    let reason = describeFailure(error);
+    if (isAuthFailure(error)) {
+      this.notifyAuthFailure(publisherName || "Telegram", error);
+    }
+    const targets = publisherName
+      ? [publisherName]
+      : this.pendingPublishers(source, item).map((publisher) => publisher.name);
+
+    if (isTransientFailure(error) && targets.length > 0) {
+      const retryAfter = getRetryAfter(error);
+      if (publisherName && retryAfter && error.code === 429) {
+        // The whole destination is rate-limited, not just this item
+        this.retryQueue.setCooldown(publisherName, retryAfter);
+      }
+
+      const attempts =
+        Math.max(
+          ...targets.map(
+            (name) => this.retryQueue.find(source, item.id, name)?.attempts || 0
+          )
+        ) + 1;
+
+      if (attempts <= this.retryMaxAttempts) {
+        const nextAttemptAt = computeNextAttempt(attempts, {
+          baseDelayMs: this.retryBaseDelayMs,
+          maxDelayMs: this.retryMaxDelayMs,
+          retryAfter,
+        });
+        this.store.transaction(() => {
+          for (const name of targets) {
+            this.retryQueue.schedule(source, item, name, {
+              reason,
+              error,
+              nextAttemptAt,
+            });
+          }
+        });
+        for (const name of targets) {
+          metrics.retries.inc({
+            source: source.name,
+            publisher: name,
+            reason: failureCategory(reason),
+          });
+        }
+        log.info(
+          `🔁 Transient failure (${reason}), retry ${attempts}/${
+            this.retryMaxAttempts
+          } scheduled for ${new Date(nextAttemptAt).toISOString()}`
+        );
+        if (attempts >= this.notifyRetryThreshold) {
+          this.notifications.notify(
+            "retrying",
+            `Message ${item.message.id} from ${source.name} failed ${attempts} times`,
+            `${targets.join(", ")}: ${reason}. Retry ${attempts}/${
+              this.retryMaxAttempts
+            } at ${new Date(nextAttemptAt).toISOString()}.`,
+            {
+              source: source.name,
+              itemId: item.id,
+              messageId: item.message.id,
+              publishers: targets,
+              reason,
+              attempts,
+            }
           );
-          return videoSet;
-        } else {
-          const videoSet = new Set(failedData.videos || []);
-          console.log(`📂 Loaded ${videoSet.size} failed videos`);
-          return videoSet;
         }
+        return { retrying: true, reason };
       }
-    } catch (error) {
-      console.log("⚠️  Could not load failed videos list, starting fresh");
+
+      reason = `${reason} (gave up after ${this.retryMaxAttempts} retries)`;
     }
-    return new Set();
+
+    this.store.transaction(() => {
+      for (const name of targets) {
+        this.retryQueue.remove(source, item.id, name);
+      }
+      this.addFailedVideo(
+        source,
+        item.id,
+        reason,
+        error,
+        publisherName,
+        item.message.id
+      );
+    });
+    return { retrying: false, reason };
   }
 
-  saveFailedVideos() {
-    try {
-      const dataToSave = {
-        lastUpdated: new Date().toISOString(),
-        totalFailed: this.failedVideos.size,
-        videos: [...this.failedVideos],
-      };
+  // Queued retries that are due go before anything new
+  async findDueRetry() {
+    for (const entry of this.retryQueue.due()) {
+      const source = this.sources.find((s) => s.name === entry.source);
+      if (!source) continue; // Source no longer configured
+
+      const entity = await this.getSourceEntity(source);
+      const [message] = await this.telegramClient.getMessages(entity, {
+        ids: [entry.messageId],
+      });
+
+      if (!message || !getMediaKind(message)) {
+        log.warn(
+          `⚠️  Queued message ${entry.messageId} is gone, dropping its retry`
+        );
+        if (this.dryRun) continue;
+        this.store.transaction(() => {
+          this.retryQueue.remove(source, entry.videoId, entry.publisher);
+          this.addFailedVideo(
+            source,
+            entry.videoId,
+            "Message no longer available",
+            null,
+            entry.publisher,
+            entry.messageId
+          );
+        });
+        continue;
+      }
 
-      fs.writeFileSync(
-        this.failedVideosFile,
-        JSON.stringify(dataToSave, null, 2)
+      const item = await this.buildPostItem(source, message);
+      if (this.pendingPublishers(source, item).length > 0) {
+        log.info(
+          `🔁 Retrying message ${entry.messageId} from ${source.name} (${entry.reason})`
+        );
+        item.strategy = "retry";
+        return { source, item, retry: true };
+      }
+
+      // Already resolved some other way
+      if (!this.dryRun) {
+        this.retryQueue.remove(source, entry.videoId, entry.publisher);
+      }
+    }
+    return null;
+  }
+
+  // The postable item for one Telegram message (the whole album if it's in one)
+  async loadItem(source, messageId) {
+    const entity = await this.getSourceEntity(source);
+    const [message] = await this.telegramClient.getMessages(entity, {
+      ids: [messageId],
+    });
+
+    if (!message || !getMediaKind(message)) {
+      throw new Error(
+        `Message ${messageId} in ${source.name} has no postable media`
       );
-      console.log(`💾 Saved ${this.failedVideos.size} failed video records`);
+    }
+    return this.buildPostItem(source, message);
+  }
+
+  // Apply the review chat's decisions
+  async pollReviews() {
+    try {
+      await this.reviewChat.poll(this.telegramClient);
     } catch (error) {
-      console.error("❌ Error saving failed videos list:", error);
+      log.warn("⚠️  Could not read the review chat", { error });
     }
   }
 
-  addFailedVideo(videoId, reason, error = null) {
-    const failureRecord = {
-      videoId,
-      reason,
-      timestamp: new Date().toISOString(),
-      error: error ? error.message : null,
+  // Rejected and expired items become failures (called by the review chat,
+  // in the same transaction that closes the review)
+  recordClosedReview(review) {
+    const source = this.sources.find((s) => s.name === review.source) || {
+      name: review.source,
     };
+    this.addFailedVideo(
+      source,
+      review.itemId,
+      review.status === "rejected"
+        ? `Rejected in review: ${review.reason}`
+        : "Review expired without a decision",
+      null,
+      null,
+      review.messageId,
+      { notify: review.status !== "rejected" }
+    );
+  }
+
+  // Items a reviewer approved that still have somewhere to go
+  async findApprovedReview() {
+    if (!this.reviewChat) return null;
+
+    for (const review of this.reviewChat.approved()) {
+      const source = this.sources.find((s) => s.name === review.source);
+      if (!source) continue;
+
+      if (this.unsettledPublishers(source, review.itemId).length > 0) {
+        try {
+          const item = await this.loadItem(source, review.messageId);
+          if (this.pendingPublishers(source, item).length > 0) {
+            log.info(
+              `✅ Posting message ${review.messageId}, approved in review`
+            );
+            item.strategy = "review";
+            return { source, item };
+          }
+        } catch (error) {
+          log.warn(`⚠️  Approved message ${review.messageId} is gone`);
+          if (this.dryRun) continue;
+          this.store.transaction(() => {
+            this.reviewChat.markDone(source, review.itemId);
+            this.addFailedVideo(
+              source,
+              review.itemId,
+              "Message no longer available",
+              null,
+              null,
+              review.messageId
+            );
+          });
+          continue;
+        }
+      }
 
-    this.failedVideos.add(JSON.stringify(failureRecord));
-    this.saveFailedVideos();
-    console.log(`❌ Marked video as failed: ${reason}`);
+      // Posted or failed everywhere; retries keep using the approved caption
+      const retrying = this.publishers.some((publisher) =>
+        this.retryQueue.find(source, review.itemId, publisher.name)
+      );
+      if (!retrying && !this.dryRun) {
+        this.reviewChat.markDone(source, review.itemId);
+      }
+    }
+    return null;
   }
 
-  isVideoFailed(videoId) {
-    // Check if any failed video record contains this videoId
-    for (const failedRecord of this.failedVideos) {
+  // Oldest item the listener queued that still has somewhere to go. Entries
+  // whose message is gone or that were resolved some other way are dropped.
+  async findQueuedLive() {
+    for (const entry of this.liveQueue.list()) {
+      const source = this.sources.find((s) => s.name === entry.source);
+      if (!source) continue; // Source no longer configured
+
+      let item = null;
       try {
-        const record = JSON.parse(failedRecord);
-        if (record.videoId === videoId) {
-          return true;
-        }
+        item = await this.loadItem(source, entry.messageId);
       } catch (error) {
-        // Handle legacy format where failed videos were just IDs
-        if (failedRecord === videoId) {
-          return true;
-        }
+        log.warn(
+          `⚠️  Queued message ${entry.messageId} is gone, dropping it from the live queue`
+        );
+      }
+
+      if (item && this.pendingPublishers(source, item).length > 0) {
+        log.info(
+          `📥 Posting message ${entry.messageId} from ${source.name}, queued ${entry.queuedAt}`
+        );
+        item.strategy = "live";
+        return { source, item, live: true };
+      }
+
+      if (!this.dryRun) {
+        this.liveQueue.remove(source, entry.itemId);
       }
     }
-    return false;
+    return null;
+  }
+
+  // Approved reviews first, then due retries, then media queued by the
+  // listener, then the next source according to SOURCE_POLICY. `liveOnly`
+  // stops after the live queue.
+  async selectNextItem({ liveOnly = false } = {}) {
+    if (liveOnly) {
+      return this.findQueuedLive();
+    }
+    return (
+      (await this.findApprovedReview()) ||
+      (await this.findDueRetry()) ||
+      (await this.findQueuedLive()) ||
+      (await this.sourceSelector.select(
+        (candidate) =>
+          this.selectionStrategy.usesCursor
+            ? this.findOldestUnprocessedVideo(candidate)
+            : this.findBestCandidate(candidate),
+        { remember: !this.dryRun }
+      ))
+    );
   }
 
   generateVideoId(message) {
@@ -281,135 +903,362 @@ class TelegramToXPoster {
     return `${peerId}_${messageId}_${date}_${videoSize}_${videoDuration}`;
   }
 
-  async findOldestUnprocessedVideo() {
-    console.log("🔍 Searching for oldest unprocessed video...");
+  // Albums are tracked as a single unit, keyed by their groupedId
+  generateItemId(messages) {
+    const message = messages[0];
+    if (!message.groupedId) {
+      return this.generateVideoId(message);
+    }
 
-    try {
-      const entity = await this.telegramClient.getEntity(this.groupName);
-      console.log(`📺 Searching in: ${entity.title || this.groupName}`);
+    const peerId =
+      message.peerId?.channelId ||
+      message.peerId?.chatId ||
+      message.peerId?.userId ||
+      "unknown";
+    return `${peerId}_album_${message.groupedId}`;
+  }
+
+  // Turn a media message (or the first message of an album) into one postable item
+  async buildPostItem(source, message) {
+    const entity = await this.getSourceEntity(source);
+    const messages = await collectAlbum(this.telegramClient, entity, message);
+    const allMedia = messages.map(describeMedia).filter(Boolean);
+    const media = selectPostableMedia(allMedia);
+
+    if (media.length < allMedia.length) {
+      log.info(
+        `ℹ️  Album has ${summarizeMedia(allMedia)}, posting ${summarizeMedia(
+          media
+        )} (X media limits)`
+      );
+    }
+
+    return {
+      id: this.generateItemId(messages),
+      message: messages[0],
+      messages,
+      date: messages[0].date,
+      media,
+    };
+  }
+
+  async getSourceEntity(source) {
+    if (!source.entity) {
+      source.entity = await this.telegramClient.getEntity(source.name);
+    }
+    return source.entity;
+  }
+
+  // Whether the item still has to be posted somewhere. Filtered items and
+  // forwarded duplicates are resolved (recorded as skipped) on the way,
+  // without a download. Items no route sends anywhere, and items short of
+  // the view or reaction thresholds, are passed over without a record, so a
+  // later ROUTES change or more engagement brings them back; the latter also
+  // get `item.waiting`, which keeps the cursor from moving past them.
+  async isCandidate(source, item) {
+    if (this.store.isProcessed(source.name, item.id)) {
+      log.debug(
+        `⏭️  Skipping already processed media: Message ID ${item.message.id}`
+      );
+      return false;
+    }
+    if (this.unsettledPublishers(source, item.id).length === 0) {
+      log.debug(
+        `⏭️  Skipping failed or queued media: Message ID ${item.message.id}`
+      );
+      return false;
+    }
+    if (this.pendingPublishers(source, item).length === 0) {
+      log.debug(
+        `⏭️  Skipping media no route sends anywhere: Message ID ${item.message.id}`
+      );
+      return false;
+    }
+
+    const filterReason = await this.filters.check(item);
+    if (filterReason) {
+      this.recordSkip(source, item, filterReason);
+      return false;
+    }
+
+    // Forwarded copy of something already posted
+    const duplicate = this.deduplicator.findByDocuments(source, item);
+    if (duplicate) {
+      this.recordDuplicate(source, item, duplicate);
+      return false;
+    }
 
-      const batchSize = 50; // Process in smaller batches for efficiency
-      let currentBatch = 0;
+    const waiting = this.filters.checkEngagement(item);
+    if (waiting) {
+      log.debug(
+        `⏳ Not eligible yet (${waiting}): Message ID ${item.message.id}`
+      );
+      item.waiting = waiting;
+      return false;
+    }
+    return true;
+  }
 
-      console.log(`📍 Starting search from offset: ${this.currentOffset}`);
+  // Walk the channel forward from the cursor (the last message ID examined)
+  // until an item with pending destinations turns up or SCAN_BUDGET messages
+  // have been looked at. The cursor only moves past messages that are fully
+  // resolved, so nothing is skipped and the next run picks up where this one
+  // stopped; it stays before the first message that isn't eligible yet.
+  async findOldestUnprocessedVideo(source) {
+    log.info(
+      `🔍 Searching for oldest unprocessed media in ${source.name}...`
+    );
 
-      // Get video messages in batches, starting from our current offset
+    try {
+      const entity = await this.getSourceEntity(source);
+      log.info(`📺 Searching in: ${entity.title || source.name}`);
+      log.info(`📍 Starting search after message ID: ${source.currentOffset}`);
+
+      const startOffset = source.currentOffset;
+      const seenAlbums = new Set();
+      let lastExaminedId = startOffset;
+      let examined = 0;
+      // Where the next scan has to start again, once a message is waiting
+      let heldAt = null;
+      let waiting = 0;
+      const resumeAt = () => (heldAt !== null ? heldAt : lastExaminedId);
+
+      // gramjs fetches in batches of 100 behind the iterator.
+      // No server-side filter: photos, GIFs and videos all need to be seen.
       for await (const message of this.telegramClient.iterMessages(entity, {
-        filter: new Api.InputMessagesFilterVideo(),
         reverse: true, // Start from oldest
-        limit: batchSize,
-        offsetId: this.currentOffset > 0 ? this.currentOffset : undefined,
+        limit: this.scanBudget,
+        offsetId: startOffset > 0 ? startOffset : undefined,
       })) {
-        currentBatch++;
+        examined++;
 
-        const videoId = this.generateVideoId(message);
+        // Text-only messages and the rest of an album we've already looked at
+        const seenAlbum =
+          message.groupedId && seenAlbums.has(String(message.groupedId));
+        if (getMediaKind(message) && !seenAlbum) {
+          if (message.groupedId) seenAlbums.add(String(message.groupedId));
 
-        // Check if this video has been processed or failed
-        if (
-          !this.processedVideos.has(videoId) &&
-          !this.isVideoFailed(videoId)
-        ) {
-          console.log(
-            `🎯 Found oldest unprocessed video: Message ID ${
-              message.id
-            } (batch ${Math.ceil(currentBatch / batchSize)})`
-          );
-          return message;
-        }
+          const item = await this.buildPostItem(source, message);
 
-        // Skip if already processed or failed
-        if (this.processedVideos.has(videoId)) {
-          console.log(
-            `⏭️  Skipping already processed video: Message ID ${message.id}`
-          );
-        } else if (this.isVideoFailed(videoId)) {
-          console.log(
-            `⏭️  Skipping previously failed video: Message ID ${message.id}`
-          );
+          if (await this.isCandidate(source, item)) {
+            log.info(
+              `🎯 Found oldest unprocessed media: Message ID ${
+                message.id
+              } (${summarizeMedia(item.media)}, ${examined} messages scanned)`
+            );
+            // Stop just before it: if this run doesn't finish it, the next one sees it again
+            if (resumeAt() !== source.currentOffset) {
+              this.saveOffset(source, resumeAt());
+            }
+            item.strategy = "oldest";
+            return item;
+          }
+          if (item.waiting) {
+            if (heldAt === null) heldAt = lastExaminedId;
+            waiting++;
+          }
         }
 
-        // Show progress every 25 videos
-        if (currentBatch % 25 === 0) {
-          console.log(
-            `📊 Checked ${currentBatch} videos from offset ${this.currentOffset}...`
+        lastExaminedId = message.id;
+
+        // Persist progress now and then so a crash mid-scan doesn't repeat it all
+        if (examined % 100 === 0) {
+          log.debug(
+            `📊 Checked ${examined} messages after message ID ${startOffset}...`
           );
+          this.saveOffset(source, resumeAt());
         }
       }
 
-      // If we get here, we've checked all videos in this batch and found none unprocessed
-      // This means we need to move to the next batch
-      const newOffset = this.currentOffset + batchSize;
-      console.log(
-        `📍 No unprocessed videos in current batch. Moving to next batch (offset: ${newOffset})`
-      );
-
-      // Save the new offset for next run
-      this.saveOffset(newOffset);
+      if (resumeAt() !== source.currentOffset) {
+        this.saveOffset(source, resumeAt());
+      }
+      if (waiting > 0) {
+        log.info(
+          `⏳ ${waiting} item(s) in ${source.name} not eligible yet (views or reactions), checking them again next run`
+        );
+      }
 
-      console.log("ℹ️  No unprocessed videos found in current batch");
+      if (examined >= this.scanBudget) {
+        log.info(
+          `ℹ️  Scan budget of ${this.scanBudget} messages used up without finding unprocessed media, continuing from message ID ${lastExaminedId} next run`
+        );
+      } else {
+        log.info(`ℹ️  Reached the end of ${source.name}, no unprocessed media`);
+      }
       return null;
     } catch (error) {
-      console.error("❌ Error finding video:", error);
+      log.error("❌ Error finding video", { error });
       throw error;
     }
   }
 
-  async extractVideoCaption(videoMessage) {
-    console.log("📝 Extracting video caption with AI assistance...");
+  // Every strategy but "oldest": gather the candidates among the newest
+  // SCAN_BUDGET messages (only those from the last SELECTION_WINDOW_DAYS, if
+  // set) and let the strategy pick one. The cursor isn't used; processed and
+  // failed records keep items from coming up twice.
+  async findBestCandidate(source) {
+    const strategy = this.selectionStrategy.name;
+    log.info(`🔍 Picking media from ${source.name} by ${strategy}...`);
+
+    const entity = await this.getSourceEntity(source);
+    const since = this.selectionWindowDays
+      ? Date.now() / 1000 - this.selectionWindowDays * 24 * 60 * 60
+      : 0;
+    const seenAlbums = new Set();
+    const candidates = [];
+    let examined = 0;
+
+    // Newest first, so the window can end the walk early
+    for await (const message of this.telegramClient.iterMessages(entity, {
+      limit: this.scanBudget,
+    })) {
+      if (message.date < since) break;
+      examined++;
+
+      if (!getMediaKind(message)) continue;
+      if (message.groupedId) {
+        if (seenAlbums.has(String(message.groupedId))) continue;
+        seenAlbums.add(String(message.groupedId));
+      }
 
-    // First, check if the video message itself has text
-    if (videoMessage.message && videoMessage.message.trim()) {
-      const caption = videoMessage.message.trim();
-      console.log("✅ Found caption in video message");
-      return caption;
+      const item = await this.buildPostItem(source, message);
+      if (await this.isCandidate(source, item)) {
+        candidates.push(item);
+      }
     }
 
-    // Get surrounding messages (-2 to +2) for AI analysis
-    try {
-      const entity = await this.telegramClient.getEntity(this.groupName);
-
-      // Get a wider range of messages around the video
-      const messageIds = [
-        videoMessage.id - 2,
-        videoMessage.id - 1,
-        videoMessage.id,
-        videoMessage.id + 1,
-        videoMessage.id + 2,
-      ];
-
-      console.log("🔍 Fetching surrounding messages for context analysis...");
-      const surroundingMessages = await this.telegramClient.getMessages(
-        entity,
-        {
-          ids: messageIds,
-        }
+    const item = this.selectionStrategy.pick(candidates);
+    if (!item) {
+      log.info(
+        `ℹ️  No unprocessed media among the ${examined} newest messages of ${source.name}`
       );
+      return null;
+    }
 
-      // Filter out the video message itself and empty messages
-      const contextMessages = surroundingMessages
-        .filter(
-          (msg) =>
-            msg &&
-            msg.id !== videoMessage.id &&
-            msg.message &&
-            msg.message.trim()
-        )
-        .map((msg) => ({
-          id: msg.id,
+    log.info(
+      `🎯 Picked message ID ${item.message.id} by ${strategy} (${summarizeMedia(
+        item.media
+      )}, ${candidates.length} candidates in ${examined} messages)`
+    );
+    item.strategy = strategy;
+    return item;
+  }
+
+  // Old versions stored a message count as the cursor, which could leave
+  // unposted items behind it. Walk everything between `fromId` and the cursor,
+  // report what was missed and move the cursor back to the first gap.
+  async rescan({ sourceName = null, fromId = 0 } = {}) {
+    const sources = sourceName
+      ? this.sources.filter((source) => source.name === sourceName)
+      : this.sources;
+    if (sources.length === 0) {
+      throw new Error(`Unknown source: ${sourceName}`);
+    }
+
+    const report = [];
+    for (const source of sources) {
+      const entity = await this.getSourceEntity(source);
+      const cursor = source.currentOffset;
+      log.info(
+        `🔎 Rescanning ${source.name} from message ID ${fromId} to ${cursor}...`
+      );
+
+      const seenAlbums = new Set();
+      const gaps = [];
+      let examined = 0;
+
+      for await (const message of this.telegramClient.iterMessages(entity, {
+        reverse: true,
+        offsetId: fromId > 0 ? fromId : undefined,
+        maxId: cursor + 1,
+      })) {
+        examined++;
+        if (!getMediaKind(message)) continue;
+        if (message.groupedId) {
+          if (seenAlbums.has(String(message.groupedId))) continue;
+          seenAlbums.add(String(message.groupedId));
+        }
+
+        const item = await this.buildPostItem(source, message);
+        if (
+          !this.store.isProcessed(source.name, item.id) &&
+          this.pendingPublishers(source, item).length > 0
+        ) {
+          gaps.push(item.message.id);
+        }
+      }
+
+      if (gaps.length > 0) {
+        log.info(
+          `🩹 ${gaps.length} unposted items found in ${source.name} (first: message ID ${gaps[0]})`
+        );
+        this.saveOffset(source, gaps[0] - 1);
+      } else {
+        log.info(`✅ No gaps in ${source.name} (${examined} messages checked)`);
+      }
+      report.push({ source: source.name, examined, gaps });
+    }
+    return report;
+  }
+
+  async extractVideoCaption(source, item) {
+    log.info("📝 Extracting caption with AI assistance...");
+    const videoMessage = item.message;
+    const firstId = item.messages[0].id;
+    const lastId = item.messages[item.messages.length - 1].id;
+
+    // First, check if the media message itself has text. Albums usually carry
+    // the caption on one item, but collect every distinct text just in case.
+    const ownTexts = [
+      ...new Set(
+        item.messages
+          .map((msg) => (msg.message || "").trim())
+          .filter(Boolean)
+      ),
+    ];
+    if (ownTexts.length > 0) {
+      const caption = ownTexts.join("\n\n");
+      log.info(
+        `✅ Found caption in ${item.messages.length > 1 ? "album" : "media message"}`
+      );
+      return caption;
+    }
+
+    // Get surrounding messages (-2 to +2) for AI analysis
+    try {
+      const entity = await this.getSourceEntity(source);
+
+      // Get a wider range of messages around the video (or the whole album)
+      const messageIds = [firstId - 2, firstId - 1, lastId + 1, lastId + 2];
+
+      log.info("🔍 Fetching surrounding messages for context analysis...");
+      const surroundingMessages = await this.telegramClient.getMessages(
+        entity,
+        {
+          ids: messageIds,
+        }
+      );
+
+      // Filter out empty messages
+      const contextMessages = surroundingMessages
+        .filter((msg) => msg && msg.message && msg.message.trim())
+        .map((msg) => ({
+          id: msg.id,
           text: msg.message.trim(),
           senderId: msg.senderId,
           date: msg.date,
-          position: msg.id < videoMessage.id ? "before" : "after",
+          position: msg.id < firstId ? "before" : "after",
           timeDiff: Math.abs(videoMessage.date - msg.date),
         }))
         .sort((a, b) => a.id - b.id); // Sort by message order
 
       if (contextMessages.length === 0) {
-        console.log("ℹ️  No surrounding messages found");
+        log.info("ℹ️  No surrounding messages found");
         return "";
       }
 
-      console.log(
+      log.info(
         `🔍 Found ${contextMessages.length} surrounding messages, analyzing relevance...`
       );
 
@@ -420,21 +1269,34 @@ class TelegramToXPoster {
       );
 
       if (relevantCaption) {
-        console.log(`✅ AI found relevant caption: "${relevantCaption}"`);
+        log.info(`✅ AI found relevant caption: "${relevantCaption}"`);
         return relevantCaption;
       }
 
-      console.log("ℹ️  No relevant caption found by AI analysis");
+      log.info("ℹ️  No relevant caption found by AI analysis");
       return "";
     } catch (error) {
-      console.log("⚠️  Could not fetch surrounding messages:", error.message);
+      log.warn("⚠️  Could not fetch surrounding messages", { error });
       return "";
     }
   }
 
+  // Same sender within 5 minutes, for when the model can't help
+  fallbackCaption(videoMessage, contextMessages) {
+    const fallbackMessage = contextMessages.find(
+      (msg) => msg.senderId === videoMessage.senderId && msg.timeDiff < 300
+    );
+    return fallbackMessage ? fallbackMessage.text : "";
+  }
+
   async findRelevantCaption(videoMessage, contextMessages) {
     if (contextMessages.length === 0) return "";
 
+    if (!this.selectionModel.enabled) {
+      log.info("ℹ️  No AI provider configured, using fallback logic");
+      return this.fallbackCaption(videoMessage, contextMessages);
+    }
+
     try {
       // Prepare context for AI analysis
       const messageContext = contextMessages
@@ -459,24 +1321,10 @@ Please analyze these messages and determine:
 Respond with ONLY the exact text of the most relevant message, or NONE if no message seems relevant as a caption.
 Do not add any explanation, formatting, or quotation marks - just the raw message text or NONE.`;
 
-      const response = await this.openaiClient.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [
-          {
-            role: "system",
-            content:
-              "You are an expert at analyzing social media message patterns to identify captions for videos. You understand timing, context, and typical posting behaviors.",
-          },
-          {
-            role: "user",
-            content: prompt,
-          },
-        ],
-        max_tokens: 150,
-        temperature: 0.3, // Lower temperature for more consistent analysis
-      });
-
-      let aiResponse = response.choices[0].message.content.trim();
+      let aiResponse = await this.selectionModel.complete(
+        "You are an expert at analyzing social media message patterns to identify captions for videos. You understand timing, context, and typical posting behaviors.",
+        prompt
+      );
 
       // Clean up the AI response - remove surrounding quotes if present
       if (
@@ -499,29 +1347,22 @@ Do not add any explanation, formatting, or quotation marks - just the raw messag
       );
 
       if (matchingMessage) {
-        console.log(
+        log.info(
           `🤖 AI selected message ${matchingMessage.id} (${matchingMessage.position} video)`
         );
         return aiResponse;
       } else {
-        console.log(
+        log.warn(
           "⚠️  AI response didn't match any context message, using fallback"
         );
-        // Fallback to simple logic for same sender within 5 minutes
-        const fallbackMessage = contextMessages.find(
-          (msg) => msg.senderId === videoMessage.senderId && msg.timeDiff < 300
-        );
-        return fallbackMessage ? fallbackMessage.text : "";
+        return this.fallbackCaption(videoMessage, contextMessages);
       }
     } catch (error) {
-      console.log("⚠️  AI caption analysis failed:", error.message);
+      log.warn("⚠️  AI caption analysis failed", { error });
 
       // Fallback to simple logic
-      console.log("🔄 Using fallback logic...");
-      const fallbackMessage = contextMessages.find(
-        (msg) => msg.senderId === videoMessage.senderId && msg.timeDiff < 300
-      );
-      return fallbackMessage ? fallbackMessage.text : "";
+      log.info("🔄 Using fallback logic...");
+      return this.fallbackCaption(videoMessage, contextMessages);
     }
   }
 
@@ -533,32 +1374,23 @@ Do not add any explanation, formatting, or quotation marks - just the raw messag
         : "";
 
     if (!cleanCaption) {
-      console.log("ℹ️  No caption to rewrite, using default");
+      log.info("ℹ️  No caption to rewrite, using default");
       return "🎥 Interesting video content";
     }
 
-    console.log("🤖 Rewriting caption with OpenAI...");
+    if (!this.rewriteModel.enabled) {
+      log.info("ℹ️  No AI provider configured, keeping the original caption");
+      return cleanCaption;
+    }
 
-    try {
-      const response = await this.openaiClient.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          {
-            role: "system",
-            content:
-              process.env.OPENAI_SYSTEM_PROMPT ||
-              "You are a social media content creator. Rewrite the given caption to make it more engaging for Twitter/X while keeping the same meaning. Make it concise (under 250 characters), engaging, and suitable for a general audience. Don't use hashtags unless they were in the original. Keep the tone similar to the original but make it more polished.",
-          },
-          {
-            role: "user",
-            content: `Rewrite this caption: ${cleanCaption}`,
-          },
-        ],
-        max_tokens: 100,
-        temperature: 0.7,
-      });
+    log.info(`🤖 Rewriting caption with ${this.rewriteModel.description}...`);
 
-      let rewrittenCaption = response.choices[0].message.content.trim();
+    try {
+      let rewrittenCaption = await this.rewriteModel.complete(
+        this.settings.OPENAI_SYSTEM_PROMPT ||
+          "You are a social media content creator. Rewrite the given caption to make it more engaging for Twitter/X while keeping the same meaning. Make it concise (under 250 characters), engaging, and suitable for a general audience. Don't use hashtags unless they were in the original. Keep the tone similar to the original but make it more polished.",
+        `Rewrite this caption: ${cleanCaption}`
+      );
 
       // Clean up the AI response - remove surrounding quotes if present
       if (
@@ -568,36 +1400,56 @@ Do not add any explanation, formatting, or quotation marks - just the raw messag
         rewrittenCaption = rewrittenCaption.slice(1, -1).trim();
       }
 
-      console.log(`✅ Caption rewritten: ${rewrittenCaption}`);
+      log.info(`✅ Caption rewritten: ${rewrittenCaption}`);
       return rewrittenCaption;
     } catch (error) {
-      console.log("⚠️  OpenAI caption rewriting failed:", error.message);
-      console.log("📝 Using original caption as fallback");
+      log.warn("⚠️  AI caption rewriting failed", { error });
+      log.info("📝 Using original caption as fallback");
       return cleanCaption || "🎥 Video from Telegram";
     }
   }
 
-  async downloadVideo(message) {
-    console.log("⬇️  Downloading video...");
+  async downloadMedia(item) {
+    log.info(`⬇️  Downloading ${summarizeMedia(item.media)}...`);
 
-    const video = message.video;
-    if (!video) {
-      throw new Error("No video found in message");
+    if (item.media.length === 0) {
+      throw new Error("No postable media found in message");
     }
 
-    // Check video size
-    const videoSizeMB = video.size / (1024 * 1024);
-    if (videoSizeMB > this.maxVideoSizeMB) {
+    const downloaded = [];
+    try {
+      for (const entry of item.media) {
+        downloaded.push(await this.downloadMediaFile(entry));
+      }
+    } catch (error) {
+      // Don't leave half an album behind
+      await this.cleanup(downloaded.map((file) => file.path));
+      throw error;
+    }
+    return downloaded;
+  }
+
+  async downloadMediaFile(entry) {
+    const { message } = entry;
+
+    // Check file size. Videos over MAX_VIDEO_SIZE_MB are still downloaded when
+    // they can be compressed afterwards; MAX_DOWNLOAD_SIZE_MB is the hard cap.
+    const sizeMB = entry.size / (1024 * 1024);
+    const maxSizeMB =
+      this.transcodeEnabled && entry.mimeType.startsWith("video/")
+        ? this.maxDownloadSizeMB
+        : this.maxVideoSizeMB;
+    if (sizeMB > maxSizeMB) {
       throw new Error(
-        `Video too large: ${videoSizeMB.toFixed(2)}MB (max: ${
-          this.maxVideoSizeMB
-        }MB)`
+        `${entry.kind === "photo" ? "Photo" : "Video"} too large: ${sizeMB.toFixed(
+          2
+        )}MB (max: ${maxSizeMB}MB)`
       );
     }
 
     // Generate filename
     const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const filename = `video_${message.id}_${timestamp}.mp4`;
+    const filename = `${entry.kind}_${message.id}_${timestamp}.${entry.extension}`;
     const filepath = path.join(this.downloadDir, filename);
 
     // Download with progress
@@ -607,193 +1459,982 @@ Do not add any explanation, formatting, or quotation marks - just the raw messag
       progressCallback: (downloaded, total) => {
         const progress = Math.round((downloaded / total) * 100);
         if (progress - lastProgress >= 10) {
-          console.log(`📥 Download progress: ${progress}%`);
+          log.debug(`📥 Download progress: ${progress}%`);
           lastProgress = progress;
         }
       },
     });
 
-    console.log(
-      `✅ Video downloaded: ${filename} (${videoSizeMB.toFixed(2)}MB)`
+    metrics.downloadBytes.inc({ kind: entry.kind }, entry.size);
+    log.info(`✅ ${entry.kind} downloaded: ${filename} (${sizeMB.toFixed(2)}MB)`);
+    return {
+      path: filepath,
+      kind: entry.kind,
+      mimeType: entry.mimeType,
+      size: entry.size,
+      duration: entry.duration,
+    };
+  }
+
+  // Probe downloaded videos and transcode/trim/compress the ones X would reject.
+  // Updates the media list in place so cleanup always sees the current files.
+  async prepareMedia(media) {
+    if (!this.transcodeEnabled) return media;
+
+    for (const file of media) {
+      if (!file.mimeType.startsWith("video/")) continue;
+
+      log.info(`🔬 Probing ${file.kind}: ${path.basename(file.path)}`);
+      try {
+        const prepared = await this.videoPreparer.prepare(file.path);
+        file.path = prepared.path;
+        file.mimeType = "video/mp4";
+        file.size = prepared.info.size;
+        file.duration = prepared.info.duration;
+        file.transcoded = prepared.transcoded;
+      } catch (error) {
+        if (error.code !== "ENOENT" || !error.syscall?.startsWith("spawn")) {
+          throw error;
+        }
+        log.warn(
+          "⚠️  ffmpeg/ffprobe not found, uploading video without preparation"
+        );
+        return media;
+      }
+    }
+    return media;
+  }
+
+  // Post one item to every pending publisher, tracking each destination separately.
+  // A failure on one destination doesn't stop the others. `fitCaption(publisher)`
+  // gives the caption fitted to each one.
+  async crossPost(source, item, media, fitCaption, originalCaption = null) {
+    const results = [];
+    // For abortInFlight() if shutdown cuts this short; runPipeline clears it
+    this.crossPosting = { source, item, results };
+
+    for (const publisher of this.pendingPublishers(source, item)) {
+      // Don't spend an attempt on a destination that's rate-limited or has
+      // reached its own limits
+      const deferral = this.deferralFor(publisher);
+      if (deferral) {
+        this.retryQueue.schedule(source, item, publisher.name, {
+          reason: deferral.reason,
+          nextAttemptAt: deferral.until,
+          countAttempt: false,
+        });
+        log.info(
+          `⏳ ${publisher.label}: ${deferral.reason}, deferring until ${new Date(
+            deferral.until
+          ).toISOString()}`
+        );
+        results.push({ publisher: publisher.name, retrying: true });
+        continue;
+      }
+
+      try {
+        const caption = fitCaption(publisher);
+        const result = await publisher.publish(media, caption);
+        this.recordPublishedPost(source, item, publisher, result, {
+          media,
+          caption,
+          originalCaption,
+        });
+        if (result.incomplete) {
+          this.recordIncompleteThread(source, item, publisher, result);
+        }
+        results.push({ publisher: publisher.name, result });
+      } catch (error) {
+        log.error(`❌ Error posting to ${publisher.label}`, { error });
+        const failure = this.recordFailure(source, item, error, publisher.name);
+        results.push({
+          publisher: publisher.name,
+          error,
+          retrying: failure.retrying,
+        });
+      }
+    }
+
+    return results;
+  }
+
+  // The first post (with the media) is up, so the item counts as posted there;
+  // the missing replies are recorded as a failure so list-failed shows them
+  recordIncompleteThread(source, item, publisher, result) {
+    const { posted, total, error } = result.incomplete;
+    this.addFailedVideo(
+      source,
+      item.id,
+      `Thread incomplete: ${posted} of ${total} posts (${describeFailure(error)})`,
+      error,
+      publisher.name,
+      item.message.id
+    );
+  }
+
+  async cleanup(mediaPaths) {
+    for (const mediaPath of mediaPaths) {
+      try {
+        if (await fs.pathExists(mediaPath)) {
+          await fs.remove(mediaPath);
+          log.debug("🧹 Cleaned up downloaded media file");
+        }
+      } catch (error) {
+        log.warn("⚠️  Could not clean up media file", { error });
+      }
+    }
+  }
+
+  // The reviewer-approved caption if there is one, otherwise the caption
+  // extracted from Telegram and rewritten now. item.captionStyle records which
+  // (for the engagement report): original, rewritten, default or reviewed.
+  // `finalCaption` is the caption in full, `fitCaption(publisher)` the one
+  // that publisher gets.
+  async captionFor(source, item) {
+    const review = this.reviewChat && this.reviewChat.get(source, item.id);
+    if (review && review.status === "approved") {
+      log.info(`✅ Using the caption approved in review: ${review.caption}`);
+      item.captionStyle = "reviewed";
+      return {
+        originalCaption: review.originalCaption,
+        finalCaption: review.caption,
+        // Publishers shorten it themselves if they have to
+        fitCaption: () => review.caption,
+        approved: true,
+      };
+    }
+
+    // Extract original caption
+    const originalCaption = await this.extractVideoCaption(source, item);
+    log.info(`📝 Original caption: ${originalCaption || "(no caption)"}`);
+
+    // Rewrite caption using the configured model, then apply the caption rules
+    const rewritten = await this.rewriteCaption(originalCaption);
+    const trimmed =
+      typeof originalCaption === "string" ? originalCaption.trim() : "";
+    item.captionStyle = !trimmed
+      ? "default"
+      : rewritten === trimmed
+        ? "original"
+        : "rewritten";
+    const finalCaption = this.finishCaption(source, item, rewritten);
+    log.info(`✨ Final caption: ${finalCaption}`);
+
+    return {
+      originalCaption,
+      finalCaption,
+      fitCaption: (publisher) =>
+        this.finishCaption(source, item, rewritten, publisher),
+      approved: false,
+    };
+  }
+
+  // Templates, hashtags and scrubbing. With a publisher the result is also
+  // fitted to its limit (or thread length), keeping the fixed parts.
+  finishCaption(source, item, caption, publisher = null) {
+    return this.captionRules.apply(
+      caption,
+      {
+        channel: (source.entity && source.entity.title) || source.name,
+        date: item.date,
+        messageId: item.message.id,
+      },
+      publisher
+    );
+  }
+
+  // A fresh proposal for the review chat's "regenerate"
+  async regenerateCaption(review) {
+    const source = this.sources.find((s) => s.name === review.source) || {
+      name: review.source,
+    };
+    let item;
+    try {
+      item = await this.loadItem(source, review.messageId);
+    } catch (error) {
+      // Gone from Telegram: the rules still apply, without the message date
+      item = { date: null, message: { id: review.messageId } };
+    }
+    return this.finishCaption(
+      source,
+      item,
+      await this.rewriteCaption(review.originalCaption)
+    );
+  }
+
+  // Download, caption, prepare and cross-post one item. Resolves to "posted"
+  // when it went out somewhere, "review" when it was sent to the review chat
+  // instead, "duplicate" when the download matched something already posted,
+  // and "failed" otherwise; failures are recorded (queued or permanent) here.
+  // `skipReview` and `skipDedup` are for operator-forced posts. Every line
+  // logged on the way carries the same correlation ID.
+  async processItem(source, item, options = {}) {
+    return log.withContext(
+      {
+        correlationId: createCorrelationId(),
+        source: source.name,
+        itemId: item.id,
+        messageId: item.message.id,
+      },
+      () => this.runPipeline(source, item, options)
     );
-    return filepath;
   }
 
-  async uploadToTwitter(videoPath, caption) {
-    console.log("🐦 Uploading to X (Twitter)...");
+  async runPipeline(
+    source,
+    item,
+    { skipReview = false, skipDedup = false } = {}
+  ) {
+    let media = [];
+    const videoId = item.id;
 
     try {
-      // Read video file
-      const videoBuffer = await fs.readFile(videoPath);
-
-      // Upload media
-      console.log("📤 Uploading media to X...");
-      const mediaId = await this.twitterClient.v1.uploadMedia(videoBuffer, {
-        mimeType: "video/mp4",
-        target: "tweet",
+      log.info(
+        `🎬 Processing ${summarizeMedia(item.media)}: Message ID ${
+          item.message.id
+        } from ${source.name}`
+      );
+
+      // Download media (every item of an album)
+      media = await this.downloadMedia(item);
+
+      // Fingerprint the original files, before any transcoding changes them,
+      // and before a duplicate costs caption model calls or a review
+      const duplicate = await this.deduplicator.findByContent(
+        source,
+        item,
+        media
+      );
+      if (duplicate && !skipDedup) {
+        this.recordDuplicate(source, item, duplicate);
+        return "duplicate";
+      }
+
+      const { originalCaption, finalCaption, fitCaption, approved } =
+        await this.captionFor(source, item);
+
+      // In review mode nothing goes out before a reviewer approves it
+      if (this.reviewChat && !approved && !skipReview) {
+        await this.reviewChat.request(
+          this.telegramClient,
+          source,
+          item,
+          originalCaption,
+          finalCaption
+        );
+        return "review";
+      }
+
+      // Fix videos that break X's limits before uploading
+      await this.prepareMedia(media);
+
+      // Cross-post to every destination - this is where most failures occur
+      const results = await this.crossPost(
+        source,
+        item,
+        media,
+        fitCaption,
+        originalCaption
+      );
+      const posted = results.filter((entry) => entry.result);
+
+      if (posted.length === 0) {
+        log.info(
+          results.some((entry) => entry.retrying)
+            ? "🔁 Media not posted yet, queued for retry"
+            : "⏭️  Media failed on every destination and will be skipped in future runs"
+        );
+        return "failed";
+      }
+
+      // Later copies of this media are recognised as duplicates
+      this.deduplicator.remember(source, item);
+
+      // Mark as processed (using improved ID generation) once no destination is left
+      if (this.pendingPublishers(source, item).length === 0) {
+        this.markVideoProcessed(source, videoId, item.message.id);
+      }
+
+      log.info(
+        `🎉 Successfully posted ${summarizeMedia(media)} to ${posted
+          .map((entry) => entry.publisher)
+          .join(", ")}!`
+      );
+      this.notifications.notify(
+        "posted",
+        `Posted message ${item.message.id} from ${source.name}`,
+        posted
+          .map(({ publisher, result }) =>
+            result.url ? `${publisher}: ${result.url}` : publisher
+          )
+          .join("\n"),
+        {
+          source: source.name,
+          itemId: item.id,
+          messageId: item.message.id,
+          posts: posted.map(({ publisher, result }) => ({
+            publisher,
+            id: result.id,
+            url: result.url,
+          })),
+        }
+      );
+      return "posted";
+    } catch (uploadError) {
+      // Handle specific upload failures
+      log.error(`❌ Failed to process message ${item.message.id}`, {
+        error: uploadError,
       });
 
-      // Prepare tweet text
-      let tweetText = caption;
-      if (tweetText.length > 280) {
-        tweetText = tweetText.substring(0, 277) + "...";
+      // Queue transient failures for retry, mark the rest as failed
+      const failure = this.recordFailure(source, item, uploadError);
+      if (!failure.retrying) {
+        log.info(
+          "⏭️  Video marked as failed and will be skipped in future runs"
+        );
       }
+      return "failed";
+    } finally {
+      this.crossPosting = null;
+      // Always cleanup downloaded files for this item
+      await this.cleanup(media.map((file) => file.path));
+    }
+  }
+
+  // Run the pipeline up to the point of posting and describe what would happen.
+  // Nothing is posted and no state is written. With `download` the media is
+  // also fetched and probed, then removed again; a duplicate found that way
+  // is reported without generating its caption.
+  async preview({ download = false } = {}) {
+    this.dryRun = true;
 
-      if (!tweetText.trim()) {
-        tweetText = "🎥 Video from Telegram"; // Default text if no caption
+    try {
+      await this.initialize();
+
+      const selection = await this.selectNextItem();
+      if (!selection) return null;
+
+      const { source, item } = selection;
+      const plan = {
+        source: source.name,
+        messageId: item.message.id,
+        itemId: item.id,
+        retry: !!selection.retry,
+        strategy: item.strategy,
+        date: new Date(item.date * 1000).toISOString(),
+        media: item.media.map((entry) => ({
+          kind: entry.kind,
+          mimeType: entry.mimeType,
+          sizeMB: Number((entry.size / (1024 * 1024)).toFixed(2)),
+          duration: entry.duration,
+          width: entry.width,
+          height: entry.height,
+        })),
+      };
+
+      if (download) {
+        await this.probeForPreview(source, item, plan);
+        if (plan.duplicateOf) return plan;
       }
 
-      // Post tweet with video
-      console.log("📝 Posting tweet...");
-      const tweet = await this.twitterClient.v2.tweet({
-        text: tweetText,
-        media: { media_ids: [mediaId] },
+      const { originalCaption, finalCaption, fitCaption, approved } =
+        await this.captionFor(source, item);
+      Object.assign(plan, {
+        review: this.reviewChat ? (approved ? "approved" : "requested") : null,
+        originalCaption,
+        finalCaption,
+        weightedLength: weightedLength(finalCaption),
+        publishers: this.pendingPublishers(source, item).map((publisher) => {
+          const posts = publisher.formatPosts(fitCaption(publisher));
+          const deferral = this.deferralFor(publisher);
+          return {
+            name: publisher.name,
+            label: publisher.label,
+            text: posts.join("\n\n"),
+            posts: posts.length,
+            length: Math.max(...posts.map((post) => publisher.textLength(post))),
+            maxLength: publisher.maxLength,
+            deferredUntil: deferral
+              ? new Date(deferral.until).toISOString()
+              : null,
+            deferredBecause: deferral ? deferral.reason : null,
+          };
+        }),
       });
+      return plan;
+    } finally {
+      if (this.telegramClient) {
+        await this.telegramClient.disconnect();
+      }
+      this.store.close();
+    }
+  }
 
-      console.log(`✅ Successfully posted to X! Tweet ID: ${tweet.data.id}`);
-      return tweet;
+  // Download the item and add what ffprobe finds (and what would be fixed) to
+  // the plan, along with the earlier post it duplicates, if any
+  async probeForPreview(source, item, plan) {
+    let files = [];
+    try {
+      files = await this.downloadMedia(item);
+
+      const duplicate = await this.deduplicator.findByContent(
+        source,
+        item,
+        files
+      );
+      if (duplicate) {
+        plan.duplicateOf = this.recordDuplicate(source, item, duplicate);
+      }
+
+      for (const [index, file] of files.entries()) {
+        if (!file.mimeType.startsWith("video/")) continue;
+
+        try {
+          const info = await this.videoPreparer.probe(file.path);
+          const problems = this.videoPreparer.findProblems(info);
+          plan.media[index].probe = {
+            ...info,
+            problems,
+            wouldTranscode: this.transcodeEnabled && problems.length > 0,
+          };
+        } catch (error) {
+          plan.media[index].probe = { error: error.message };
+        }
+      }
     } catch (error) {
-      console.error("❌ Error uploading to X:", error);
-      throw error;
+      plan.downloadError = error.message;
+    } finally {
+      await this.cleanup(files.map((file) => file.path));
     }
   }
 
-  async cleanup(videoPath) {
+  // Post the next item unless every destination is rate-limited. Resolves to
+  // "posted", "failed" (or queued for retry), "review", "idle" or "rate-limited".
+  // `liveOnly` only looks at the live queue.
+  async postNext({ liveOnly = false } = {}) {
+    if (this.reviewChat) {
+      await this.pollReviews();
+    }
+
+    // Nothing can be posted while every destination is rate-limited or at
+    // its own limits
+    const deferrals = this.publishers.map((publisher) =>
+      this.deferralFor(publisher)
+    );
+    if (deferrals.every(Boolean)) {
+      log.info(
+        `⏳ All destinations are rate-limited or at their limits until ${new Date(
+          Math.min(...deferrals.map((deferral) => deferral.until))
+        ).toISOString()}, skipping this run`
+      );
+      return "rate-limited";
+    }
+
+    // A duplicate doesn't use up the run: move on to the next item
+    for (let attempt = 0; attempt < MAX_DUPLICATES_PER_RUN; attempt++) {
+      const selection = await this.selectNextItem({ liveOnly });
+      if (!selection) {
+        log.info("✅ No more media to process. All caught up!");
+        if (!liveOnly) {
+          this.notifications.notify(
+            "idle",
+            "Nothing left to post",
+            `Every source has been posted up to its newest media: ${this.sources
+              .map((source) => source.name)
+              .join(", ")}`
+          );
+        }
+        return "idle";
+      }
+
+      const outcome = await this.processItem(selection.source, selection.item);
+      // Failures and retries are tracked elsewhere from here on
+      if (selection.live) {
+        this.liveQueue.remove(selection.source, selection.item.id);
+      }
+      if (outcome !== "duplicate") return outcome;
+    }
+
+    log.warn(
+      `⚠️  ${MAX_DUPLICATES_PER_RUN} duplicates in a row, stopping this run`
+    );
+    return "duplicate";
+  }
+
+  async run() {
     try {
-      if (await fs.pathExists(videoPath)) {
-        await fs.remove(videoPath);
-        console.log("🧹 Cleaned up downloaded video file");
+      await this.initialize();
+
+      log.info("🚀 Starting daily video processing (1 video per run)");
+      const outcome = await this.postNext();
+
+      // Summary
+      if (outcome === "posted") {
+        log.info("📊 Run completed successfully - 1 video posted!");
+      } else if (outcome === "failed") {
+        log.info("📊 Run completed - 1 video failed or queued for retry");
+      } else if (outcome === "review") {
+        log.info("📊 Run completed - 1 video sent to the review chat");
+      } else if (outcome === "duplicate") {
+        log.info("📊 Run completed - only duplicates found, nothing posted");
       }
     } catch (error) {
-      console.log("⚠️  Could not clean up video file:", error.message);
+      log.error("❌ Critical error during execution", { error });
+      // Auth failures were already reported as such
+      if (!isAuthFailure(error)) {
+        this.notifyError("Critical error during execution", error);
+      }
+      process.exitCode = 1;
+    } finally {
+      await this.notifications.flush();
+      // Disconnect from Telegram
+      if (this.telegramClient) {
+        await this.telegramClient.disconnect();
+        log.info("👋 Disconnected from Telegram");
+      }
+      this.store.close();
     }
   }
 
-  async run() {
-    const maxVideosPerRun = 1; // Process only 1 video per run (perfect for daily cron jobs)
-    let processedCount = 0;
-    let failedCount = 0;
+  // Long-running mode: post on this.schedule and keep the Telegram connection
+  // open in between. SIGTERM/SIGINT let the post in flight finish; if it takes
+  // longer than SHUTDOWN_TIMEOUT_SECONDS it is rolled back instead.
+  // With `listen`, new media is also queued as it arrives (see startListening).
+  async daemon({ listen = false } = {}) {
+    let inFlight = null;
+
+    const shutdown = (signal) => {
+      if (this.stopping) {
+        log.info(`🛑 ${signal} received again, exiting now`);
+        process.exit(1);
+      }
+
+      this.stopping = true;
+      log.info(`🛑 ${signal} received, shutting down...`);
+      if (this.wake) this.wake();
+      if (inFlight) {
+        log.info(
+          `⏳ Waiting up to ${this.shutdownTimeoutMs / 1000}s for the post in flight`
+        );
+        setTimeout(() => this.abortInFlight(), this.shutdownTimeoutMs).unref();
+      }
+    };
+    process.on("SIGTERM", shutdown);
+    process.on("SIGINT", shutdown);
 
+    let statusServer = null;
     try {
+      if (this.statusPort) {
+        statusServer = await startStatusServer({
+          port: this.statusPort,
+          host: this.statusHost,
+          health: () => this.health(),
+        });
+      }
       await this.initialize();
+      log.info(
+        `🕰️  Daemon started: ${this.schedule.description} (${this.schedule.timeZone})`
+      );
+      if (listen) {
+        this.listening = true;
+        await this.startListening();
+      }
 
-      console.log("🚀 Starting daily video processing (1 video per run)");
+      let next = null;
+      while (!this.stopping) {
+        if (next === null) {
+          next = this.schedule.next();
+          log.info(`⏰ Next post at ${new Date(next).toISOString()}`);
+        }
+        await this.sleepUntilNextPost(next);
+        if (this.stopping) break;
+
+        // Woken early by the listener: post what it queued, keep the slot
+        const due = Date.now() >= next;
+        inFlight = due ? this.postScheduled() : this.postQueuedNow();
+        await inFlight;
+        inFlight = null;
+        if (due) next = null;
+      }
+    } finally {
+      process.off("SIGTERM", shutdown);
+      process.off("SIGINT", shutdown);
+      if (statusServer) statusServer.close();
+      await this.notifications.flush();
+      await this.resetTelegramClient();
+      this.store.close();
+      log.info("👋 Daemon stopped");
+    }
+  }
 
-      while (processedCount + failedCount < maxVideosPerRun) {
-        let videoPath = null;
-        let videoMessage = null;
+  // One scheduled post. Errors never end the daemon; the connection is
+  // rebuilt so the next slot starts from a clean one.
+  async postScheduled() {
+    try {
+      await this.ensureTelegramConnected();
+      const outcome = await this.postNext();
+      log.info(`📊 Scheduled post finished: ${outcome}`);
+    } catch (error) {
+      log.error("❌ Error during scheduled post", { error });
+      this.notifyError("Error during scheduled post", error);
+      // Let the Telegram notifier use the connection before it goes
+      await this.notifications.flush();
+      await this.resetTelegramClient();
+    }
+  }
 
-        try {
-          // Find oldest unprocessed video
-          videoMessage = await this.findOldestUnprocessedVideo();
+  // LIVE_POSTING=immediate: post everything the listener queued, one item at
+  // a time, unless the schedule's windows or quiet days rule out posting now
+  async postQueuedNow() {
+    this.postNow = false;
+    if (!this.schedule.isAllowed(Date.now())) {
+      log.info("⏸️  Outside the posting windows, queued media waits for the next slot");
+      return;
+    }
 
-          if (!videoMessage) {
-            console.log("✅ No more videos to process. All caught up!");
-            break;
-          }
+    try {
+      await this.ensureTelegramConnected();
+      const outcome = await this.postNext({ liveOnly: true });
+      log.info(`📊 Live post finished: ${outcome}`);
+      // More waiting: go again, unless nothing can be posted right now
+      if (outcome !== "rate-limited" && this.liveQueue.list().length > 0) {
+        this.postNow = true;
+      }
+    } catch (error) {
+      log.error("❌ Error during live post", { error });
+      await this.resetTelegramClient();
+    }
+  }
+
+  // Subscribe to new, edited and deleted messages in every source, then
+  // catch up on what arrived while the client was offline. Runs again for
+  // every new client (ensureTelegramConnected); gramjs's own reconnects
+  // trigger another catch-up pass.
+  async startListening() {
+    const client = this.telegramClient;
+
+    for (const source of this.sources) {
+      const entity = await this.getSourceEntity(source);
+      client.addEventHandler(
+        (event) => this.onLiveMessage(source, event.message),
+        new NewMessage({ chats: [entity] })
+      );
+      client.addEventHandler(
+        (event) => this.onLiveMessage(source, event.message, { edited: true }),
+        new EditedMessage({ chats: [entity] })
+      );
+    }
+    client.addEventHandler(
+      (event) => this.onLiveDeletion(event),
+      new DeletedMessage({})
+    );
+    client.addEventHandler(
+      (update) => {
+        if (update.state === UpdateConnectionState.connected) {
+          this.catchUpLive();
+        }
+      },
+      new Raw({ types: [UpdateConnectionState] })
+    );
+
+    log.info(
+      `👂 Listening for new media in ${this.sources
+        .map((source) => source.name)
+        .join(", ")} (${this.livePosting} posting)`
+    );
+    await this.catchUpLive();
+  }
+
+  // Queue a new (or edited) message from a source. Edits re-check queued
+  // items: they are dropped when the media is gone or the new version no
+  // longer passes the filters. Errors are logged, never thrown, since gramjs
+  // calls this from its update loop.
+  async onLiveMessage(source, message, { edited = false } = {}) {
+    try {
+      if (!edited) this.liveQueue.setLastSeen(source, message.id);
+
+      if (!getMediaKind(message)) {
+        const [entry] = edited
+          ? this.liveQueue.findMessages(source, [message.id])
+          : [];
+        if (entry) {
+          log.info(
+            `✏️  Queued message ${message.id} no longer has media, dropping it`
+          );
+          this.liveQueue.remove(source, entry.itemId);
+        }
+        return;
+      }
 
-          const videoId = this.generateVideoId(videoMessage);
-          console.log(`🎬 Processing video: Message ID ${videoMessage.id}`);
+      const item = await this.buildPostItem(source, message);
+      const queued = this.liveQueue.find(source, item.id);
+      // Another message of an album that is already queued
+      if (queued && !edited) return;
 
-          // Extract original caption
-          const originalCaption = await this.extractVideoCaption(videoMessage);
-          console.log(
-            `📝 Original caption: ${originalCaption || "(no caption)"}`
+      if (!(await this.isCandidate(source, item))) {
+        if (queued) {
+          log.info(
+            `✏️  Queued message ${item.message.id} was edited and is no longer eligible, dropping it`
           );
+          this.liveQueue.remove(source, item.id);
+        }
+        return;
+      }
 
-          // Rewrite caption using OpenAI
-          const rewrittenCaption = await this.rewriteCaption(originalCaption);
-          console.log(`✨ Final caption: ${rewrittenCaption}`);
+      if (queued) {
+        // The item is loaded again before posting, so the edit is picked up then
+        this.liveQueue.markEdited(source, item.id);
+        log.info(
+          `✏️  Queued message ${item.message.id} was edited, the new version will be posted`
+        );
+        return;
+      }
 
-          // Download video
-          videoPath = await this.downloadVideo(videoMessage);
+      if (this.liveQueue.add(source, item)) {
+        log.info(
+          `📥 Queued new ${summarizeMedia(item.media)}: Message ID ${
+            item.message.id
+          } from ${source.name}`
+        );
+        if (this.livePosting === "immediate") {
+          this.postNow = true;
+          if (this.wake) this.wake();
+        }
+      }
+    } catch (error) {
+      log.warn(
+        `⚠️  Could not queue message ${message.id} from ${source.name}`,
+        { error }
+      );
+    }
+  }
 
-          // Upload to Twitter - this is where most failures occur
-          await this.uploadToTwitter(videoPath, rewrittenCaption);
+  // Drop queued items whose message was deleted. Telegram only says which
+  // channel a deletion happened in; elsewhere message IDs are matched in
+  // every source that isn't a channel.
+  onLiveDeletion(event) {
+    const channelId = event.peer && event.peer.channelId;
+    for (const source of this.sources) {
+      const isChannel = source.entity && source.entity.className === "Channel";
+      if (
+        channelId
+          ? !isChannel || String(source.entity.id) !== String(channelId)
+          : isChannel
+      ) {
+        continue;
+      }
 
-          // Mark as processed (using improved ID generation)
-          this.processedVideos.add(videoId);
-          this.saveProcessedVideos();
+      for (const entry of this.liveQueue.findMessages(source, event.deletedIds)) {
+        log.info(
+          `🗑️  Queued message ${entry.messageId} was deleted in ${source.name}, dropping it`
+        );
+        this.liveQueue.remove(source, entry.itemId);
+      }
+    }
+  }
 
-          processedCount++;
-          console.log("🎉 Successfully processed and posted video!");
-        } catch (uploadError) {
-          // Handle specific upload failures
-          console.error(
-            `❌ Failed to process video ${videoMessage?.id}:`,
-            uploadError.message
-          );
+  // Queue everything that arrived after the newest message the listener has
+  // seen. The first time a source is listened to, only its position is
+  // recorded: older media is left to the regular scan.
+  async catchUpLive() {
+    if (this.catchingUp) return this.catchingUp;
 
-          if (videoMessage) {
-            const videoId = this.generateVideoId(videoMessage);
-
-            // Determine failure reason based on error
-            let failureReason = "Unknown upload error";
-
-            if (uploadError.message.includes("video longer than")) {
-              failureReason = "Video too long (>2 minutes)";
-            } else if (
-              uploadError.message.includes("Forbidden") ||
-              uploadError.code === 403
-            ) {
-              failureReason = "Twitter API forbidden (video restrictions)";
-            } else if (
-              uploadError.message.includes("too large") ||
-              uploadError.message.includes("file size")
-            ) {
-              failureReason = "Video file too large";
-            } else if (
-              uploadError.message.includes("format") ||
-              uploadError.message.includes("codec")
-            ) {
-              failureReason = "Unsupported video format";
-            } else if (uploadError.code === 429) {
-              failureReason = "Rate limit exceeded";
-            } else if (uploadError.code >= 400 && uploadError.code < 500) {
-              failureReason = `Client error: ${uploadError.code}`;
-            } else if (uploadError.code >= 500) {
-              failureReason = `Server error: ${uploadError.code}`;
-            }
+    this.catchingUp = (async () => {
+      for (const source of this.sources) {
+        try {
+          const entity = await this.getSourceEntity(source);
+          const lastSeen = this.liveQueue.lastSeen(source);
+
+          if (lastSeen === null) {
+            const [newest] = await this.telegramClient.getMessages(entity, {
+              limit: 1,
+            });
+            this.liveQueue.setLastSeen(source, newest ? newest.id : 0);
+            continue;
+          }
 
-            // Add to failed videos list
-            this.addFailedVideo(videoId, failureReason, uploadError);
-            failedCount++;
+          const before = this.liveQueue.list(source).length;
+          let examined = 0;
+          for await (const message of this.telegramClient.iterMessages(entity, {
+            reverse: true,
+            limit: this.scanBudget,
+            offsetId: lastSeen,
+          })) {
+            examined++;
+            await this.onLiveMessage(source, message);
+          }
 
-            console.log(
-              "⏭️  Video marked as failed and will be skipped in future runs"
+          const queued = this.liveQueue.list(source).length - before;
+          if (examined > 0) {
+            log.info(
+              `🔄 Caught up on ${examined} messages in ${source.name} since message ID ${lastSeen}, ${queued} queued`
             );
           }
-        } finally {
-          // Always cleanup downloaded file for this video
-          if (videoPath) {
-            await this.cleanup(videoPath);
-          }
+        } catch (error) {
+          log.warn(`⚠️  Catch-up for ${source.name} failed`, { error });
         }
+      }
+    })();
+
+    try {
+      await this.catchingUp;
+    } finally {
+      this.catchingUp = null;
+    }
+  }
+
+  // Shutdown deadline passed with a post still running. Each destination is
+  // recorded as soon as it succeeds, so a cross-post cut short keeps those
+  // posts; like a partial failure the item is then remembered for
+  // deduplication, and the destinations still left are queued to be retried
+  // on the next start. An item posted nowhere yet is simply picked again.
+  async abortInFlight() {
+    log.info("⏱️  Post in flight didn't finish in time, stopping it");
+    const partial = this.crossPosting;
+    if (partial && partial.results.some((entry) => entry.result)) {
+      const { source, item } = partial;
+      this.store.transaction(() => {
+        this.deduplicator.remember(source, item);
+        for (const publisher of this.pendingPublishers(source, item)) {
+          this.retryQueue.schedule(source, item, publisher.name, {
+            reason: "Interrupted by shutdown",
+            nextAttemptAt: Date.now(),
+            countAttempt: false,
+          });
+        }
+      });
+      log.info(
+        `📌 Kept the posts to ${partial.results
+          .filter((entry) => entry.result)
+          .map((entry) => entry.publisher)
+          .join(", ")}, the rest is retried on the next start`
+      );
+    }
+    await fs.emptyDir(this.downloadDir);
+    this.store.close();
+    process.exit(1);
+  }
 
-        // No delay needed since we only process 1 video per run
+  // Between posts the review chat is still read every REVIEW_POLL_MINUTES,
+  // so reviewers get answers to edits and regenerations quickly. While
+  // listening, the connection is checked every LIVE_CHECK_MINUTES: a client
+  // gramjs gave up on is replaced, and the new one catches up on what was missed.
+  // Engagement snapshots are collected every ENGAGEMENT_CHECK_MINUTES.
+  async sleepUntilNextPost(time) {
+    const intervals = [];
+    if (this.reviewChat) intervals.push(this.reviewPollMs);
+    if (this.listening) intervals.push(this.liveCheckMs);
+    const telegramPolling = intervals.length > 0;
+    if (this.engagement.enabled) intervals.push(this.engagementCheckMs);
+    const polling = intervals.length > 0;
+
+    while (!this.stopping && !this.postNow && Date.now() < time) {
+      if (this.engagement.enabled) await this.collectEngagement();
+      await this.sleepUntil(
+        polling ? Math.min(time, Date.now() + Math.min(...intervals)) : time
+      );
+      if (
+        telegramPolling &&
+        !this.stopping &&
+        !this.postNow &&
+        Date.now() < time
+      ) {
+        try {
+          await this.ensureTelegramConnected();
+          if (this.reviewChat) await this.pollReviews();
+        } catch (error) {
+          log.warn(
+            `⚠️  ${this.reviewChat ? "Review chat poll" : "Connection check"} failed`,
+            { error }
+          );
+        }
       }
+    }
+  }
 
-      // Summary
-      if (processedCount > 0) {
-        console.log("📊 Run completed successfully - 1 video posted!");
-      } else if (failedCount > 0) {
-        console.log(
-          "📊 Run completed - 1 video failed and marked for skipping"
+  // Fetch the engagement snapshots that are due, at most once per
+  // ENGAGEMENT_CHECK_MINUTES unless `force`d. Never throws.
+  async collectEngagement({ force = false } = {}) {
+    if (!force && Date.now() < this.nextEngagementCheck) return 0;
+    this.nextEngagementCheck = Date.now() + this.engagementCheckMs;
+
+    try {
+      return await this.engagement.collect();
+    } catch (error) {
+      log.warn("⚠️  Engagement collection failed", { error });
+      return 0;
+    }
+  }
+
+  // Sleep in chunks (setTimeout can't wait more than ~24 days), waking early
+  // on shutdown and when the listener has something to post
+  async sleepUntil(time) {
+    while (!this.stopping && !this.postNow && Date.now() < time) {
+      await new Promise((resolve) => {
+        const timer = setTimeout(
+          resolve,
+          Math.min(time - Date.now(), 60 * 60 * 1000)
+        );
+        this.wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      this.wake = null;
+    }
+  }
+
+  async ensureTelegramConnected() {
+    if (this.telegramClient && this.telegramClient.connected) return;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        log.info("🔌 Connecting to Telegram...");
+        await this.resetTelegramClient();
+        await this.initializeTelegramClient();
+        // Handlers belong to the old client
+        if (this.listening) await this.startListening();
+        return;
+      } catch (error) {
+        // A revoked session won't come back by retrying
+        if (isAuthFailure(error)) {
+          this.notifyAuthFailure("Telegram", error);
+          throw error;
+        }
+        if (attempt >= 3 || this.stopping) throw error;
+
+        const delay = 30 * 1000 * 2 ** (attempt - 1);
+        log.warn(
+          `⚠️  Telegram connection failed (${error.message}), retrying in ${
+            delay / 1000
+          }s`
         );
+        await this.sleepUntil(Date.now() + delay);
+        if (this.stopping) throw error;
       }
+    }
+  }
+
+  async resetTelegramClient() {
+    if (!this.telegramClient) return;
+
+    try {
+      await this.telegramClient.disconnect();
     } catch (error) {
-      console.error("❌ Critical error during execution:", error);
-      process.exit(1);
-    } finally {
-      // Disconnect from Telegram
-      if (this.telegramClient) {
-        await this.telegramClient.disconnect();
-        console.log("👋 Disconnected from Telegram");
-      }
+      log.warn("⚠️  Error while disconnecting from Telegram", { error });
     }
+    this.telegramClient = null;
   }
 }
 
-// Run the application
-const poster = new TelegramToXPoster();
-poster.run().catch(console.error);
+module.exports = { TelegramToXPoster };
+
+// Run the application (commands are in src/cli.js)
+if (require.main === module) {
+  const { main } = require("./src/cli");
+  main(
+    process.argv.slice(2),
+    ({ dryRun, ...options }) =>
+      new TelegramToXPoster(loadConfig(options), { dryRun })
+  );
+}
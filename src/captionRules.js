@@ -0,0 +1,261 @@
+const { zonedParts } = require("./schedule");
+
+const ELLIPSIS = "...";
+const LINK_PATTERN = /(?:\bhttps?:\/\/|\bwww\.|\bt\.me\/)\S+/giu;
+// Telegram usernames: 5-32 characters, starting with a letter
+const HANDLE_PATTERN = /(^|[^\p{L}\p{N}_@])@[a-z][a-z0-9_]{4,31}(?![\p{L}\p{N}_])/giu;
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_#])#[\p{L}\p{N}_]+/gu;
+const wordSegmenter = new Intl.Segmenter(undefined, { granularity: "word" });
+const sentenceSegmenter = new Intl.Segmenter(undefined, {
+  granularity: "sentence",
+});
+
+function splitList(value) {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Whole-word, case-insensitive match that also works outside ASCII
+function wordPattern(word) {
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}_])${escapeRegExp(word)}(?![\\p{L}\\p{N}_])`,
+    "giu"
+  );
+}
+
+function toHashtag(tag) {
+  return tag.startsWith("#") ? tag : `#${tag}`;
+}
+
+// Collapse the gaps scrubbing leaves behind
+function tidy(text) {
+  return text
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Shorten `text` at a word boundary, ending in "...", until `fits(text)`
+// holds. Cuts between word segments, so CJK text, emoji sequences and
+// surrogate pairs are never split.
+function truncateText(text, fits) {
+  if (fits(text)) return text;
+
+  const segments = Array.from(wordSegmenter.segment(text), (s) => s.segment);
+  const cut = (count) =>
+    segments
+      .slice(0, count)
+      .join("")
+      .replace(/[\s,;:.\-–—]+$/u, "") + ELLIPSIS;
+
+  // Longest prefix that fits
+  let low = 0;
+  let high = segments.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (fits(cut(middle))) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low > 0 || fits(ELLIPSIS) ? cut(low) : "";
+}
+
+// Longest run of whole words from the start of `text` that `fits`, and the
+// rest. A single word too long for a post is split between graphemes.
+function splitAtWord(text, fits) {
+  let segments = Array.from(wordSegmenter.segment(text), (s) => s.segment);
+  if (!fits(segments[0].trim())) {
+    segments = [...segments[0]];
+  }
+
+  let count = 1;
+  while (
+    count < segments.length &&
+    fits(segments.slice(0, count + 1).join("").trim())
+  ) {
+    count++;
+  }
+  return [
+    segments.slice(0, count).join("").trim(),
+    segments.slice(count).join("").trim(),
+  ];
+}
+
+// Pack sentences into as few posts as possible, each one passing `fits`
+function packSentences(text, fits) {
+  const posts = [];
+  let current = "";
+
+  for (const { segment } of sentenceSegmenter.segment(text)) {
+    if (fits(`${current}${segment}`.trim())) {
+      current += segment;
+      continue;
+    }
+
+    if (current.trim()) posts.push(current.trim());
+    current = segment;
+    // A sentence longer than a whole post is split between words
+    while (!fits(current.trim())) {
+      const [head, rest] = splitAtWord(current.trim(), fits);
+      posts.push(head);
+      current = rest;
+    }
+  }
+  if (current.trim()) posts.push(current.trim());
+  return posts;
+}
+
+// Split `text` at sentence boundaries into numbered posts ("... 1/3") that
+// each pass `fits`. Text that fits in one post comes back unchanged.
+function splitIntoThread(text, fits) {
+  if (fits(text)) return [text];
+
+  // Leave room for the widest marker the thread can need
+  let width = 1;
+  let posts;
+  do {
+    const marker = ` ${"9".repeat(width)}/${"9".repeat(width)}`;
+    posts = packSentences(text, (post) => fits(post + marker));
+    width++;
+  } while (String(posts.length).length >= width);
+
+  return posts.map((post, index) => `${post} ${index + 1}/${posts.length}`);
+}
+
+// Post-rewrite caption stage: scrubbing, hashtag rules and the prefix /
+// suffix / credit templates, fitted to one publisher's length limit.
+// Templates can use {channel}, {date} (YYYY-MM-DD in `timeZone`) and {message_id}.
+class CaptionRules {
+  constructor({
+    prefix = "",
+    suffix = "",
+    credit = "",
+    hashtags = "",
+    hashtagMap = "",
+    stripHashtags = false,
+    bannedWords = "",
+    scrubPattern = "",
+    stripHandles = false,
+    stripLinks = false,
+    timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone,
+  } = {}) {
+    this.prefix = prefix || "";
+    this.suffix = suffix || "";
+    this.credit = credit || "";
+    this.hashtags = splitList(hashtags).map(toHashtag);
+    // "cat:#cats,football:#sport" -> add #cats when the caption says "cat"
+    this.hashtagMap = splitList(hashtagMap).map((entry) => {
+      const separator = entry.lastIndexOf(":");
+      if (separator <= 0 || separator === entry.length - 1) {
+        throw new Error(
+          `Invalid hashtag mapping "${entry}" (expected keyword:#tag)`
+        );
+      }
+      return {
+        pattern: wordPattern(entry.slice(0, separator).trim()),
+        tag: toHashtag(entry.slice(separator + 1).trim()),
+      };
+    });
+    this.stripHashtags = stripHashtags;
+    this.bannedWords = splitList(bannedWords).map(wordPattern);
+    try {
+      this.scrubPattern = scrubPattern ? new RegExp(scrubPattern, "giu") : null;
+    } catch (error) {
+      throw new Error(`Invalid caption scrub pattern: ${error.message}`);
+    }
+    this.stripHandles = stripHandles;
+    this.stripLinks = stripLinks;
+    this.timeZone = timeZone;
+  }
+
+  scrub(caption) {
+    let text = caption || "";
+    for (const pattern of this.bannedWords) {
+      text = text.replace(pattern, "");
+    }
+    if (this.scrubPattern) text = text.replace(this.scrubPattern, "");
+    if (this.stripLinks) text = text.replace(LINK_PATTERN, "");
+    if (this.stripHandles) text = text.replace(HANDLE_PATTERN, "$1");
+    if (this.stripHashtags) text = text.replace(HASHTAG_PATTERN, "$1");
+    return tidy(text);
+  }
+
+  // Configured and keyword-mapped tags the caption doesn't contain yet
+  tagsFor(caption) {
+    const present = new Set(
+      (caption.match(HASHTAG_PATTERN) || []).map((match) =>
+        match.slice(match.indexOf("#")).toLowerCase()
+      )
+    );
+    const tags = [];
+    const add = (tag) => {
+      if (present.has(tag.toLowerCase())) return;
+      present.add(tag.toLowerCase());
+      tags.push(tag);
+    };
+
+    this.hashtags.forEach(add);
+    for (const { pattern, tag } of this.hashtagMap) {
+      pattern.lastIndex = 0;
+      if (pattern.test(caption)) add(tag);
+    }
+    return tags;
+  }
+
+  fill(template, context) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      context[name] !== undefined ? String(context[name]) : placeholder
+    );
+  }
+
+  // `message` is { channel, date (Unix seconds), messageId }
+  templateContext({ channel, date, messageId }) {
+    const parts = zonedParts((date || Date.now() / 1000) * 1000, this.timeZone);
+    return {
+      channel,
+      message_id: messageId,
+      date: `${parts.year}-${String(parts.month).padStart(2, "0")}-${String(
+        parts.day
+      ).padStart(2, "0")}`,
+    };
+  }
+
+  // The caption as it will be posted to `publisher` (as it reads in full
+  // without one). When it is too long for the publisher, even as a thread,
+  // the caption itself is shortened first so the prefix, suffix, credit and
+  // hashtags survive.
+  apply(caption, message, publisher = null) {
+    const context = this.templateContext(message);
+    const body = this.scrub(caption);
+    const prefix = this.fill(this.prefix, context).trim();
+    const suffix = this.fill(this.suffix, context).trim();
+    const tail = [
+      this.fill(this.credit, context).trim(),
+      this.tagsFor(body).join(" "),
+    ]
+      .filter(Boolean)
+      .join(" ");
+
+    const compose = (text) =>
+      [[prefix, text, suffix].filter(Boolean).join(" "), tail]
+        .filter(Boolean)
+        .join("\n\n");
+    const fits = (text) => !publisher || publisher.fitsText(text);
+
+    const composed = compose(truncateText(body, (text) => fits(compose(text))));
+    // Fixed parts alone are over the limit: shorten the whole thing
+    return truncateText(composed, fits);
+  }
+}
+
+module.exports = { CaptionRules, truncateText, splitIntoThread };
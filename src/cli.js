@@ -0,0 +1,898 @@
+const fs = require("fs-extra");
+const { FILTER_REASON_PREFIX } = require("./filters");
+const { toHistoryEntry, formatHistory } = require("./history");
+const { engagementReport, METRICS } = require("./engagement");
+const { log } = require("./logger");
+const { loadConfig } = require("./config");
+const { login } = require("./telegramAuth");
+
+const USAGE = `Usage: node index.js [command] [options]
+
+Commands:
+  run                             Post the next item (default)
+  daemon                          Keep running and post on SCHEDULE
+  listen                          Like daemon, and also queue new media as it arrives
+  schedule [--count <n>]          Show the next posting times
+  --dry-run [--download]          Show what the next run would post, without posting
+  status                          Cursors, counts, retry queue and last post per source
+  list-failed [--reason <text>]   Failed items with their reasons
+  retry <id>                      Queue a failed item again (item ID or message ID)
+  retry --all [--reason <text>]   Queue every failed item (matching the reason)
+  skip <message-id>               Never post this message
+  unskip <message-id>             Undo a skip and queue the message again
+  set-cursor <message-id>         Continue scanning after this message
+  post <message-id>               Post this message now, even if it failed or is a duplicate
+  rescan [--from <message-id>]    Find items left behind the cursor by old versions
+  history [--limit <n>]           Recent posts, newest first
+  undo <post> [--requeue]         Delete a post (message ID, item ID, post ID or URL)
+                                  from its destinations; --requeue posts it again later
+  export [--format csv|json]      Post history for reporting [--output <file>]
+                                  [--since <date>] [--until <date>]
+  collect-engagement              Fetch the engagement snapshots that are due
+  report [--checkpoint <age>]     What performs best, from engagement snapshots
+                                  [--since <date>]
+  config check                    Validate the configuration and try every
+                                  credential, without posting anything
+  login [--phone] [--save]        Log in to Telegram (QR code, or phone number and
+                                  code) and print the session string; --save also
+                                  writes it to TELEGRAM_SESSION_FILE
+
+Options:
+  --config <file>                 Config file (default: CONFIG_FILE, then
+                                  config.yaml, config.yml or config.json)
+  --profile <name>                Profile in the config file (default: CONFIG_PROFILE)
+  --source <name>                 Source to work on (required with several sources)
+  --publisher <name>              Destination to work on (history, undo, export)
+  --json                          Print the result as JSON
+`;
+
+const BOOLEAN_FLAGS = new Set([
+  "json",
+  "all",
+  "download",
+  "dry-run",
+  "help",
+  "requeue",
+  "phone",
+  "save",
+]);
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+    } else if (BOOLEAN_FLAGS.has(arg.slice(2))) {
+      flags[arg.slice(2)] = true;
+    } else {
+      flags[arg.slice(2)] = argv[++i];
+    }
+  }
+
+  let command = positional.shift() || "run";
+  if (flags["dry-run"]) command = "dry-run";
+  if (flags.help) command = "help";
+  return { command, positional, flags };
+}
+
+function parseMessageId(value) {
+  const messageId = parseInt(value);
+  if (!Number.isInteger(messageId) || messageId <= 0) {
+    throw new Error(`Expected a message ID, got "${value || ""}"`);
+  }
+  return messageId;
+}
+
+// The --source option, or the only configured source
+function resolveSource(poster, name) {
+  if (name) {
+    const source = poster.sources.find((candidate) => candidate.name === name);
+    if (!source) throw new Error(`Unknown source: ${name}`);
+    return source;
+  }
+  if (poster.sources.length > 1) {
+    throw new Error("Several sources are configured, pick one with --source");
+  }
+  return poster.sources[0];
+}
+
+// Put an item back in front of the scanner: the cursor has already moved past
+// it, so it goes through the retry queue, due right away
+function queueAgain(poster, source, itemId, messageId) {
+  const posted = poster.store.getPosts(source.name, itemId);
+  const publishers = poster.publishers
+    .map((publisher) => publisher.name)
+    .filter((name) => !posted[name]);
+
+  for (const publisher of publishers) {
+    poster.retryQueue.schedule(
+      source,
+      { id: itemId, message: { id: messageId } },
+      publisher,
+      {
+        reason: "Queued again by operator",
+        nextAttemptAt: Date.now(),
+        countAttempt: false,
+      }
+    );
+  }
+  return publishers;
+}
+
+function toPost(row) {
+  return row
+    ? {
+        source: row.source,
+        itemId: row.item_id,
+        publisher: row.publisher,
+        postId: row.post_id,
+        url: row.url,
+        strategy: row.strategy,
+        postedAt: row.posted_at,
+      }
+    : null;
+}
+
+function status(poster) {
+  const now = Date.now();
+  const retries = poster.store.listRetries();
+
+  return {
+    sources: poster.sources.map((source) => {
+      const queued = retries.filter((entry) => entry.source === source.name);
+      return {
+        name: source.name,
+        cursor: source.currentOffset,
+        processed: poster.store.countProcessed(source.name),
+        failed: poster.store.countFailures(source.name),
+        filtered: poster.store.listFailures({
+          source: source.name,
+          reason: FILTER_REASON_PREFIX,
+        }).length,
+        retriesDue: queued.filter(
+          (entry) => Date.parse(entry.next_attempt_at) <= now
+        ).length,
+        retriesWaiting: queued.filter(
+          (entry) => Date.parse(entry.next_attempt_at) > now
+        ).length,
+        liveQueued: poster.liveQueue.list(source).length,
+        lastPost: toPost(poster.store.lastPost(source.name)),
+      };
+    }),
+    cooldowns: poster.store
+      .listCooldowns()
+      .filter((cooldown) => Date.parse(cooldown.until) > now),
+    // Destinations with their own daily limit or schedule
+    accounts: poster.publishers
+      .filter((publisher) => publisher.limits)
+      .map((publisher) => {
+        const deferral = poster.deferralFor(publisher, now);
+        return {
+          publisher: publisher.name,
+          postsToday: publisher.limits.recentPosts(
+            poster.store,
+            publisher.name,
+            now
+          ).length,
+          dailyLimit: publisher.limits.dailyLimit || null,
+          schedule: publisher.limits.paced
+            ? publisher.limits.schedule.description
+            : null,
+          pausedUntil: deferral ? new Date(deferral.until).toISOString() : null,
+          pausedBecause: deferral ? deferral.reason : null,
+        };
+      }),
+    lastPost: toPost(poster.store.lastPost()),
+    reviews: poster.reviewChat
+      ? {
+          pending: poster.store.listReviews("pending").length,
+          approved: poster.store.listReviews("approved").length,
+        }
+      : null,
+  };
+}
+
+function formatStatus(result) {
+  const lines = [];
+  for (const source of result.sources) {
+    lines.push(
+      `📺 ${source.name}`,
+      `   Cursor:     message ID ${source.cursor}`,
+      `   Processed:  ${source.processed}`,
+      `   Failed:     ${source.failed} (${source.filtered} filtered out)`,
+      `   Retries:    ${source.retriesDue} due, ${source.retriesWaiting} waiting`,
+      `   Live queue: ${source.liveQueued}`,
+      `   Last post:  ${
+        source.lastPost
+          ? `${source.lastPost.postedAt} on ${source.lastPost.publisher} (${
+              source.lastPost.url
+            })${source.lastPost.strategy ? `, picked by ${source.lastPost.strategy}` : ""}`
+          : "never"
+      }`
+    );
+  }
+  if (result.reviews) {
+    lines.push(
+      `📝 Reviews: ${result.reviews.pending} waiting for a decision, ${result.reviews.approved} approved`
+    );
+  }
+  for (const cooldown of result.cooldowns) {
+    lines.push(`⏳ ${cooldown.publisher} rate-limited until ${cooldown.until}`);
+  }
+  for (const account of result.accounts) {
+    lines.push(
+      `🐦 ${account.publisher}: ${account.postsToday}${
+        account.dailyLimit ? `/${account.dailyLimit}` : ""
+      } posts in the last 24 hours${
+        account.schedule ? `, schedule ${account.schedule}` : ""
+      }${
+        account.pausedUntil
+          ? `, paused until ${account.pausedUntil} (${account.pausedBecause})`
+          : ""
+      }`
+    );
+  }
+  return lines.join("\n");
+}
+
+function listFailed(poster, { flags }) {
+  return poster.store
+    .listFailures({ source: flags.source || null, reason: flags.reason || null })
+    .map((row) => ({
+      source: row.source,
+      itemId: row.item_id,
+      messageId: row.message_id,
+      publisher: row.publisher,
+      reason: row.reason,
+      error: row.error,
+      failedAt: row.failed_at,
+    }));
+}
+
+function formatFailed(failures) {
+  if (failures.length === 0) return "✅ No failed items";
+  return failures
+    .map(
+      (failure) =>
+        `❌ ${failure.failedAt}  ${failure.source}  message ${
+          failure.messageId || "?"
+        }  ${failure.publisher || "all destinations"}: ${failure.reason}\n   ${
+          failure.itemId
+        }`
+    )
+    .join("\n");
+}
+
+function retry(poster, { positional, flags }) {
+  if (!flags.all && !positional[0]) {
+    throw new Error("Pass an item/message ID, or --all");
+  }
+
+  const failures = poster.store.listFailures({
+    source: flags.source || null,
+    id: flags.all ? null : positional[0],
+    reason: flags.reason || null,
+  });
+  if (failures.length === 0) {
+    throw new Error("No matching failed items");
+  }
+
+  // One entry per item, even when it failed on several destinations
+  const items = new Map();
+  for (const row of failures) {
+    items.set(`${row.source}\n${row.item_id}`, row);
+  }
+
+  const results = [];
+  poster.store.transaction(() => {
+    for (const row of items.values()) {
+      const source = poster.sources.find((s) => s.name === row.source);
+      if (!source || !row.message_id) {
+        results.push({
+          source: row.source,
+          itemId: row.item_id,
+          queued: false,
+          reason: source ? "Unknown message ID" : "Source not configured",
+        });
+        continue;
+      }
+
+      poster.store.removeFailures(source.name, row.item_id);
+      results.push({
+        source: source.name,
+        itemId: row.item_id,
+        messageId: row.message_id,
+        queued: true,
+        publishers: queueAgain(poster, source, row.item_id, row.message_id),
+      });
+    }
+  });
+  return results;
+}
+
+function formatRetry(results) {
+  return results
+    .map((result) =>
+      result.queued
+        ? `🔁 Queued message ${result.messageId} from ${
+            result.source
+          } for ${result.publishers.join(", ") || "no destination (already posted)"}`
+        : `⚠️  Can't queue ${result.itemId} from ${result.source}: ${result.reason}`
+    )
+    .join("\n");
+}
+
+async function skip(poster, { positional, flags }) {
+  const source = resolveSource(poster, flags.source);
+  const item = await poster.loadItem(source, parseMessageId(positional[0]));
+
+  poster.store.transaction(() => {
+    poster.markVideoProcessed(source, item.id, item.message.id);
+    for (const publisher of poster.publishers) {
+      poster.retryQueue.remove(source, item.id, publisher.name);
+    }
+  });
+  return { source: source.name, itemId: item.id, messageId: item.message.id };
+}
+
+function unskip(poster, { positional, flags }) {
+  const source = resolveSource(poster, flags.source);
+  const messageId = parseMessageId(positional[0]);
+  const itemIds = poster.store.findProcessed(source.name, messageId);
+  if (itemIds.length === 0) {
+    throw new Error(`Message ${messageId} isn't marked as processed`);
+  }
+
+  return poster.store.transaction(() =>
+    itemIds.map((itemId) => {
+      const posted = Object.keys(poster.store.getPosts(source.name, itemId));
+      if (posted.length > 0) {
+        throw new Error(
+          `Message ${messageId} was posted to ${posted.join(", ")}, not skipped`
+        );
+      }
+
+      poster.store.unmarkProcessed(source.name, itemId);
+      return {
+        source: source.name,
+        itemId,
+        messageId,
+        publishers: queueAgain(poster, source, itemId, messageId),
+      };
+    })
+  );
+}
+
+function setCursor(poster, { positional, flags }) {
+  const source = resolveSource(poster, flags.source);
+  const messageId = parseInt(positional[0]);
+  if (!Number.isInteger(messageId) || messageId < 0) {
+    throw new Error(`Expected a message ID, got "${positional[0] || ""}"`);
+  }
+
+  const previous = source.currentOffset;
+  poster.saveOffset(source, messageId);
+  return { source: source.name, previous, cursor: messageId };
+}
+
+async function post(poster, { positional, flags }) {
+  const source = resolveSource(poster, flags.source);
+  const item = await poster.loadItem(source, parseMessageId(positional[0]));
+  item.strategy = "manual";
+
+  // Forcing a post overrides earlier failures and pending retry delays
+  poster.store.transaction(() => {
+    poster.store.removeFailures(source.name, item.id);
+    for (const publisher of poster.publishers) {
+      poster.retryQueue.remove(source, item.id, publisher.name);
+    }
+  });
+
+  const result = {
+    source: source.name,
+    itemId: item.id,
+    messageId: item.message.id,
+  };
+  if (poster.unsettledPublishers(source, item.id).length === 0) {
+    return { ...result, posted: false, reason: "Already posted everywhere" };
+  }
+  if (poster.pendingPublishers(source, item).length === 0) {
+    return {
+      ...result,
+      posted: false,
+      reason: "No route sends it to any destination",
+    };
+  }
+
+  const outcome = await poster.processItem(source, item, {
+    skipReview: true,
+    skipDedup: true,
+  });
+  return {
+    ...result,
+    posted: outcome === "posted",
+    posts: poster.store.getPosts(source.name, item.id),
+  };
+}
+
+function parseDate(value, flag) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Expected a date for --${flag}, got "${value}"`);
+  }
+  return new Date(time).toISOString();
+}
+
+function history(poster, { flags }) {
+  const limit = parseInt(flags.limit) || 20;
+  return poster.store
+    .listPosts({
+      source: flags.source || null,
+      publisher: flags.publisher || null,
+    })
+    .slice(-limit)
+    .reverse()
+    .map(toHistoryEntry);
+}
+
+function formatHistoryList(entries) {
+  if (entries.length === 0) return "ℹ️  Nothing posted yet";
+  return entries
+    .map(
+      (entry) =>
+        `${entry.deletedAt ? "🗑️ " : "🐦"} ${entry.postedAt}  ${entry.source}  message ${
+          entry.messageId || "?"
+        }  ${entry.publisher}: ${entry.url || entry.postId}${
+          entry.deletedAt ? ` (undone ${entry.deletedAt})` : ""
+        }`
+    )
+    .join("\n");
+}
+
+// Take the posts of one item down again. Without --requeue the item is
+// recorded as failed on those destinations so it isn't picked again
+// (`retry` queues it later); with it, it goes back in the queue right away.
+async function undo(poster, { positional, flags }) {
+  if (!positional[0]) {
+    throw new Error("Pass a message ID, item ID, post ID or post URL");
+  }
+
+  const rows = poster.store
+    .findPosts(positional[0], { source: flags.source || null })
+    .filter((row) => !flags.publisher || row.publisher === flags.publisher);
+  if (rows.length === 0) {
+    throw new Error(`No post matches "${positional[0]}"`);
+  }
+  const items = new Set(rows.map((row) => `${row.source}\n${row.item_id}`));
+  if (items.size > 1) {
+    throw new Error(
+      `"${positional[0]}" matches posts of ${items.size} items, narrow it down with --source`
+    );
+  }
+
+  const {
+    source: sourceName,
+    item_id: itemId,
+    message_id: messageId,
+  } = rows[0];
+  const results = [];
+  for (const row of rows) {
+    const publisher = poster.publishers.find(
+      (candidate) => candidate.name === row.publisher
+    );
+    const result = {
+      publisher: row.publisher,
+      postId: row.post_id,
+      url: row.url,
+    };
+    if (!publisher) {
+      results.push({
+        ...result,
+        deleted: false,
+        error: `${row.publisher} isn't configured (PUBLISHERS)`,
+      });
+      continue;
+    }
+
+    try {
+      await publisher.unpublish({
+        id: row.post_id,
+        threadIds: row.thread_ids ? JSON.parse(row.thread_ids) : null,
+      });
+      poster.store.markPostDeleted(row.id, new Date().toISOString());
+      results.push({ ...result, deleted: true });
+    } catch (error) {
+      log.error(
+        `❌ Could not delete post ${row.post_id} from ${publisher.label}`,
+        { error }
+      );
+      results.push({ ...result, deleted: false, error: error.message });
+    }
+  }
+
+  const deleted = results.filter((result) => result.deleted);
+  const source = poster.sources.find(
+    (candidate) => candidate.name === sourceName
+  );
+  let queued = null;
+  if (deleted.length > 0 && source) {
+    poster.store.transaction(() => {
+      // The media isn't up anywhere any more, so copies of it aren't duplicates
+      if (Object.keys(poster.store.getPosts(sourceName, itemId)).length === 0) {
+        poster.store.removeFingerprints(sourceName, itemId);
+      }
+
+      if (flags.requeue) {
+        poster.store.unmarkProcessed(sourceName, itemId);
+        poster.store.removeFailures(sourceName, itemId);
+        queued = queueAgain(poster, source, itemId, messageId);
+        return;
+      }
+      for (const result of deleted) {
+        poster.addFailedVideo(
+          source,
+          itemId,
+          "Undone by operator",
+          null,
+          result.publisher,
+          messageId,
+          { notify: false }
+        );
+      }
+    });
+  }
+
+  return { source: sourceName, itemId, messageId, results, queued };
+}
+
+function formatUndo(result) {
+  const lines = result.results.map((entry) =>
+    entry.deleted
+      ? `🗑️  Deleted ${entry.url || entry.postId} from ${entry.publisher}`
+      : `⚠️  Could not delete ${entry.url || entry.postId} from ${entry.publisher}: ${entry.error}`
+  );
+  if (result.queued) {
+    lines.push(
+      `🔁 Message ${result.messageId} from ${result.source} queued again for ${
+        result.queued.join(", ") || "no destination"
+      }`
+    );
+  }
+  return lines.join("\n");
+}
+
+async function exportHistory(poster, { flags }) {
+  const entries = poster.store
+    .listPosts({
+      source: flags.source || null,
+      publisher: flags.publisher || null,
+      since: parseDate(flags.since, "since"),
+      until: parseDate(flags.until, "until"),
+    })
+    .map(toHistoryEntry);
+  const content = formatHistory(entries, (flags.format || "csv").toLowerCase());
+
+  if (!flags.output) return { count: entries.length, content };
+  await fs.outputFile(flags.output, content);
+  return { count: entries.length, file: flags.output };
+}
+
+async function collectEngagement(poster) {
+  if (!poster.engagement.enabled) {
+    throw new Error("Engagement tracking is off (set ENGAGEMENT_CHECKPOINTS)");
+  }
+  return { snapshots: await poster.engagement.collect() };
+}
+
+// The longest configured checkpoint by default: the most settled numbers
+function report(poster, { flags }) {
+  const { checkpoints } = poster.engagement;
+  const checkpoint =
+    flags.checkpoint ||
+    (checkpoints.length > 0 ? checkpoints[checkpoints.length - 1].label : null);
+  if (!checkpoint) {
+    throw new Error("Pass --checkpoint, or set ENGAGEMENT_CHECKPOINTS");
+  }
+
+  return engagementReport(poster.store, {
+    checkpoint,
+    publisher: flags.publisher || null,
+    since: parseDate(flags.since, "since"),
+    timeZone: poster.schedule.timeZone,
+  });
+}
+
+function formatReport(result) {
+  if (result.posts === 0) {
+    return `ℹ️  No engagement snapshots at ${result.checkpoint} yet`;
+  }
+
+  const table = (title, groups) => [
+    "",
+    `${title}:`,
+    ...groups.map(
+      (group) =>
+        `   ${group.key.padEnd(16)} ${String(group.posts).padStart(4)} posts  ${METRICS.map(
+          (metric) =>
+            `${metric} ${group[metric] === null ? "-" : group[metric]}`
+        ).join("  ")}`
+    ),
+  ];
+  return [
+    `📈 Average engagement ${result.checkpoint} after posting, ${result.posts} posts${
+      result.publisher ? ` on ${result.publisher}` : ""
+    }${result.since ? ` since ${result.since}` : ""} (best first)`,
+    ...table("By source", result.bySource),
+    ...table("By caption", result.byCaptionStyle),
+    ...table("By destination", result.byPublisher),
+    ...table(`By posting hour (${result.timeZone})`, result.byHour),
+    ...table("By video duration", result.byDuration),
+  ].join("\n");
+}
+
+// Settings were validated when the poster was built; this tries the
+// credentials. Any failed check makes the exit code 1.
+async function configCommand(poster, { positional }) {
+  const action = positional[0] || "check";
+  if (action !== "check") {
+    throw new Error(`Unknown config command "${action}" (expected check)`);
+  }
+  const checks = await poster.checkConfig();
+  if (checks.some((check) => !check.ok)) process.exitCode = 1;
+  return { file: poster.configFile, profile: poster.profile, checks };
+}
+
+function formatConfigCheck(result) {
+  const origin = result.file
+    ? `${result.file}${result.profile ? `, profile ${result.profile}` : ""}`
+    : "environment only";
+  return [
+    `✅ Configuration is valid (${origin})`,
+    ...result.checks.map(
+      (check) => `${check.ok ? "✅" : "❌"} ${check.name}: ${check.detail}`
+    ),
+  ].join("\n");
+}
+
+// Human-readable version of a preview() plan
+function formatPlan(plan) {
+  if (!plan) {
+    return "✅ Nothing to post: every source is caught up";
+  }
+
+  const lines = [
+    "📋 Dry run: this is what the next run would post",
+    `   Source:      ${plan.source}`,
+    `   Message ID:  ${plan.messageId} from ${plan.date}, picked by ${plan.strategy}`,
+  ];
+  // Duplicates are reported before their caption is generated
+  if (!plan.duplicateOf) {
+    lines.push(
+      `   Original:    ${plan.originalCaption || "(no caption)"}`,
+      `   Final:       ${plan.finalCaption} (weighted length ${plan.weightedLength})`
+    );
+  }
+  lines.push("   Media:");
+
+  for (const media of plan.media) {
+    const details = [`${media.sizeMB}MB`];
+    if (media.duration) details.push(`${media.duration}s`);
+    if (media.width) details.push(`${media.width}x${media.height}`);
+    lines.push(`     - ${media.kind} (${media.mimeType}, ${details.join(", ")})`);
+
+    if (media.probe && media.probe.error) {
+      lines.push(`       probe failed: ${media.probe.error}`);
+    } else if (media.probe) {
+      lines.push(
+        `       ${media.probe.videoCodec}/${media.probe.audioCodec || "no audio"}, ${
+          media.probe.problems.length > 0
+            ? `needs fixing: ${media.probe.problems.join(", ")}`
+            : "no fixes needed"
+        }`
+      );
+    }
+  }
+  if (plan.review === "requested") {
+    lines.push("   📝 Review mode: this would be sent to the review chat, not posted");
+  } else if (plan.review === "approved") {
+    lines.push("   📝 Approved in review");
+  }
+  if (plan.downloadError) {
+    lines.push(`   ⚠️  Download failed: ${plan.downloadError}`);
+  }
+  if (plan.duplicateOf) {
+    lines.push(`   🪞 ${plan.duplicateOf}: a real run would skip it`);
+    return lines.join("\n");
+  }
+
+  lines.push("   Publishers:");
+  for (const publisher of plan.publishers) {
+    const status = publisher.deferredUntil
+      ? `deferred until ${publisher.deferredUntil} (${publisher.deferredBecause})`
+      : publisher.posts > 1
+        ? `thread of ${publisher.posts} posts, longest ${publisher.length}/${publisher.maxLength} characters`
+        : `${publisher.length}/${publisher.maxLength} characters`;
+    lines.push(`     - ${publisher.label}: ${status}`);
+  }
+  return lines.join("\n");
+}
+
+// `telegram`: needs a connected client. `selfContained`: opens and closes
+// everything itself. `standalone`: runs without a poster, and gets the
+// --config/--profile options instead. `dryRun`: the poster is built without
+// touching the state on disk. `format`: human-readable output (JSON
+// with --json).
+const COMMANDS = {
+  run: {
+    selfContained: true,
+    handler: (poster) => poster.run(),
+  },
+  daemon: {
+    selfContained: true,
+    handler: (poster) => poster.daemon(),
+  },
+  listen: {
+    selfContained: true,
+    handler: (poster) => poster.daemon({ listen: true }),
+  },
+  schedule: {
+    handler: (poster, { flags }) => ({
+      schedule: poster.schedule.description,
+      timeZone: poster.schedule.timeZone,
+      next: poster.schedule
+        .upcoming(parseInt(flags.count) || 5)
+        .map((time) => new Date(time).toISOString()),
+    }),
+    format: (result) =>
+      [
+        `🕰️  ${result.schedule} (${result.timeZone}), before jitter:`,
+        ...result.next.map((time) => `   ${time}`),
+      ].join("\n"),
+  },
+  "dry-run": {
+    selfContained: true,
+    dryRun: true,
+    handler: (poster, { flags }) => poster.preview({ download: !!flags.download }),
+    format: formatPlan,
+  },
+  status: { handler: status, format: formatStatus },
+  "list-failed": { handler: listFailed, format: formatFailed },
+  retry: { handler: retry, format: formatRetry },
+  skip: {
+    telegram: true,
+    handler: skip,
+    format: (result) =>
+      `⏭️  Message ${result.messageId} from ${result.source} will never be posted`,
+  },
+  unskip: {
+    handler: unskip,
+    format: (results) =>
+      results
+        .map(
+          (result) =>
+            `🔁 Message ${result.messageId} from ${result.source} queued again`
+        )
+        .join("\n"),
+  },
+  "set-cursor": {
+    handler: setCursor,
+    format: (result) =>
+      `📍 Cursor for ${result.source} moved from message ID ${result.previous} to ${result.cursor}`,
+  },
+  post: {
+    telegram: true,
+    handler: post,
+    format: (result) =>
+      result.posted
+        ? `🎉 Message ${result.messageId} posted: ${Object.values(result.posts)
+            .map((entry) => entry.url)
+            .join(", ")}`
+        : `ℹ️  Message ${result.messageId} not posted${
+            result.reason ? `: ${result.reason}` : ""
+          }`,
+  },
+  history: { handler: history, format: formatHistoryList },
+  undo: { handler: undo, format: formatUndo },
+  export: {
+    handler: exportHistory,
+    // Without --output the export itself is the output
+    format: (result) =>
+      result.file
+        ? `📤 Exported ${result.count} posts to ${result.file}`
+        : result.content.replace(/\r?\n$/, ""),
+  },
+  "collect-engagement": {
+    handler: collectEngagement,
+    format: (result) => `📈 Stored ${result.snapshots} engagement snapshot(s)`,
+  },
+  report: { handler: report, format: formatReport },
+  config: { handler: configCommand, format: formatConfigCheck },
+  login: {
+    standalone: true,
+    handler: (options, { flags }) =>
+      login(loadConfig({ ...options, telegramOnly: true }).settings, {
+        method: flags.phone ? "phone" : "qr",
+        save: !!flags.save,
+      }),
+    format: (result) =>
+      [
+        `✅ Logged in to Telegram as ${result.user}`,
+        result.file
+          ? `💾 Session saved to ${result.file}`
+          : "🔑 Session string (set it as TELEGRAM_SESSION, or save it in TELEGRAM_SESSION_FILE):",
+        ...(result.file ? [] : [result.session]),
+      ].join("\n"),
+  },
+  rescan: {
+    telegram: true,
+    handler: (poster, { flags }) =>
+      poster.rescan({
+        sourceName: flags.source || null,
+        fromId: parseInt(flags.from) || 0,
+      }),
+    format: (report) =>
+      report
+        .map(
+          (entry) =>
+            `🔎 ${entry.source}: ${entry.examined} messages checked, ${entry.gaps.length} unposted`
+        )
+        .join("\n"),
+  },
+};
+
+async function main(argv, createPoster) {
+  const { command, positional, flags } = parseArgs(argv);
+  const spec = COMMANDS[command];
+
+  if (!spec) {
+    if (command === "help") {
+      process.stdout.write(USAGE);
+    } else {
+      process.stderr.write(`Unknown command: ${command}\n\n${USAGE}`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (flags.json) {
+    console.log = console.error; // Keep stdout for the result itself
+  }
+
+  const options = { file: flags.config, profile: flags.profile };
+  let poster = null;
+  try {
+    if (!spec.standalone) {
+      poster = createPoster({ ...options, dryRun: !!spec.dryRun });
+    }
+    if (spec.telegram) {
+      await poster.initialize();
+    }
+
+    const result = await spec.handler(poster || options, {
+      positional,
+      flags,
+    });
+    if (flags.json) {
+      process.stdout.write(`${JSON.stringify(result ?? null, null, 2)}\n`);
+    } else if (spec.format) {
+      process.stdout.write(`${spec.format(result)}\n`);
+    }
+  } catch (error) {
+    log.error(`❌ ${command} failed`, { error });
+    process.exitCode = 1;
+  } finally {
+    if (poster && !spec.selfContained) {
+      await poster.notifications.flush();
+      if (poster.telegramClient) {
+        await poster.telegramClient.disconnect();
+      }
+      poster.store.close();
+    }
+  }
+}
+
+module.exports = { main, parseArgs };
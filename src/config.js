@@ -0,0 +1,697 @@
+const fs = require("fs-extra");
+const path = require("path");
+const YAML = require("yaml");
+const { parseEvents } = require("./notifiers/notifier");
+const { SOURCE_POLICIES } = require("./sources");
+const { xAccountPrefix, X_ACCOUNT_PATTERN } = require("./publishers");
+const { PostingLimits } = require("./postingLimits");
+const { Router, parseRoutes, ROUTE_TYPES } = require("./routing");
+
+const DEFAULT_FILES = ["config.yaml", "config.yml", "config.json"];
+
+// Kinds of value a setting takes. Every value ends up as the string the
+// matching environment variable would hold; lists are joined with commas.
+const CHECKS = {
+  string: () => null,
+  list: () => null,
+  integer: (value) => (/^-?\d+$/.test(value) ? null : "an integer"),
+  number: (value) => (/^-?\d+(\.\d+)?$/.test(value) ? null : "a number"),
+  boolean: (value) =>
+    ["true", "false"].includes(value) ? null : "true or false",
+};
+
+const setting = (env, type = "string") => ({ env, type });
+const oneOf = (env, values) => ({ env, type: "enum", values });
+
+const llmSettings = (prefix) => ({
+  provider: oneOf(`${prefix}PROVIDER`, ["openai", "none"]),
+  model: setting(`${prefix}MODEL`),
+  baseUrl: setting(`${prefix}BASE_URL`),
+  apiKey: setting(`${prefix}API_KEY`),
+  temperature: setting(`${prefix}TEMPERATURE`, "number"),
+  maxTokens: setting(`${prefix}MAX_TOKENS`, "integer"),
+  timeoutSeconds: setting(`${prefix}TIMEOUT_SECONDS`, "number"),
+});
+
+// Credentials and options of each destination, and which of them it can't
+// do without
+const PUBLISHERS = {
+  x: {
+    apiKey: setting("TWITTER_API_KEY"),
+    apiSecret: setting("TWITTER_API_SECRET"),
+    accessToken: setting("TWITTER_ACCESS_TOKEN"),
+    accessTokenSecret: setting("TWITTER_ACCESS_TOKEN_SECRET"),
+    apiBaseUrl: setting("X_API_BASE_URL"),
+    uploadBaseUrl: setting("X_UPLOAD_BASE_URL"),
+    threadMaxPosts: setting("X_THREAD_MAX_POSTS", "integer"),
+  },
+  bluesky: {
+    serviceUrl: setting("BLUESKY_SERVICE_URL"),
+    identifier: setting("BLUESKY_IDENTIFIER"),
+    appPassword: setting("BLUESKY_APP_PASSWORD"),
+  },
+  mastodon: {
+    baseUrl: setting("MASTODON_BASE_URL"),
+    accessToken: setting("MASTODON_ACCESS_TOKEN"),
+    visibility: oneOf("MASTODON_VISIBILITY", [
+      "public",
+      "unlisted",
+      "private",
+      "direct",
+    ]),
+  },
+};
+const REQUIRED_CREDENTIALS = {
+  x: ["apiKey", "apiSecret", "accessToken", "accessTokenSecret"],
+  bluesky: ["identifier", "appPassword"],
+  mastodon: ["baseUrl", "accessToken"],
+};
+
+// A further X account ("x:news"), read from X_NEWS_* settings. The app key
+// and secret fall back to those of `x`.
+function xAccountSchema(account) {
+  const prefix = xAccountPrefix(account);
+  return {
+    apiKey: setting(`${prefix}API_KEY`),
+    apiSecret: setting(`${prefix}API_SECRET`),
+    accessToken: setting(`${prefix}ACCESS_TOKEN`),
+    accessTokenSecret: setting(`${prefix}ACCESS_TOKEN_SECRET`),
+    threadMaxPosts: setting(`${prefix}THREAD_MAX_POSTS`, "integer"),
+    dailyLimit: setting(`${prefix}DAILY_LIMIT`, "integer"),
+    schedule: setting(`${prefix}SCHEDULE`),
+    windows: setting(`${prefix}POSTING_WINDOWS`, "list"),
+    quietDays: setting(`${prefix}QUIET_DAYS`, "list"),
+  };
+}
+
+function publisherSchema(name) {
+  const account = X_ACCOUNT_PATTERN.exec(name);
+  return account ? xAccountSchema(account[1]) : PUBLISHERS[name] || null;
+}
+
+// What a profile can hold, and the environment variable behind each entry.
+// `publishers` and `routes` are handled separately: the keys of `publishers`
+// are the PUBLISHERS list, and `routes` becomes ROUTES.
+const PROFILE = {
+  telegram: {
+    apiId: setting("TELEGRAM_API_ID", "integer"),
+    apiHash: setting("TELEGRAM_API_HASH"),
+    session: setting("TELEGRAM_SESSION"),
+  },
+  sources: setting("TELEGRAM_GROUPS", "list"),
+  sourcePolicy: oneOf("SOURCE_POLICY", SOURCE_POLICIES),
+  scanBudget: setting("SCAN_BUDGET", "integer"),
+  selection: {
+    strategy: setting("SELECTION_STRATEGY"),
+    weights: setting("SELECTION_WEIGHTS"),
+    windowDays: setting("SELECTION_WINDOW_DAYS", "number"),
+  },
+  schedule: {
+    posts: setting("SCHEDULE"),
+    timezone: setting("SCHEDULE_TIMEZONE"),
+    windows: setting("POSTING_WINDOWS", "list"),
+    quietDays: setting("QUIET_DAYS", "list"),
+    jitterMinutes: setting("SCHEDULE_JITTER_MINUTES", "number"),
+    shutdownTimeoutSeconds: setting("SHUTDOWN_TIMEOUT_SECONDS", "number"),
+  },
+  captions: {
+    prefix: setting("CAPTION_PREFIX"),
+    suffix: setting("CAPTION_SUFFIX"),
+    credit: setting("CAPTION_CREDIT"),
+    hashtags: setting("CAPTION_HASHTAGS", "list"),
+    hashtagMap: setting("CAPTION_HASHTAG_MAP", "list"),
+    stripHashtags: setting("CAPTION_STRIP_HASHTAGS", "boolean"),
+    bannedWords: setting("CAPTION_BANNED_WORDS", "list"),
+    scrubRegex: setting("CAPTION_SCRUB_REGEX"),
+    stripHandles: setting("CAPTION_STRIP_HANDLES", "boolean"),
+    stripLinks: setting("CAPTION_STRIP_LINKS", "boolean"),
+    systemPrompt: setting("OPENAI_SYSTEM_PROMPT"),
+  },
+  llm: {
+    ...llmSettings("LLM_"),
+    openaiApiKey: setting("OPENAI_API_KEY"),
+    select: llmSettings("LLM_SELECT_"),
+    rewrite: llmSettings("LLM_REWRITE_"),
+  },
+  filters: {
+    minDurationSeconds: setting("FILTER_MIN_DURATION_SECONDS", "number"),
+    maxDurationSeconds: setting("FILTER_MAX_DURATION_SECONDS", "number"),
+    minResolution: setting("FILTER_MIN_RESOLUTION"),
+    maxResolution: setting("FILTER_MAX_RESOLUTION"),
+    minSizeMB: setting("FILTER_MIN_SIZE_MB", "number"),
+    maxSizeMB: setting("FILTER_MAX_SIZE_MB", "number"),
+    after: setting("FILTER_AFTER"),
+    before: setting("FILTER_BEFORE"),
+    sendersAllow: setting("FILTER_SENDERS_ALLOW", "list"),
+    sendersDeny: setting("FILTER_SENDERS_DENY", "list"),
+    captionInclude: setting("FILTER_CAPTION_INCLUDE"),
+    captionExclude: setting("FILTER_CAPTION_EXCLUDE"),
+    forwards: oneOf("FILTER_FORWARDS", ["any", "only", "exclude"]),
+    minViews: setting("FILTER_MIN_VIEWS", "integer"),
+    minReactions: setting("FILTER_MIN_REACTIONS", "integer"),
+  },
+  dedup: {
+    enabled: setting("DEDUP", "boolean"),
+    perceptual: setting("DEDUP_PERCEPTUAL", "boolean"),
+    similarity: setting("DEDUP_SIMILARITY", "number"),
+    frames: setting("DEDUP_FRAMES", "integer"),
+  },
+  video: {
+    transcode: setting("VIDEO_TRANSCODE", "boolean"),
+    maxSizeMB: setting("MAX_VIDEO_SIZE_MB", "integer"),
+    maxDownloadSizeMB: setting("MAX_DOWNLOAD_SIZE_MB", "integer"),
+    maxDurationSeconds: setting("VIDEO_MAX_DURATION_SECONDS", "integer"),
+    maxWidth: setting("VIDEO_MAX_WIDTH", "integer"),
+    maxHeight: setting("VIDEO_MAX_HEIGHT", "integer"),
+    maxFps: setting("VIDEO_MAX_FPS", "integer"),
+    ffmpegPath: setting("FFMPEG_PATH"),
+    ffprobePath: setting("FFPROBE_PATH"),
+  },
+  retry: {
+    maxAttempts: setting("RETRY_MAX_ATTEMPTS", "integer"),
+    baseDelayMinutes: setting("RETRY_BASE_DELAY_MINUTES", "number"),
+    maxDelayHours: setting("RETRY_MAX_DELAY_HOURS", "number"),
+  },
+  review: {
+    chat: setting("REVIEW_CHAT"),
+    reviewers: setting("REVIEWERS", "list"),
+    expiryHours: setting("REVIEW_EXPIRY_HOURS", "number"),
+    pollMinutes: setting("REVIEW_POLL_MINUTES", "number"),
+  },
+  live: {
+    posting: oneOf("LIVE_POSTING", ["immediate", "scheduled"]),
+    checkMinutes: setting("LIVE_CHECK_MINUTES", "number"),
+  },
+  engagement: {
+    checkpoints: setting("ENGAGEMENT_CHECKPOINTS", "list"),
+    checkMinutes: setting("ENGAGEMENT_CHECK_MINUTES", "number"),
+  },
+  notifications: {
+    events: setting("NOTIFY_EVENTS", "list"),
+    retryThreshold: setting("NOTIFY_RETRY_THRESHOLD", "integer"),
+    rateLimit: setting("NOTIFY_RATE_LIMIT", "integer"),
+    rateWindowMinutes: setting("NOTIFY_RATE_WINDOW_MINUTES", "number"),
+    webhookUrl: setting("NOTIFY_WEBHOOK_URL"),
+    webhookEvents: setting("NOTIFY_WEBHOOK_EVENTS", "list"),
+    telegramChat: setting("NOTIFY_TELEGRAM_CHAT"),
+    telegramEvents: setting("NOTIFY_TELEGRAM_EVENTS", "list"),
+    smtpHost: setting("NOTIFY_SMTP_HOST"),
+    smtpPort: setting("NOTIFY_SMTP_PORT", "integer"),
+    smtpSecure: setting("NOTIFY_SMTP_SECURE", "boolean"),
+    smtpUser: setting("NOTIFY_SMTP_USER"),
+    smtpPassword: setting("NOTIFY_SMTP_PASSWORD"),
+    emailFrom: setting("NOTIFY_EMAIL_FROM"),
+    emailTo: setting("NOTIFY_EMAIL_TO", "list"),
+    emailEvents: setting("NOTIFY_EMAIL_EVENTS", "list"),
+  },
+  logging: {
+    level: oneOf("LOG_LEVEL", ["debug", "info", "warn", "error"]),
+    format: oneOf("LOG_FORMAT", ["pretty", "json"]),
+  },
+  status: {
+    port: setting("STATUS_PORT", "integer"),
+    host: setting("STATUS_HOST"),
+  },
+  paths: {
+    stateDir: setting("STATE_DIR"),
+    stateDb: setting("STATE_DB"),
+    downloadDir: setting("DOWNLOAD_DIR"),
+    sessionFile: setting("TELEGRAM_SESSION_FILE"),
+  },
+};
+
+// Every schema entry with its dotted path ("telegram.apiId")
+function flatten(schema, prefix = "") {
+  return Object.entries(schema).flatMap(([key, entry]) =>
+    entry.env
+      ? [[`${prefix}${key}`, entry]]
+      : flatten(entry, `${prefix}${key}.`)
+  );
+}
+const SETTINGS = [
+  ...flatten(PROFILE),
+  ...Object.entries(PUBLISHERS).flatMap(([name, schema]) =>
+    flatten(schema, `publishers.${name}.`)
+  ),
+];
+const PATH_OF = {
+  PUBLISHERS: "publishers",
+  ROUTES: "routes",
+  ...Object.fromEntries(SETTINGS.map(([dotted, entry]) => [entry.env, dotted])),
+};
+const ENTRY_OF = Object.fromEntries(
+  SETTINGS.map(([, entry]) => [entry.env, entry])
+);
+
+// Problems with the configuration, reported together
+class ConfigError extends Error {
+  constructor(problems, { file = null, profile = null } = {}) {
+    const where = file
+      ? ` in ${file}${profile ? ` (profile "${profile}")` : ""}`
+      : "";
+    super(
+      `Invalid configuration${where}:\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join("\n")}`
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+const isMap = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+function parseFile(file, text) {
+  if (path.extname(file).toLowerCase() === ".json") {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new ConfigError([`not valid JSON: ${error.message}`], { file });
+    }
+  }
+  const document = YAML.parseDocument(text, { prettyErrors: true });
+  if (document.errors.length > 0) {
+    throw new ConfigError(
+      document.errors.map((error) =>
+        error.message.split("\n")[0].replace(/:$/, "")
+      ),
+      { file }
+    );
+  }
+  return document.toJS();
+}
+
+// The profile with everything it extends merged in, base first
+function resolveProfile(profiles, name, seen = []) {
+  if (seen.includes(name)) {
+    throw new Error(
+      `profiles extend each other in a loop (${[...seen, name].join(" -> ")})`
+    );
+  }
+  const profile = profiles[name];
+  if (!isMap(profile)) {
+    throw new Error(
+      profile === undefined
+        ? `no profile "${name}" (available: ${Object.keys(profiles).join(", ")})`
+        : `profile "${name}" must be a map of settings`
+    );
+  }
+  const { extends: base, ...own } = profile;
+  return base === undefined
+    ? own
+    : deepMerge(resolveProfile(profiles, String(base), [...seen, name]), own);
+}
+
+// Maps merge key by key; anything else (lists included) replaces
+function deepMerge(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] =
+      isMap(merged[key]) && isMap(value)
+        ? deepMerge(merged[key], value)
+        : value;
+  }
+  return merged;
+}
+
+// "${NAME}" in a string is replaced with that environment variable
+function substitute(value, env, where, problems) {
+  let resolved = true;
+  const result = value.replace(
+    /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g,
+    (match, name) => {
+      if (env[name] === undefined || env[name] === "") {
+        problems.push(`${where}: environment variable ${name} is not set`);
+        resolved = false;
+      }
+      return env[name] || "";
+    }
+  );
+  return resolved ? result : null;
+}
+
+// One value from the file as the string its environment variable would hold,
+// or null when it has a problem (already reported)
+function toSetting(value, entry, where, env, problems) {
+  const scalar = (item) => {
+    if (["string", "number", "boolean"].includes(typeof item)) {
+      return substitute(String(item), env, where, problems);
+    }
+    problems.push(`${where}: expected a single value, got ${describe(item)}`);
+    return null;
+  };
+
+  if (!Array.isArray(value)) return scalar(value);
+  if (entry.type !== "list") {
+    problems.push(`${where}: expected a single value, got a list`);
+    return null;
+  }
+  const items = value.map(scalar);
+  return items.includes(null) ? null : items.join(",");
+}
+
+function describe(value) {
+  if (value === null) return "nothing";
+  if (Array.isArray(value)) return "a list";
+  if (typeof value === "object") return "a map";
+  return JSON.stringify(value);
+}
+
+// Collect the values a profile sets, keyed by environment variable
+function readProfile(profile, env, problems, prefix) {
+  const values = {};
+
+  const walk = (node, schema, at) => {
+    for (const [key, value] of Object.entries(node)) {
+      const where = `${at}${key}`;
+      const entry = schema[key];
+      if (!entry) {
+        problems.push(
+          `${where}: unknown setting (expected one of: ${Object.keys(
+            schema
+          ).join(", ")})`
+        );
+      } else if (value === null || value === undefined) {
+        continue;
+      } else if (entry.env) {
+        values[entry.env] = toSetting(value, entry, where, env, problems);
+      } else if (!isMap(value)) {
+        problems.push(`${where}: expected a map, got ${describe(value)}`);
+      } else {
+        walk(value, entry, `${where}.`);
+      }
+    }
+  };
+
+  const { publishers, routes, ...rest } = profile;
+  walk(rest, PROFILE, prefix);
+
+  // A list of names, or a map of name -> settings; either way in posting order
+  if (Array.isArray(publishers)) {
+    values.PUBLISHERS = publishers.map(String).join(",");
+  } else if (isMap(publishers)) {
+    values.PUBLISHERS = Object.keys(publishers).join(",");
+    for (const [name, options] of Object.entries(publishers)) {
+      const where = `${prefix}publishers.${name}`;
+      const schema = publisherSchema(name);
+      if (!schema) continue; // reported by validate()
+      if (options === null || options === true) continue;
+      if (!isMap(options)) {
+        problems.push(`${where}: expected a map, got ${describe(options)}`);
+        continue;
+      }
+      walk(options, schema, `${where}.`);
+    }
+  } else if (publishers !== undefined && publishers !== null) {
+    problems.push(
+      `${prefix}publishers: expected a list or map, got ${describe(publishers)}`
+    );
+  }
+
+  if (routes !== undefined && routes !== null) {
+    values.ROUTES = readRoutes(routes, env, problems, `${prefix}routes`);
+  }
+  return values;
+}
+
+// `routes` entries ({ hashtag: news, to: [x:news] }, or just { to } for the
+// default route) in ROUTES syntax
+function readRoutes(routes, env, problems, at) {
+  if (!Array.isArray(routes)) {
+    problems.push(`${at}: expected a list, got ${describe(routes)}`);
+    return null;
+  }
+  const rules = routes.map((route, index) => {
+    const where = `${at}[${index}]`;
+    if (!isMap(route)) {
+      problems.push(`${where}: expected a map, got ${describe(route)}`);
+      return null;
+    }
+    const { to, ...match } = route;
+    const keys = Object.keys(match);
+    const type = keys[0] || "default";
+    if (keys.length > 1 || !ROUTE_TYPES.includes(type)) {
+      problems.push(
+        `${where}: expected one of ${ROUTE_TYPES.filter(
+          (name) => name !== "default"
+        ).join(", ")} (or none for the default route) and \`to\``
+      );
+      return null;
+    }
+    const targets = toSetting(
+      to === undefined ? [] : to,
+      { type: "list" },
+      `${where}.to`,
+      env,
+      problems
+    );
+    if (targets === null) return null;
+    if (!targets) {
+      problems.push(`${where}.to: expected the publishers to send to`);
+      return null;
+    }
+    if (type === "default") return `default=${targets}`;
+    const value = toSetting(
+      match[type],
+      { type: "string" },
+      `${where}.${type}`,
+      env,
+      problems
+    );
+    return value === null ? null : `${type}:${value}=${targets}`;
+  });
+  return rules.includes(null) ? null : rules.join("; ");
+}
+
+// Types, required settings and publisher credentials of the merged settings
+function validate(settings, label, problems, { telegramOnly = false } = {}) {
+  for (const [name, entry] of Object.entries(ENTRY_OF)) {
+    const value = settings[name];
+    if (value === undefined || value === null || value === "") continue;
+    const expected =
+      entry.type === "enum"
+        ? entry.values.includes(value.trim().toLowerCase())
+          ? null
+          : entry.values.join(", ")
+        : CHECKS[entry.type](value.trim());
+    if (expected) {
+      problems.push(`${label(name)}: expected ${expected}, got "${value}"`);
+    }
+  }
+
+  for (const name of [
+    "NOTIFY_EVENTS",
+    "NOTIFY_WEBHOOK_EVENTS",
+    "NOTIFY_TELEGRAM_EVENTS",
+    "NOTIFY_EMAIL_EVENTS",
+  ]) {
+    try {
+      parseEvents(settings[name], label(name));
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+
+  // null: set in the file, with a problem that is already reported
+  const missing = (name) =>
+    settings[name] !== null && !(settings[name] || "").trim();
+  for (const name of ["TELEGRAM_API_ID", "TELEGRAM_API_HASH"]) {
+    if (missing(name)) problems.push(`${label(name)} is required`);
+  }
+  if (telegramOnly) return;
+
+  // OpenAI itself needs a key; local servers (a base URL) don't
+  const keyless = ["select", "rewrite"].filter((task) => {
+    const value = (name) => {
+      const own = settings[`LLM_${task.toUpperCase()}_${name}`];
+      return (own || settings[`LLM_${name}`] || "").trim();
+    };
+    return (
+      (value("PROVIDER") || "openai").toLowerCase() === "openai" &&
+      !value("BASE_URL") &&
+      !value("API_KEY") &&
+      missing("OPENAI_API_KEY")
+    );
+  });
+  if (keyless.length > 0) {
+    problems.push(
+      `${label("OPENAI_API_KEY")} is required for the ${keyless.join(
+        " and "
+      )} caption model${
+        keyless.length > 1 ? "s" : ""
+      } (or set LLM_BASE_URL for a local server, or LLM_PROVIDER=none)`
+    );
+  }
+  if (missing("TELEGRAM_GROUPS") && missing("TELEGRAM_GROUP")) {
+    problems.push(
+      `${label("TELEGRAM_GROUPS")} is required (at least one source)`
+    );
+  }
+
+  const publishers = (settings.PUBLISHERS || "x")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+  if (publishers.length === 0) {
+    problems.push(`${label("PUBLISHERS")} lists no publishers`);
+  }
+  for (const name of publishers) {
+    const account = X_ACCOUNT_PATTERN.exec(name);
+    if (account) {
+      validateXAccount(account[1], settings, label, problems);
+      continue;
+    }
+    if (!PUBLISHERS[name]) {
+      problems.push(
+        `${label("PUBLISHERS")}: unknown publisher "${name}" (expected one of: ${Object.keys(
+          PUBLISHERS
+        ).join(", ")}, or x:<account>)`
+      );
+      continue;
+    }
+    for (const key of REQUIRED_CREDENTIALS[name]) {
+      const env = PUBLISHERS[name][key].env;
+      if (missing(env)) problems.push(`${label(env)} is required for ${name}`);
+    }
+  }
+
+  if (settings.ROUTES) {
+    try {
+      new Router(parseRoutes(settings.ROUTES), publishers);
+    } catch (error) {
+      problems.push(`${label("ROUTES")}: ${error.message}`);
+    }
+  }
+}
+
+// Setting types, credentials and the limits of one further X account
+function validateXAccount(account, settings, label, problems) {
+  const name = `x:${account}`;
+  const schema = xAccountSchema(account);
+  for (const entry of Object.values(schema)) {
+    const value = settings[entry.env];
+    if (value === undefined || value === null || value === "") continue;
+    const expected = CHECKS[entry.type](value.trim());
+    if (expected) {
+      problems.push(
+        `${label(entry.env)}: expected ${expected}, got "${value}"`
+      );
+    }
+  }
+
+  const missing = (env) =>
+    settings[env] !== null && !(settings[env] || "").trim();
+  for (const key of ["accessToken", "accessTokenSecret"]) {
+    const env = schema[key].env;
+    if (missing(env)) problems.push(`${label(env)} is required for ${name}`);
+  }
+  for (const key of ["apiKey", "apiSecret"]) {
+    const env = schema[key].env;
+    if (missing(env) && missing(PUBLISHERS.x[key].env)) {
+      problems.push(
+        `${label(env)} (or ${PUBLISHERS.x[key].env}) is required for ${name}`
+      );
+    }
+  }
+
+  try {
+    new PostingLimits({
+      schedule: settings[schema.schedule.env] || "",
+      windows: settings[schema.windows.env] || "",
+      quietDays: settings[schema.quietDays.env] || "",
+      timeZone: settings.SCHEDULE_TIMEZONE || undefined,
+    });
+  } catch (error) {
+    problems.push(`${name}: ${error.message}`);
+  }
+}
+
+// The config file to read: the one asked for, CONFIG_FILE, or config.yaml,
+// config.yml or config.json in the working directory. Null means env only.
+function findConfigFile(file, env) {
+  const explicit = file || env.CONFIG_FILE;
+  if (explicit) return explicit;
+  return DEFAULT_FILES.find((name) => fs.existsSync(name)) || null;
+}
+
+// Settings keyed by environment variable name: those of the selected profile
+// in the config file, then anything else from the environment. Secrets stay
+// in the environment and are pulled in with "${NAME}". Throws a ConfigError
+// listing every problem found. `telegramOnly` (for `login`) only requires the
+// Telegram settings.
+function loadConfig({
+  file = null,
+  profile = null,
+  env = process.env,
+  telegramOnly = false,
+} = {}) {
+  file = findConfigFile(file, env);
+  const settings = { ...env };
+  const problems = [];
+  let profileName = null;
+  let prefix = "";
+
+  if (file) {
+    if (!fs.existsSync(file)) {
+      throw new ConfigError([`config file ${file} does not exist`]);
+    }
+    const data = parseFile(file, fs.readFileSync(file, "utf8"));
+    if (!isMap(data) || !isMap(data.profiles)) {
+      throw new ConfigError(["expected a `profiles` map at the top level"], {
+        file,
+      });
+    }
+    for (const key of Object.keys(data)) {
+      if (!["profiles", "defaultProfile"].includes(key)) {
+        problems.push(
+          `${key}: unknown top-level key (expected profiles or defaultProfile)`
+        );
+      }
+    }
+
+    const names = Object.keys(data.profiles);
+    profileName =
+      profile ||
+      env.CONFIG_PROFILE ||
+      data.defaultProfile ||
+      (names.length === 1 ? names[0] : null);
+    if (!profileName) {
+      throw new ConfigError(
+        [
+          `several profiles (${names.join(", ")}); pick one with --profile, CONFIG_PROFILE or defaultProfile`,
+        ],
+        { file }
+      );
+    }
+
+    let resolved;
+    try {
+      resolved = resolveProfile(data.profiles, String(profileName));
+    } catch (error) {
+      throw new ConfigError([error.message], { file });
+    }
+    prefix = `profiles.${profileName}.`;
+    Object.assign(settings, readProfile(resolved, env, problems, prefix));
+  }
+
+  // Name problems after the file entry when there is a file
+  const paths = { ...PATH_OF };
+  for (const name of (settings.PUBLISHERS || "").split(",")) {
+    const account = X_ACCOUNT_PATTERN.exec(name.trim().toLowerCase());
+    if (!account) continue;
+    for (const [key, entry] of Object.entries(xAccountSchema(account[1]))) {
+      paths[entry.env] = `publishers.x:${account[1]}.${key}`;
+    }
+  }
+  const label = (name) =>
+    file && paths[name] ? `${prefix}${paths[name]} (${name})` : name;
+  validate(settings, label, problems, { telegramOnly });
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems, { file, profile: profileName });
+  }
+  return { settings, file, profile: profileName };
+}
+
+module.exports = { loadConfig, ConfigError, DEFAULT_FILES };
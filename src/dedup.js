@@ -0,0 +1,201 @@
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const { runTool } = require("./transcode");
+const { log } = require("./logger");
+
+// dHash: each frame scaled to 9x8 grayscale, one bit per horizontal neighbour pair
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// Telegram keeps the same document/photo (ID + access hash) when a message is
+// forwarded, so this catches forwards before anything is downloaded
+function documentFingerprint(entry) {
+  const media = entry.message.photo || entry.message.document;
+  if (!media || !media.id) return null;
+  return {
+    kind: "document",
+    value: `${entry.kind === "photo" ? "photo" : "document"}:${media.id}:${media.accessHash}`,
+  };
+}
+
+function fileHash(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+function dHash(pixels) {
+  let bits = "";
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const index = y * HASH_WIDTH + x;
+      bits += pixels[index] < pixels[index + 1] ? "1" : "0";
+    }
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, "0");
+}
+
+// Fraction of matching bits between two perceptual hashes of the same length
+function similarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let differing = 0;
+  for (let i = 0; i < a.length; i += 16) {
+    let diff =
+      BigInt(`0x${a.slice(i, i + 16)}`) ^ BigInt(`0x${b.slice(i, i + 16)}`);
+    while (diff > 0n) {
+      differing += Number(diff & 1n);
+      diff >>= 1n;
+    }
+  }
+  return 1 - differing / (a.length * 4);
+}
+
+class Deduplicator {
+  constructor(
+    store,
+    {
+      enabled = true,
+      perceptual = false,
+      threshold = 0.9,
+      frames = 4,
+      ffmpegPath = "ffmpeg",
+    } = {}
+  ) {
+    this.store = store;
+    this.enabled = enabled;
+    this.perceptual = perceptual;
+    this.threshold = threshold;
+    this.frames = frames;
+    this.ffmpegPath = ffmpegPath;
+  }
+
+  // One dHash per sampled frame (spread over the clip), concatenated
+  async perceptualHash(entry) {
+    const duration = entry.duration || 0;
+    const count = entry.kind === "photo" || duration === 0 ? 1 : this.frames;
+    const hashes = [];
+
+    for (let frame = 0; frame < count; frame++) {
+      const at = count === 1 ? 0 : (duration * (frame + 0.5)) / count;
+      const pixels = await runTool(
+        this.ffmpegPath,
+        [
+          "-v",
+          "error",
+          "-ss",
+          at.toFixed(2),
+          "-i",
+          entry.path,
+          "-frames:v",
+          "1",
+          "-vf",
+          `scale=${HASH_WIDTH}:${HASH_HEIGHT},format=gray`,
+          "-f",
+          "rawvideo",
+          "-",
+        ],
+        { binary: true }
+      );
+      if (pixels.length < HASH_WIDTH * HASH_HEIGHT) {
+        throw new Error(`Could not sample a frame at ${at.toFixed(2)}s`);
+      }
+      hashes.push(dHash(pixels));
+    }
+    return hashes.join("");
+  }
+
+  // Earlier item (from any source) that has this exact fingerprint
+  findExact(source, item, fingerprint) {
+    const row = this.store.findFingerprint(fingerprint.kind, fingerprint.value, {
+      source: source.name,
+      itemId: item.id,
+    });
+    return row ? { ...row, similarity: 1 } : null;
+  }
+
+  findSimilar(source, item, hash) {
+    let best = null;
+    for (const row of this.store.listFingerprints("phash")) {
+      if (row.source === source.name && row.item_id === item.id) continue;
+
+      const score = similarity(hash, row.value);
+      if (score >= this.threshold && (!best || score > best.similarity)) {
+        best = { ...row, similarity: score };
+      }
+    }
+    return best;
+  }
+
+  // An item is a duplicate when every one of its media matches something
+  // already posted. Resolves to the first match, or null.
+  firstMatchForAll(matches) {
+    return matches.length > 0 && matches.every(Boolean) ? matches[0] : null;
+  }
+
+  // Before download: forwarded copies of something already posted
+  findByDocuments(source, item) {
+    if (!this.enabled) return null;
+
+    item.fingerprints = item.media.map((entry) => {
+      const fingerprint = documentFingerprint(entry);
+      return fingerprint ? [fingerprint] : [];
+    });
+    return this.firstMatchForAll(
+      item.fingerprints.map(
+        ([fingerprint]) => fingerprint && this.findExact(source, item, fingerprint)
+      )
+    );
+  }
+
+  // After download: identical files and, with perceptual hashing on, near-duplicates.
+  // `media` is the downloaded list, in the same order as item.media.
+  async findByContent(source, item, media) {
+    if (!this.enabled) return null;
+    if (!item.fingerprints) this.findByDocuments(source, item);
+
+    const matches = [];
+    for (const [index, file] of media.entries()) {
+      const fingerprints = item.fingerprints[index];
+
+      const sha256 = { kind: "sha256", value: await fileHash(file.path) };
+      fingerprints.push(sha256);
+      let match = this.findExact(source, item, sha256);
+
+      if (this.perceptual) {
+        try {
+          const phash = { kind: "phash", value: await this.perceptualHash(file) };
+          fingerprints.push(phash);
+          match = match || this.findSimilar(source, item, phash.value);
+        } catch (error) {
+          log.warn("⚠️  Could not compute a perceptual hash", { error });
+        }
+      }
+      matches.push(match);
+    }
+    return this.firstMatchForAll(matches);
+  }
+
+  // Store the item's fingerprints once it has been posted
+  remember(source, item) {
+    if (!this.enabled || !item.fingerprints) return;
+
+    this.store.transaction(() => {
+      for (const fingerprint of item.fingerprints.flat()) {
+        this.store.addFingerprint({
+          source: source.name,
+          item_id: item.id,
+          message_id: item.message.id,
+          kind: fingerprint.kind,
+          value: fingerprint.value,
+        });
+      }
+    });
+  }
+}
+
+module.exports = { Deduplicator, similarity, documentFingerprint };
@@ -0,0 +1,178 @@
+const { log } = require("./logger");
+
+const UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const METRICS = ["impressions", "likes", "reposts", "replies"];
+const DURATION_BUCKETS = [
+  [15, "under 15s"],
+  [30, "15-30s"],
+  [60, "30-60s"],
+  [120, "1-2 min"],
+  [Infinity, "over 2 min"],
+];
+
+// "1h,24h,7d" -> [{ label: "1h", ms }, ...], shortest first
+function parseCheckpoints(value) {
+  return (value || "")
+    .split(",")
+    .map((part) => part.trim().toLowerCase())
+    .filter(Boolean)
+    .map((label) => {
+      const match = /^(\d+(?:\.\d+)?)([mhd])$/.exec(label);
+      if (!match || Number(match[1]) <= 0) {
+        throw new Error(
+          `Invalid engagement checkpoint "${label}" (expected e.g. 30m, 1h, 7d)`
+        );
+      }
+      return { label, ms: Number(match[1]) * UNITS[match[2]] };
+    })
+    .sort((a, b) => a.ms - b.ms);
+}
+
+// Snapshots of public metrics for posts in the history, taken when a post is
+// as old as each checkpoint. A checkpoint missed by more than its own length
+// (the poster was down) is left out rather than recorded late. Destinations
+// without fetchMetrics() are left out of collection altogether.
+class EngagementCollector {
+  constructor({ store, publishers, checkpoints }) {
+    this.store = store;
+    this.publishers = publishers.filter(
+      (publisher) => publisher.supportsMetrics
+    );
+    this.checkpoints = parseCheckpoints(checkpoints);
+  }
+
+  get enabled() {
+    return this.checkpoints.length > 0;
+  }
+
+  // Fetch every snapshot that is due; resolves to the number stored
+  async collect(now = Date.now()) {
+    let stored = 0;
+
+    for (const publisher of this.publishers) {
+      const due = this.checkpoints.flatMap(({ label, ms }) =>
+        this.store
+          .dueEngagement(publisher.name, label, {
+            from: new Date(now - 2 * ms).toISOString(),
+            to: new Date(now - ms).toISOString(),
+          })
+          .map((post) => ({ post, checkpoint: label }))
+      );
+      if (due.length === 0) continue;
+
+      let metrics;
+      try {
+        metrics = await publisher.fetchMetrics([
+          ...new Set(due.map(({ post }) => post.post_id)),
+        ]);
+      } catch (error) {
+        log.warn(`⚠️  Could not fetch engagement from ${publisher.label}`, {
+          error,
+        });
+        continue;
+      }
+
+      // Posts deleted on the destination are missing from `metrics`
+      const found = due.filter(({ post }) => metrics[post.post_id]);
+      const collectedAt = new Date(now).toISOString();
+      this.store.transaction(() => {
+        for (const { post, checkpoint } of found) {
+          this.store.addEngagement({
+            post_row: post.id,
+            checkpoint,
+            ...metrics[post.post_id],
+            collected_at: collectedAt,
+          });
+        }
+      });
+      stored += found.length;
+      log.info(
+        `📈 Collected ${found.length} of ${due.length} due engagement snapshot(s) from ${publisher.label}`
+      );
+    }
+    return stored;
+  }
+}
+
+function durationBucket(media) {
+  const video = (media || []).find(
+    (file) => file.kind !== "photo" && file.duration
+  );
+  if (!video) return "no video";
+  return DURATION_BUCKETS.find(([limit]) => video.duration < limit)[1];
+}
+
+function hourOf(isoTime, timeZone) {
+  return new Intl.DateTimeFormat("en-GB", {
+    hour: "2-digit",
+    hourCycle: "h23",
+    timeZone,
+  }).format(new Date(isoTime));
+}
+
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+// Averages per group, best first (by likes + reposts + replies)
+function summarize(rows, keyOf) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+
+  return [...groups.entries()]
+    .map(([key, members]) => {
+      const average = (metric) => {
+        const values = members
+          .map((row) => row[metric])
+          .filter((value) => value !== null && value !== undefined);
+        return values.length > 0
+          ? roundToTenth(
+              values.reduce((sum, value) => sum + value, 0) / values.length
+            )
+          : null;
+      };
+      const entry = { key, posts: members.length };
+      for (const metric of METRICS) entry[metric] = average(metric);
+      entry.engagement = roundToTenth(
+        (entry.likes || 0) + (entry.reposts || 0) + (entry.replies || 0)
+      );
+      return entry;
+    })
+    .sort((a, b) => b.engagement - a.engagement || b.posts - a.posts);
+}
+
+// What performs best at one checkpoint, broken down by source, caption
+// style, destination, posting hour (in `timeZone`) and video duration
+function engagementReport(
+  store,
+  { checkpoint, publisher = null, since = null, timeZone }
+) {
+  const rows = store
+    .listEngagement({ checkpoint, publisher, since })
+    .map((row) => ({
+      ...row,
+      media: row.media ? JSON.parse(row.media) : null,
+    }));
+
+  return {
+    checkpoint,
+    publisher,
+    since,
+    timeZone,
+    posts: rows.length,
+    bySource: summarize(rows, (row) => row.source),
+    byCaptionStyle: summarize(rows, (row) => row.caption_style || "unknown"),
+    byPublisher: summarize(rows, (row) => row.publisher),
+    byHour: summarize(rows, (row) => hourOf(row.posted_at, timeZone)),
+    byDuration: summarize(rows, (row) => durationBucket(row.media)),
+  };
+}
+
+module.exports = {
+  EngagementCollector,
+  engagementReport,
+  parseCheckpoints,
+  METRICS,
+};
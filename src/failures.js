@@ -0,0 +1,178 @@
+const { MediaPreparationError } = require("./transcode");
+const { TelegramAuthError } = require("./telegramAuth");
+
+const TRANSIENT_NETWORK_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EPIPE",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_SOCKET",
+]);
+
+function describeFailure(error) {
+  // Determine failure reason based on error
+  let failureReason = "Unknown upload error";
+
+  if (error instanceof MediaPreparationError) {
+    failureReason = `Could not prepare video: ${error.message}`;
+  } else if (error.message.includes("video longer than")) {
+    failureReason = "Video too long (>2 minutes)";
+  } else if (error.message.includes("Forbidden") || error.code === 403) {
+    failureReason = "Twitter API forbidden (video restrictions)";
+  } else if (
+    error.message.includes("too large") ||
+    error.message.includes("file size")
+  ) {
+    failureReason = "Video file too large";
+  } else if (
+    error.message.includes("format") ||
+    error.message.includes("codec")
+  ) {
+    failureReason = "Unsupported video format";
+  } else if (error.code === 429 || error.seconds !== undefined) {
+    failureReason = "Rate limit exceeded";
+  } else if (error.code >= 400 && error.code < 500) {
+    failureReason = `Client error: ${error.code}`;
+  } else if (error.code >= 500) {
+    failureReason = `Server error: ${error.code}`;
+  } else if (isNetworkError(error)) {
+    failureReason = `Network error: ${networkErrorCode(error) || error.message}`;
+  }
+
+  return failureReason;
+}
+
+// Low-cardinality label for a recorded reason, for metrics: the part before
+// any details ("Network error: ECONNRESET" -> "network_error")
+function failureCategory(reason) {
+  if (reason.startsWith("Duplicate of")) return "duplicate";
+  const head = reason.split(/[:(]/)[0].trim().toLowerCase();
+  return head.replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "") || "unknown";
+}
+
+function networkErrorCode(error) {
+  // twitter-api-v2 wraps socket errors in ApiRequestError.requestError,
+  // fetch() puts them in error.cause
+  const inner =
+    (error.type === "request" && error.requestError) || error.cause || error;
+  return typeof inner.code === "string" ? inner.code : null;
+}
+
+function isNetworkError(error) {
+  if (error.type === "request" || error.type === "partial-response") {
+    return true;
+  }
+  if (error instanceof TypeError && error.message === "fetch failed") {
+    return true;
+  }
+  return TRANSIENT_NETWORK_CODES.has(networkErrorCode(error));
+}
+
+// Transient failures are worth retrying later: rate limits, server errors,
+// network trouble and Telegram flood waits. Everything else is permanent.
+function isTransientFailure(error) {
+  if (error instanceof MediaPreparationError) return false;
+  if (error.code === 429 || error.code === 420) return true;
+  if (typeof error.code === "number" && error.code >= 500) return true;
+  if (error.seconds !== undefined) return true; // Telegram FloodWaitError
+  return isNetworkError(error);
+}
+
+// Telegram errors meaning the saved session no longer works
+const TELEGRAM_AUTH_ERRORS = new Set([
+  "AUTH_KEY_UNREGISTERED",
+  "AUTH_KEY_INVALID",
+  "SESSION_REVOKED",
+  "SESSION_EXPIRED",
+  "USER_DEACTIVATED",
+]);
+
+// Rejected credentials: HTTP 401 from a destination, or a dead Telegram
+// session. Retrying won't help until someone logs in again.
+function isAuthFailure(error) {
+  if (!error) return false;
+  if (error instanceof TelegramAuthError) return true;
+  if (error.code === 401) return true;
+  return TELEGRAM_AUTH_ERRORS.has(error.errorMessage);
+}
+
+function headerValue(headers, name) {
+  if (!headers) return undefined;
+  const value =
+    typeof headers.get === "function" ? headers.get(name) : headers[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// Earliest time (ms since epoch) the destination will accept requests again,
+// taken from rate-limit headers. Returns null when the error doesn't say.
+function getRetryAfter(error, now = Date.now()) {
+  const headers = error.headers;
+  const candidates = [];
+
+  // X: per-endpoint window, plus the 24h posting cap when that's what ran out
+  if (error.rateLimit && error.rateLimit.reset) {
+    candidates.push(error.rateLimit.reset * 1000);
+  }
+  if (headerValue(headers, "x-rate-limit-reset")) {
+    candidates.push(Number(headerValue(headers, "x-rate-limit-reset")) * 1000);
+  }
+  if (headerValue(headers, "x-user-limit-24hour-remaining") === "0") {
+    candidates.push(
+      Number(headerValue(headers, "x-user-limit-24hour-reset")) * 1000
+    );
+  }
+  if (headerValue(headers, "x-app-limit-24hour-remaining") === "0") {
+    candidates.push(
+      Number(headerValue(headers, "x-app-limit-24hour-reset")) * 1000
+    );
+  }
+
+  // Bluesky: epoch seconds; Mastodon: ISO timestamp
+  if (headerValue(headers, "ratelimit-reset")) {
+    candidates.push(Number(headerValue(headers, "ratelimit-reset")) * 1000);
+  }
+  if (headerValue(headers, "x-ratelimit-reset")) {
+    candidates.push(Date.parse(headerValue(headers, "x-ratelimit-reset")));
+  }
+
+  // Generic: seconds or an HTTP date
+  const retryAfter = headerValue(headers, "retry-after");
+  if (retryAfter) {
+    candidates.push(
+      /^\d+$/.test(retryAfter)
+        ? now + Number(retryAfter) * 1000
+        : Date.parse(retryAfter)
+    );
+  }
+
+  // Telegram FloodWaitError
+  if (typeof error.seconds === "number") {
+    candidates.push(now + error.seconds * 1000);
+  }
+
+  const valid = candidates.filter((time) => Number.isFinite(time) && time > now);
+  return valid.length > 0 ? Math.max(...valid) : null;
+}
+
+// Exponential backoff with ±20% jitter, never earlier than the rate-limit reset
+function computeNextAttempt(
+  attempts,
+  { baseDelayMs, maxDelayMs, retryAfter = null, now = Date.now() }
+) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+  const jittered = exponential * (0.8 + Math.random() * 0.4);
+  return Math.max(now + jittered, retryAfter || 0);
+}
+
+module.exports = {
+  describeFailure,
+  failureCategory,
+  isTransientFailure,
+  isAuthFailure,
+  getRetryAfter,
+  computeNextAttempt,
+};
@@ -0,0 +1,228 @@
+// Every skip reason starts with this, so the operator CLI can tell filtered
+// items from real failures (`list-failed --reason Filtered`)
+const FILTER_REASON_PREFIX = "Filtered:";
+
+function parseNumber(value, name) {
+  if (value === undefined || value === null || value === "") return null;
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`Invalid ${name} "${value}" (expected a number)`);
+  }
+  return number;
+}
+
+// "1280x720" -> { width: 1280, height: 720 }
+function parseResolution(value, name) {
+  if (!value) return null;
+  const match = /^(\d+)\s*x\s*(\d+)$/i.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid ${name} "${value}" (expected WIDTHxHEIGHT)`);
+  }
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+// "2024-01-01" or any Date.parse-able timestamp, as Unix seconds
+function parseDate(value, name) {
+  if (!value) return null;
+  const time = Date.parse(value.trim());
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name} "${value}" (expected a date)`);
+  }
+  return time / 1000;
+}
+
+function parseRegex(value, name) {
+  if (!value) return null;
+  try {
+    return new RegExp(value, "iu");
+  } catch (error) {
+    throw new Error(`Invalid ${name}: ${error.message}`);
+  }
+}
+
+// User IDs and usernames (with or without @), lowercased
+function parseSenders(value) {
+  return new Set(
+    (value || "")
+      .split(",")
+      .map((entry) => entry.trim().replace(/^@/, "").toLowerCase())
+      .filter(Boolean)
+  );
+}
+
+function countReactions(message) {
+  const results = (message.reactions && message.reactions.results) || [];
+  return results.reduce((sum, result) => sum + (result.count || 0), 0);
+}
+
+function formatDate(seconds) {
+  return new Date(seconds * 1000).toISOString().slice(0, 10);
+}
+
+// Declarative eligibility rules checked while scanning. Media rules
+// (duration, resolution, size) apply to every item of an album; sizes are in MB,
+// durations in seconds. `forwards` is "any", "only" or "exclude".
+class EligibilityFilters {
+  constructor({
+    minDuration,
+    maxDuration,
+    minResolution,
+    maxResolution,
+    minSizeMB,
+    maxSizeMB,
+    after,
+    before,
+    allowSenders,
+    denySenders,
+    captionInclude,
+    captionExclude,
+    forwards = "any",
+    minViews,
+    minReactions,
+  } = {}) {
+    this.minDuration = parseNumber(minDuration, "minimum duration");
+    this.maxDuration = parseNumber(maxDuration, "maximum duration");
+    this.minResolution = parseResolution(minResolution, "minimum resolution");
+    this.maxResolution = parseResolution(maxResolution, "maximum resolution");
+    this.minSizeMB = parseNumber(minSizeMB, "minimum size");
+    this.maxSizeMB = parseNumber(maxSizeMB, "maximum size");
+    this.after = parseDate(after, "start date");
+    this.before = parseDate(before, "end date");
+    this.allowSenders = parseSenders(allowSenders);
+    this.denySenders = parseSenders(denySenders);
+    this.captionInclude = parseRegex(captionInclude, "caption include pattern");
+    this.captionExclude = parseRegex(captionExclude, "caption exclude pattern");
+    this.minViews = parseNumber(minViews, "minimum views");
+    this.minReactions = parseNumber(minReactions, "minimum reactions");
+
+    this.forwards = (forwards || "any").trim().toLowerCase();
+    if (!["any", "only", "exclude"].includes(this.forwards)) {
+      throw new Error(
+        `Invalid forwards filter "${forwards}" (expected any, only or exclude)`
+      );
+    }
+  }
+
+  // Why one media entry is ineligible, or null
+  checkMedia(entry) {
+    const isVideo = entry.kind !== "photo";
+    if (isVideo && this.minDuration !== null && entry.duration < this.minDuration) {
+      return `duration ${entry.duration}s is below ${this.minDuration}s`;
+    }
+    if (isVideo && this.maxDuration !== null && entry.duration > this.maxDuration) {
+      return `duration ${entry.duration}s is above ${this.maxDuration}s`;
+    }
+
+    if (entry.width && entry.height) {
+      const resolution = `${entry.width}x${entry.height}`;
+      if (
+        this.minResolution &&
+        (entry.width < this.minResolution.width ||
+          entry.height < this.minResolution.height)
+      ) {
+        return `resolution ${resolution} is below ${this.minResolution.width}x${this.minResolution.height}`;
+      }
+      if (
+        this.maxResolution &&
+        (entry.width > this.maxResolution.width ||
+          entry.height > this.maxResolution.height)
+      ) {
+        return `resolution ${resolution} is above ${this.maxResolution.width}x${this.maxResolution.height}`;
+      }
+    }
+
+    const sizeMB = entry.size / (1024 * 1024);
+    if (this.minSizeMB !== null && sizeMB < this.minSizeMB) {
+      return `size ${sizeMB.toFixed(2)}MB is below ${this.minSizeMB}MB`;
+    }
+    if (this.maxSizeMB !== null && sizeMB > this.maxSizeMB) {
+      return `size ${sizeMB.toFixed(2)}MB is above ${this.maxSizeMB}MB`;
+    }
+    return null;
+  }
+
+  async checkSender(message) {
+    if (this.allowSenders.size === 0 && this.denySenders.size === 0) {
+      return null;
+    }
+
+    const names = [String(message.senderId || "")];
+    let sender = null;
+    try {
+      sender = await message.getSender();
+    } catch (error) {
+      // IDs are enough when the sender can't be looked up
+    }
+    if (sender && sender.username) names.push(sender.username.toLowerCase());
+    const label = names[1] ? `@${names[1]}` : names[0] || "unknown";
+
+    if (names.some((name) => this.denySenders.has(name))) {
+      return `sender ${label} is on the deny list`;
+    }
+    if (
+      this.allowSenders.size > 0 &&
+      !names.some((name) => this.allowSenders.has(name))
+    ) {
+      return `sender ${label} is not on the allow list`;
+    }
+    return null;
+  }
+
+  // Resolves to the reason `item` must never be posted ("Filtered: ..."), or
+  // null when the fixed rules let it through (see also checkEngagement)
+  async check(item) {
+    const reason = await this.findReason(item);
+    return reason ? `${FILTER_REASON_PREFIX} ${reason}` : null;
+  }
+
+  async findReason(item) {
+    const { message } = item;
+
+    for (const entry of item.media) {
+      const reason = this.checkMedia(entry);
+      if (reason) return reason;
+    }
+
+    if (this.after !== null && item.date < this.after) {
+      return `posted ${formatDate(item.date)}, before ${formatDate(this.after)}`;
+    }
+    if (this.before !== null && item.date >= this.before) {
+      return `posted ${formatDate(item.date)}, not before ${formatDate(this.before)}`;
+    }
+
+    const forwarded = !!message.fwdFrom;
+    if (this.forwards === "only" && !forwarded) return "not a forward";
+    if (this.forwards === "exclude" && forwarded) return "forwarded post";
+
+    const text = item.messages
+      .map((msg) => msg.message || "")
+      .join("\n")
+      .trim();
+    if (this.captionInclude && !this.captionInclude.test(text)) {
+      return `caption doesn't match ${this.captionInclude.source}`;
+    }
+    if (this.captionExclude && this.captionExclude.test(text)) {
+      return `caption matches ${this.captionExclude.source}`;
+    }
+
+    return this.checkSender(message);
+  }
+
+  // Views and reactions keep growing after a message is posted, so falling
+  // short of them only means "not yet". Returns the reason, or null.
+  checkEngagement(item) {
+    const { message } = item;
+    if (this.minViews !== null && (message.views || 0) < this.minViews) {
+      return `${message.views || 0} views, below ${this.minViews}`;
+    }
+    if (
+      this.minReactions !== null &&
+      countReactions(message) < this.minReactions
+    ) {
+      return `${countReactions(message)} reactions, below ${this.minReactions}`;
+    }
+    return null;
+  }
+}
+
+module.exports = { EligibilityFilters, FILTER_REASON_PREFIX, countReactions };
@@ -0,0 +1,70 @@
+const { summarizeMedia } = require("./media");
+
+const EXPORT_FORMATS = ["csv", "json"];
+const CSV_COLUMNS = [
+  ["source", (entry) => entry.source],
+  ["message_id", (entry) => entry.messageId],
+  ["item_id", (entry) => entry.itemId],
+  ["publisher", (entry) => entry.publisher],
+  ["post_id", (entry) => entry.postId],
+  ["url", (entry) => entry.url],
+  ["thread_ids", (entry) => (entry.threadIds || []).join(" ")],
+  ["strategy", (entry) => entry.strategy],
+  ["original_caption", (entry) => entry.originalCaption],
+  ["caption", (entry) => entry.caption],
+  ["media", (entry) => (entry.media ? summarizeMedia(entry.media) : null)],
+  [
+    "media_bytes",
+    (entry) =>
+      entry.media
+        ? entry.media.reduce((total, file) => total + (file.size || 0), 0)
+        : null,
+  ],
+  ["posted_at", (entry) => entry.postedAt],
+  ["deleted_at", (entry) => entry.deletedAt],
+];
+
+// One row of the posts table as the CLI shows and exports it
+function toHistoryEntry(row) {
+  return {
+    source: row.source,
+    messageId: row.message_id,
+    itemId: row.item_id,
+    publisher: row.publisher,
+    postId: row.post_id,
+    url: row.url,
+    threadIds: row.thread_ids ? JSON.parse(row.thread_ids) : null,
+    strategy: row.strategy,
+    originalCaption: row.original_caption,
+    caption: row.caption,
+    media: row.media ? JSON.parse(row.media) : null,
+    postedAt: row.posted_at,
+    deletedAt: row.deleted_at,
+  };
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 CSV (CRLF line ends, header row) or a JSON array
+function formatHistory(entries, format = "csv") {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown export format "${format}" (expected ${EXPORT_FORMATS.join(" or ")})`
+    );
+  }
+  if (format === "json") {
+    return `${JSON.stringify(entries, null, 2)}\n`;
+  }
+  return [
+    CSV_COLUMNS.map(([name]) => name),
+    ...entries.map((entry) => CSV_COLUMNS.map(([, value]) => value(entry))),
+  ]
+    .map((fields) => `${fields.map(csvField).join(",")}\r\n`)
+    .join("");
+}
+
+module.exports = { toHistoryEntry, formatHistory, EXPORT_FORMATS };
@@ -0,0 +1,183 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { messageIdFromItemId } = require("./store");
+const { log } = require("./logger");
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    log.warn(`⚠️  Could not read ${file}, skipping it`, { error });
+    return null;
+  }
+}
+
+// Both the legacy array format and the { videos: [...] } object format
+function listEntries(data) {
+  if (Array.isArray(data)) return data;
+  return (data && data.videos) || [];
+}
+
+// Failure entries are JSON-encoded records, or bare IDs in the legacy format
+function parseFailure(entry) {
+  try {
+    const record = JSON.parse(entry);
+    if (record && typeof record === "object" && record.videoId) {
+      return record;
+    }
+  } catch (error) {
+    // Not JSON: legacy bare ID
+  }
+  return { videoId: String(entry), reason: "Imported legacy failure" };
+}
+
+// Per-source JSON files, falling back to the single-group files in the
+// working directory for the first source
+function legacyFilesFor(source, stateDir, isFirstSource) {
+  const sourceDir = path.join(stateDir, source.slug);
+  const files = {};
+
+  for (const name of [
+    "processed_videos.json",
+    "failed_videos.json",
+    "video_offset.json",
+    "published_posts.json",
+  ]) {
+    const candidates = [path.join(sourceDir, name)];
+    if (isFirstSource) candidates.push(path.join(".", name));
+    files[name] = candidates.find((file) => fs.existsSync(file)) || null;
+  }
+  return files;
+}
+
+function importSource(store, source, files) {
+  let processed = 0;
+  let failed = 0;
+
+  if (files["processed_videos.json"]) {
+    const data = readJson(files["processed_videos.json"]);
+    const importedAt = (data && data.lastUpdated) || new Date().toISOString();
+    for (const videoId of listEntries(data)) {
+      store.markProcessed(source.name, String(videoId), {
+        messageId: messageIdFromItemId(String(videoId)),
+        processedAt: importedAt,
+      });
+      processed++;
+    }
+  }
+
+  if (files["failed_videos.json"]) {
+    for (const entry of listEntries(readJson(files["failed_videos.json"]))) {
+      const record = parseFailure(entry);
+      store.addFailure(source.name, record.videoId, {
+        publisher: record.publisher || null,
+        messageId: messageIdFromItemId(record.videoId),
+        reason: record.reason || "Unknown upload error",
+        error: record.error || null,
+        failedAt: record.timestamp || new Date().toISOString(),
+      });
+      failed++;
+    }
+  }
+
+  if (files["video_offset.json"]) {
+    const data = readJson(files["video_offset.json"]);
+    if (data && data.offset) {
+      store.setCursor(source.name, data.offset);
+    }
+  }
+
+  if (files["published_posts.json"]) {
+    const data = readJson(files["published_posts.json"]);
+    for (const [videoId, posts] of Object.entries((data && data.posts) || {})) {
+      for (const [publisher, post] of Object.entries(posts)) {
+        store.recordPost(source.name, videoId, publisher, {
+          id: post.id,
+          url: post.url,
+          postedAt: post.timestamp,
+        });
+      }
+    }
+  }
+
+  return { processed, failed };
+}
+
+function importGlobal(store, stateDir) {
+  const rotationFile = path.join(stateDir, "rotation.json");
+  const retryFile = path.join(stateDir, "retry_queue.json");
+  const imported = [];
+
+  if (fs.existsSync(rotationFile)) {
+    const data = readJson(rotationFile);
+    if (data && data.lastSource) {
+      store.setMeta("rotation.lastSource", data.lastSource);
+    }
+    imported.push(rotationFile);
+  }
+
+  if (fs.existsSync(retryFile)) {
+    const data = readJson(retryFile) || {};
+    for (const entry of data.entries || []) {
+      store.saveRetry({
+        source: entry.source,
+        item_id: entry.videoId,
+        publisher: entry.publisher,
+        message_id: entry.messageId,
+        attempts: entry.attempts || 0,
+        reason: entry.reason || null,
+        last_error: entry.lastError || null,
+        first_failed_at: entry.firstFailedAt || new Date().toISOString(),
+        next_attempt_at: new Date(entry.nextAttemptAt || Date.now()).toISOString(),
+      });
+    }
+    for (const [publisher, until] of Object.entries(data.cooldowns || {})) {
+      store.setCooldown(publisher, new Date(until).toISOString());
+    }
+    imported.push(retryFile);
+  }
+
+  return imported;
+}
+
+// One-time import of the JSON state files used before the SQLite store.
+// Each source is imported in its own transaction and marked done in the meta
+// table; the JSON files are renamed to *.imported afterwards.
+function importLegacyState(store, sources, stateDir) {
+  const importedFiles = [];
+
+  sources.forEach((source, index) => {
+    const marker = `legacy_import:${source.slug}`;
+    if (store.getMeta(marker)) return;
+
+    const files = legacyFilesFor(source, stateDir, index === 0);
+    const counts = store.transaction(() => {
+      const result = importSource(store, source, files);
+      store.setMeta(marker, new Date().toISOString());
+      return result;
+    });
+
+    const found = Object.values(files).filter(Boolean);
+    if (found.length > 0) {
+      log.info(
+        `📦 Imported legacy state for ${source.name}: ${counts.processed} processed, ${counts.failed} failed`
+      );
+      importedFiles.push(...found);
+    }
+  });
+
+  if (!store.getMeta("legacy_import:global")) {
+    const found = store.transaction(() => {
+      const result = importGlobal(store, stateDir);
+      store.setMeta("legacy_import:global", new Date().toISOString());
+      return result;
+    });
+    importedFiles.push(...found);
+  }
+
+  for (const file of importedFiles) {
+    fs.moveSync(file, `${file}.imported`, { overwrite: true });
+  }
+}
+
+module.exports = { importLegacyState };
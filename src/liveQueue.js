@@ -0,0 +1,73 @@
+// Media that arrived while listening (`node index.js listen`), waiting to be
+// posted: one entry per item, oldest first. Backed by the live_queue table of
+// the state store, so queued items survive restarts.
+function toEntry(row) {
+  return row
+    ? {
+        source: row.source,
+        itemId: row.item_id,
+        messageId: row.message_id,
+        queuedAt: row.queued_at,
+        editedAt: row.edited_at,
+      }
+    : undefined;
+}
+
+class LiveQueue {
+  constructor(store) {
+    this.store = store;
+  }
+
+  find(source, itemId) {
+    return toEntry(this.store.getLiveItem(source.name, itemId));
+  }
+
+  // False when the item was queued already (another message of its album)
+  add(source, item) {
+    return this.store.addLiveItem({
+      source: source.name,
+      item_id: item.id,
+      message_id: item.message.id,
+      queued_at: new Date().toISOString(),
+    });
+  }
+
+  markEdited(source, itemId) {
+    this.store.markLiveItemEdited(
+      source.name,
+      itemId,
+      new Date().toISOString()
+    );
+  }
+
+  remove(source, itemId) {
+    this.store.removeLiveItem(source.name, itemId);
+  }
+
+  // Entries for these Telegram messages
+  findMessages(source, messageIds) {
+    return this.store
+      .findLiveItemsByMessage(source.name, messageIds)
+      .map(toEntry);
+  }
+
+  list(source = null) {
+    return this.store.listLiveItems(source ? source.name : null).map(toEntry);
+  }
+
+  // Newest message ID the listener has seen in the source, where the
+  // catch-up pass after a reconnect starts; null before the first listen
+  lastSeen(source) {
+    const value = this.store.getMeta(`live_last_seen:${source.name}`);
+    return value === null ? null : Number(value);
+  }
+
+  setLastSeen(source, messageId) {
+    const current = this.lastSeen(source);
+    if (current === null || messageId > current) {
+      this.store.setMeta(`live_last_seen:${source.name}`, String(messageId));
+    }
+  }
+}
+
+module.exports = { LiveQueue };
@@ -0,0 +1,131 @@
+const OpenAI = require("openai");
+const { metrics } = require("./metrics");
+
+// Settings each caption task uses unless LLM_<TASK>_* or LLM_* override them
+const TASK_DEFAULTS = {
+  select: { model: "gpt-4o-mini", temperature: 0.3, maxTokens: 150 },
+  rewrite: { model: "gpt-3.5-turbo", temperature: 0.7, maxTokens: 100 },
+};
+const DEFAULT_TIMEOUT_SECONDS = 30;
+
+// Any server speaking the OpenAI chat completions API: OpenAI itself, or a
+// local one (Ollama, llama.cpp, vLLM, LM Studio) via `baseUrl`
+class ChatModel {
+  constructor({
+    task,
+    model,
+    baseUrl,
+    apiKey,
+    temperature,
+    maxTokens,
+    timeoutMs,
+  }) {
+    this.enabled = true;
+    this.task = task;
+    this.model = model;
+    this.baseUrl = baseUrl || null;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.client = new OpenAI({
+      // Local servers usually ignore the key, but the client insists on one
+      apiKey: apiKey || (baseUrl ? "not-needed" : undefined),
+      baseURL: baseUrl || undefined,
+      timeout: timeoutMs,
+      // The caption code has fallbacks for every failure, don't wait for retries
+      maxRetries: 0,
+    });
+  }
+
+  get description() {
+    return this.baseUrl ? `${this.model} at ${this.baseUrl}` : this.model;
+  }
+
+  // The reply to one system + user prompt, trimmed
+  async complete(system, user) {
+    const response = await metrics.llmLatency.time(
+      { task: this.task, model: this.model },
+      () =>
+        this.client.chat.completions.create({
+          model: this.model,
+          messages: [
+            { role: "system", content: system },
+            { role: "user", content: user },
+          ],
+          max_tokens: this.maxTokens,
+          temperature: this.temperature,
+        })
+    );
+    return (response.choices[0].message.content || "").trim();
+  }
+
+  // Whether the server takes the key and offers the model, without
+  // generating anything. Ollama lists "llama3" as "llama3:latest".
+  async verify() {
+    const offered = [];
+    for await (const model of this.client.models.list()) {
+      offered.push(model.id);
+    }
+    if (
+      !offered.some((id) => id === this.model || id === `${this.model}:latest`)
+    ) {
+      throw new Error(`The server doesn't offer the model ${this.model}`);
+    }
+    return this.description;
+  }
+}
+
+// LLM_PROVIDER=none: no network calls, the caption code uses its
+// deterministic fallbacks instead
+class NoAIModel {
+  constructor() {
+    this.enabled = false;
+    this.description = "no AI";
+  }
+
+  async complete() {
+    throw new Error("No AI provider configured");
+  }
+}
+
+function numberSetting(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+// Model for one caption task ("select" or "rewrite"). Every setting is read
+// from LLM_<TASK>_<NAME>, then LLM_<NAME>, then the task default.
+function createCaptionModel(task, env = process.env) {
+  const prefix = `LLM_${task.toUpperCase()}_`;
+  const setting = (name) => env[`${prefix}${name}`] || env[`LLM_${name}`];
+  const defaults = TASK_DEFAULTS[task];
+
+  const provider = (setting("PROVIDER") || "openai").trim().toLowerCase();
+  if (provider === "none") {
+    return new NoAIModel();
+  }
+  if (provider !== "openai") {
+    throw new Error(
+      `Unknown LLM provider "${provider}" for ${task} (expected openai or none)`
+    );
+  }
+
+  const apiKey = setting("API_KEY") || env.OPENAI_API_KEY;
+  if (!apiKey && !setting("BASE_URL")) {
+    throw new Error(
+      `OPENAI_API_KEY is required for the ${task} caption model (or set LLM_BASE_URL for a local server, or LLM_PROVIDER=none)`
+    );
+  }
+
+  return new ChatModel({
+    task,
+    model: setting("MODEL") || defaults.model,
+    baseUrl: setting("BASE_URL"),
+    apiKey,
+    temperature: numberSetting(setting("TEMPERATURE"), defaults.temperature),
+    maxTokens: numberSetting(setting("MAX_TOKENS"), defaults.maxTokens),
+    timeoutMs:
+      numberSetting(setting("TIMEOUT_SECONDS"), DEFAULT_TIMEOUT_SECONDS) * 1000,
+  });
+}
+
+module.exports = { createCaptionModel, ChatModel, NoAIModel, TASK_DEFAULTS };
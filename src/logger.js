@@ -0,0 +1,117 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const crypto = require("crypto");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ["pretty", "json"];
+
+// Leading emoji and spacing of the human-readable messages, left out of JSON
+const DECORATION_PATTERN = /^[\p{Extended_Pictographic}\uFE0F\u200D\s]+/u;
+
+function serializeError(error) {
+  if (!(error instanceof Error)) return error;
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack,
+  };
+}
+
+// Short random ID tying together every line logged for one item
+function createCorrelationId() {
+  return crypto.randomBytes(4).toString("hex");
+}
+
+// Leveled logger writing through console.log / console.error (so the CLI's
+// --json redirect keeps working), as the usual emoji lines ("pretty") or one
+// JSON object per line ("json"). Fields passed to withContext() are added to
+// every line logged inside it, across awaits.
+class Logger {
+  constructor({ level = "info", format = "pretty" } = {}) {
+    this.storage = new AsyncLocalStorage();
+    this.configure({ level, format });
+  }
+
+  configure({ level, format } = {}) {
+    if (level !== undefined) {
+      const name = (level || "info").trim().toLowerCase();
+      if (!(name in LEVELS)) {
+        throw new Error(
+          `Invalid LOG_LEVEL "${level}" (expected ${Object.keys(LEVELS).join(", ")})`
+        );
+      }
+      this.level = name;
+    }
+    if (format !== undefined) {
+      const name = (format || "pretty").trim().toLowerCase();
+      if (!FORMATS.includes(name)) {
+        throw new Error(
+          `Invalid LOG_FORMAT "${format}" (expected ${FORMATS.join(" or ")})`
+        );
+      }
+      this.format = name;
+    }
+  }
+
+  // Run `fn` with `fields` added to everything it logs
+  withContext(fields, fn) {
+    return this.storage.run({ ...this.storage.getStore(), ...fields }, fn);
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  // `fields.error` (an Error) is appended to pretty lines as ": <message>"
+  // and serialized with its stack in JSON
+  write(level, message, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const output =
+      LEVELS[level] >= LEVELS.warn ? console.error : console.log;
+    const { error, ...rest } = fields;
+
+    if (this.format === "json") {
+      output(
+        JSON.stringify({
+          time: new Date().toISOString(),
+          level,
+          msg: message.replace(DECORATION_PATTERN, ""),
+          ...this.storage.getStore(),
+          ...rest,
+          ...(error !== undefined && { error: serializeError(error) }),
+        })
+      );
+      return;
+    }
+
+    if (error === undefined) {
+      output(message);
+    } else if (this.level === "debug" && error instanceof Error) {
+      output(`${message}:`, error);
+    } else {
+      output(`${message}:`, error instanceof Error ? error.message : error);
+    }
+  }
+
+  debug(message, fields) {
+    this.write("debug", message, fields);
+  }
+
+  info(message, fields) {
+    this.write("info", message, fields);
+  }
+
+  warn(message, fields) {
+    this.write("warn", message, fields);
+  }
+
+  error(message, fields) {
+    this.write("error", message, fields);
+  }
+}
+
+// Shared by every module; TelegramToXPoster applies LOG_LEVEL and LOG_FORMAT
+const log = new Logger();
+
+module.exports = { log, Logger, createCorrelationId };
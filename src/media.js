@@ -0,0 +1,148 @@
+const { Api } = require("telegram");
+
+// X allows up to four images, or a single GIF, or a single video per post
+const MAX_IMAGES_PER_POST = 4;
+// Telegram albums hold at most 10 items with consecutive message IDs
+const ALBUM_MAX_ITEMS = 10;
+
+// "photo", "gif", "video" or null for messages we don't post
+function getMediaKind(message) {
+  if (message.photo) return "photo";
+  if (message.sticker || message.videoNote) return null;
+  if (message.gif) return "gif";
+  if (message.video) return "video";
+  return null;
+}
+
+function largestPhotoSize(photo) {
+  return (photo.sizes || []).reduce((largest, size) => {
+    const bytes =
+      size.size ||
+      (size.sizes ? Math.max(...size.sizes) : 0) ||
+      (size.bytes ? size.bytes.length : 0);
+    return Math.max(largest, bytes);
+  }, 0);
+}
+
+// Everything the pipeline needs to know about one message's media
+function describeMedia(message) {
+  const kind = getMediaKind(message);
+  if (!kind) return null;
+
+  if (kind === "photo") {
+    return {
+      kind,
+      message,
+      mimeType: "image/jpeg",
+      extension: "jpg",
+      size: largestPhotoSize(message.photo),
+      duration: 0,
+    };
+  }
+
+  const document = message.document;
+  const videoAttribute = document.attributes.find(
+    (attribute) => attribute instanceof Api.DocumentAttributeVideo
+  );
+  const mimeType = document.mimeType || "video/mp4";
+
+  return {
+    kind,
+    message,
+    mimeType,
+    extension: mimeType === "image/gif" ? "gif" : "mp4",
+    size: Number(document.size),
+    duration: videoAttribute ? videoAttribute.duration : 0,
+    width: videoAttribute ? videoAttribute.w : undefined,
+    height: videoAttribute ? videoAttribute.h : undefined,
+  };
+}
+
+// Fetch every message that belongs to the same album as `message`
+async function collectAlbum(telegramClient, entity, message) {
+  if (!message.groupedId) {
+    return [message];
+  }
+
+  const ids = [];
+  for (
+    let id = message.id - (ALBUM_MAX_ITEMS - 1);
+    id <= message.id + (ALBUM_MAX_ITEMS - 1);
+    id++
+  ) {
+    if (id > 0) ids.push(id);
+  }
+
+  const groupedId = String(message.groupedId);
+  const messages = await telegramClient.getMessages(entity, { ids });
+  return messages
+    .filter((msg) => msg && msg.groupedId && String(msg.groupedId) === groupedId)
+    .sort((a, b) => a.id - b.id);
+}
+
+// Reduce an album's media to what X accepts in one post. The first item decides:
+// an album that starts with photos keeps up to four photos, otherwise only the
+// first GIF/video is posted.
+function selectPostableMedia(media) {
+  if (media.length === 0) return [];
+
+  if (media[0].kind === "photo") {
+    return media
+      .filter((entry) => entry.kind === "photo")
+      .slice(0, MAX_IMAGES_PER_POST);
+  }
+  return [media[0]];
+}
+
+// Throw if a media list breaks a destination's rules on mixing media in one
+// post (X's by default). `maxSizeMB` is the largest file it takes per kind,
+// e.g. { photo: 16, video: 99 }.
+function validateMediaMix(
+  media,
+  { maxImages = MAX_IMAGES_PER_POST, maxSizeMB = {} } = {}
+) {
+  const photos = media.filter((entry) => entry.kind === "photo").length;
+  const others = media.length - photos;
+
+  if (media.length === 0) {
+    throw new Error("No media to post");
+  }
+  if (others > 0 && media.length > 1) {
+    throw new Error(
+      "Unsupported media combination: a GIF or video must be posted on its own"
+    );
+  }
+  if (photos > maxImages) {
+    throw new Error(`Too many images: ${photos} (max: ${maxImages} per post)`);
+  }
+  for (const entry of media) {
+    const limit = maxSizeMB[entry.kind];
+    if (limit && entry.size > limit * 1024 * 1024) {
+      throw new Error(
+        `${entry.kind} file too large: ${(entry.size / (1024 * 1024)).toFixed(
+          1
+        )}MB (max: ${limit}MB)`
+      );
+    }
+  }
+}
+
+function summarizeMedia(media) {
+  const counts = {};
+  for (const entry of media) {
+    counts[entry.kind] = (counts[entry.kind] || 0) + 1;
+  }
+  return Object.entries(counts)
+    .map(([kind, count]) => `${count} ${kind}${count > 1 ? "s" : ""}`)
+    .join(", ");
+}
+
+module.exports = {
+  MAX_IMAGES_PER_POST,
+  getMediaKind,
+  describeMedia,
+  collectAlbum,
+  selectPostableMedia,
+  validateMediaMix,
+  summarizeMedia,
+};
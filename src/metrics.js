@@ -0,0 +1,193 @@
+// Minimal Prometheus registry: counters, gauges and histograms with labels,
+// rendered in the text exposition format for GET /metrics
+const PREFIX = "telegram_poster_";
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length === 0
+    ? ""
+    : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = `${PREFIX}${name}`;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  entry(labels, create) {
+    const key = labelKey(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super("counter", name, help);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  render() {
+    return [
+      ...this.header(),
+      ...[...this.series.values()].map(
+        ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`
+      ),
+    ];
+  }
+}
+
+// Set directly, or computed at scrape time by `collect` (returning a number
+// or [{ labels, value }])
+class Gauge extends Metric {
+  constructor(name, help, collect = null) {
+    super("gauge", name, help);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.entry(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    let series = [...this.series.values()];
+    if (this.collect) {
+      const collected = this.collect();
+      series = Array.isArray(collected)
+        ? collected
+        : [{ labels: {}, value: collected }];
+    }
+    return [
+      ...this.header(),
+      ...series
+        .filter(({ value }) => value !== null && value !== undefined)
+        .map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${Number(value)}`),
+    ];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const entry = this.entry(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  // Time an async call in seconds, whether it succeeds or throws
+  async time(labels, fn) {
+    const start = process.hrtime.bigint();
+    try {
+      return await fn();
+    } finally {
+      this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`
+        );
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this.add(new Counter(name, help));
+  }
+
+  gauge(name, help, collect) {
+    return this.add(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this.add(new Histogram(name, help, buckets));
+  }
+
+  render() {
+    return `${this.metrics.flatMap((metric) => metric.render()).join("\n")}\n`;
+  }
+}
+
+// Shared by every module. Gauges that read the state store are added by
+// TelegramToXPoster.
+const registry = new Registry();
+const metrics = {
+  registry,
+  posts: registry.counter("posts_total", "Items posted, per destination"),
+  failures: registry.counter(
+    "failures_total",
+    "Failed or skipped items, per destination and reason"
+  ),
+  retries: registry.counter(
+    "retries_total",
+    "Transient failures queued for another attempt, per destination and reason"
+  ),
+  downloadBytes: registry.counter(
+    "download_bytes_total",
+    "Bytes downloaded from Telegram"
+  ),
+  llmLatency: registry.histogram(
+    "llm_request_duration_seconds",
+    "Caption model (OpenAI or compatible) request latency, per task"
+  ),
+  publishLatency: registry.histogram(
+    "publish_request_duration_seconds",
+    "Destination API latency (X, Bluesky, Mastodon), per request"
+  ),
+};
+
+module.exports = { metrics, Registry, Counter, Gauge, Histogram };
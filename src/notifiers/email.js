@@ -0,0 +1,41 @@
+const nodemailer = require("nodemailer");
+const { Notifier } = require("./notifier");
+
+// Connecting, the greeting and every reply after it
+const SMTP_TIMEOUT_MS = 30000;
+
+class EmailNotifier extends Notifier {
+  constructor({ host, port, secure, user, password, from, to, events }) {
+    super("email", "Email", { events });
+    if (!host || !from || to.length === 0) {
+      throw new Error(
+        "The email notifier needs NOTIFY_SMTP_HOST, NOTIFY_EMAIL_FROM and NOTIFY_EMAIL_TO"
+      );
+    }
+    // With a login, a server that doesn't offer STARTTLS is refused rather
+    // than sent the password in the clear
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      requireTLS: !secure && Boolean(user),
+      auth: user ? { user, pass: password } : undefined,
+      connectionTimeout: SMTP_TIMEOUT_MS,
+      greetingTimeout: SMTP_TIMEOUT_MS,
+      socketTimeout: SMTP_TIMEOUT_MS,
+    });
+    this.from = from;
+    this.to = to;
+  }
+
+  async send(notification) {
+    await this.transport.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: `[telegram-to-x] ${notification.title}`,
+      text: this.format(notification),
+    });
+  }
+}
+
+module.exports = { EmailNotifier };
@@ -0,0 +1,144 @@
+const { log } = require("../logger");
+const { DEFAULT_EVENTS, NOTIFY_EVENTS, parseEvents } = require("./notifier");
+const { WebhookNotifier } = require("./webhook");
+const { TelegramNotifier } = require("./telegram");
+const { EmailNotifier } = require("./email");
+
+const HISTORY_DAYS = 7;
+
+// Fans events out to every configured notifier, at most `rateLimit` per
+// channel and event in each window. Sends run in the background so they never
+// hold up posting; flush() waits for them before shutdown.
+class Notifications {
+  constructor(notifiers, { store, rateLimit, rateWindowMs }) {
+    this.notifiers = notifiers;
+    this.store = store;
+    this.rateLimit = rateLimit;
+    this.rateWindowMs = rateWindowMs;
+    this.pending = new Set();
+    this.pruned = false;
+  }
+
+  get enabled() {
+    return this.notifiers.length > 0;
+  }
+
+  // Decide now (so callers racing each other see each other's sends) and
+  // send later. Never throws.
+  notify(event, title, text = "", details = {}) {
+    for (const notifier of this.notifiers) {
+      if (!notifier.wants(event)) continue;
+
+      let suppressed;
+      try {
+        suppressed = this.claim(notifier.name, event);
+      } catch (error) {
+        log.warn("⚠️  Could not check the notification rate limit", { error });
+        continue;
+      }
+      if (suppressed === null) {
+        log.debug(`🔕 ${notifier.label} notification "${event}" rate-limited`);
+        continue;
+      }
+
+      const sending = notifier
+        .send({ event, title, text, details, suppressed })
+        .catch((error) =>
+          log.warn(`⚠️  ${notifier.label} notification failed`, { error })
+        )
+        .finally(() => this.pending.delete(sending));
+      this.pending.add(sending);
+    }
+  }
+
+  // Records the attempt; returns how many notifications were suppressed since
+  // the last one sent, or null when this one is over the limit
+  claim(channel, event) {
+    return this.store.transaction(() => {
+      const now = Date.now();
+      if (!this.pruned) {
+        this.store.pruneNotifications(
+          new Date(now - HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString()
+        );
+        this.pruned = true;
+      }
+
+      const since = new Date(now - this.rateWindowMs).toISOString();
+      const { sent, pending } = this.store.countNotifications(
+        channel,
+        event,
+        since
+      );
+      const allowed = this.rateLimit <= 0 || sent < this.rateLimit;
+      this.store.addNotification({
+        channel,
+        event,
+        sent: allowed,
+        created_at: new Date(now).toISOString(),
+      });
+      return allowed ? pending : null;
+    });
+  }
+
+  async flush() {
+    while (this.pending.size > 0) {
+      await Promise.all([...this.pending]);
+    }
+  }
+}
+
+// Build the notifiers configured in the environment. Each channel takes the
+// events in NOTIFY_EVENTS unless it has its own NOTIFY_<CHANNEL>_EVENTS.
+function createNotifications(env, { store, getTelegramClient }) {
+  const events = (name) =>
+    parseEvents(
+      env[name] || env.NOTIFY_EVENTS || DEFAULT_EVENTS,
+      env[name] ? name : "NOTIFY_EVENTS"
+    );
+
+  const notifiers = [];
+  if (env.NOTIFY_WEBHOOK_URL) {
+    notifiers.push(
+      new WebhookNotifier({
+        url: env.NOTIFY_WEBHOOK_URL,
+        events: events("NOTIFY_WEBHOOK_EVENTS"),
+      })
+    );
+  }
+  if (env.NOTIFY_TELEGRAM_CHAT) {
+    notifiers.push(
+      new TelegramNotifier({
+        chat: env.NOTIFY_TELEGRAM_CHAT,
+        getClient: getTelegramClient,
+        events: events("NOTIFY_TELEGRAM_EVENTS"),
+      })
+    );
+  }
+  if (env.NOTIFY_SMTP_HOST || env.NOTIFY_EMAIL_TO) {
+    notifiers.push(
+      new EmailNotifier({
+        host: env.NOTIFY_SMTP_HOST,
+        port: parseInt(env.NOTIFY_SMTP_PORT) || 587,
+        secure: env.NOTIFY_SMTP_SECURE === "true",
+        user: env.NOTIFY_SMTP_USER,
+        password: env.NOTIFY_SMTP_PASSWORD,
+        from: env.NOTIFY_EMAIL_FROM,
+        to: (env.NOTIFY_EMAIL_TO || "")
+          .split(",")
+          .map((address) => address.trim())
+          .filter(Boolean),
+        events: events("NOTIFY_EMAIL_EVENTS"),
+      })
+    );
+  }
+
+  const rateLimit = parseInt(env.NOTIFY_RATE_LIMIT);
+  return new Notifications(notifiers, {
+    store,
+    rateLimit: Number.isNaN(rateLimit) ? 5 : rateLimit,
+    rateWindowMs:
+      (parseFloat(env.NOTIFY_RATE_WINDOW_MINUTES) || 60) * 60 * 1000,
+  });
+}
+
+module.exports = { createNotifications, Notifications, NOTIFY_EVENTS };
@@ -0,0 +1,60 @@
+// Every event a notifier can be told about
+const NOTIFY_EVENTS = ["posted", "failed", "retrying", "auth", "idle", "error"];
+const DEFAULT_EVENTS = "failed,retrying,auth,error";
+
+// "failed, auth" -> Set { "failed", "auth" }; "all" means every event
+function parseEvents(value, name) {
+  const events = (value || "")
+    .split(",")
+    .map((event) => event.trim().toLowerCase())
+    .filter(Boolean);
+  if (events.includes("all")) return new Set(NOTIFY_EVENTS);
+
+  for (const event of events) {
+    if (!NOTIFY_EVENTS.includes(event)) {
+      throw new Error(
+        `Unknown event "${event}" in ${name} (expected one of: all, ${NOTIFY_EVENTS.join(
+          ", "
+        )})`
+      );
+    }
+  }
+  return new Set(events);
+}
+
+// Base class for every notification channel. Subclasses implement
+// send(notification), where a notification is
+// { event, title, text, details, suppressed } and `suppressed` counts the
+// notifications of the same event the rate limit held back since the last one.
+class Notifier {
+  constructor(name, label, { events }) {
+    this.name = name;
+    this.label = label;
+    this.events = events;
+  }
+
+  wants(event) {
+    return this.events.has(event);
+  }
+
+  async send(notification) {
+    throw new Error(`${this.constructor.name} does not implement send()`);
+  }
+
+  // Plain-text body shared by the channels
+  format({ title, text, suppressed }) {
+    return [
+      title,
+      text,
+      suppressed > 0
+        ? `(${suppressed} similar notification${
+            suppressed === 1 ? "" : "s"
+          } suppressed by the rate limit)`
+        : "",
+    ]
+      .filter(Boolean)
+      .join("\n\n");
+  }
+}
+
+module.exports = { Notifier, NOTIFY_EVENTS, DEFAULT_EVENTS, parseEvents };
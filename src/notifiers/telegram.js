@@ -0,0 +1,25 @@
+const { Notifier } = require("./notifier");
+
+// Telegram message from the poster's own account, to any chat it can write
+// to ("me" is Saved Messages). Uses the poster's client, so it only works
+// while that is connected.
+class TelegramNotifier extends Notifier {
+  constructor({ chat, getClient, events }) {
+    super("telegram", "Telegram", { events });
+    this.chat = chat;
+    this.getClient = getClient;
+  }
+
+  async send(notification) {
+    const client = this.getClient();
+    if (!client || !client.connected) {
+      throw new Error("Telegram isn't connected");
+    }
+    await client.sendMessage(this.chat, {
+      message: this.format(notification),
+      linkPreview: false,
+    });
+  }
+}
+
+module.exports = { TelegramNotifier };
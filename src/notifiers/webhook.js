@@ -0,0 +1,33 @@
+const { Notifier } = require("./notifier");
+const { requestJson } = require("../publishers/http");
+
+// Generic HTTP webhook. The JSON body has the message as `text` (Slack) and
+// `content` (Discord), so both accept it as is, plus the raw event for
+// anything else.
+class WebhookNotifier extends Notifier {
+  constructor({ url, events }) {
+    super("webhook", "Webhook", { events });
+    if (!url) {
+      throw new Error("The webhook notifier needs NOTIFY_WEBHOOK_URL");
+    }
+    this.url = url;
+  }
+
+  async send(notification) {
+    const message = this.format(notification);
+    await requestJson(this.url, {
+      method: "POST",
+      json: {
+        text: message,
+        // Discord rejects messages over 2000 characters
+        content: message.slice(0, 2000),
+        event: notification.event,
+        title: notification.title,
+        details: notification.details,
+        suppressed: notification.suppressed,
+      },
+    });
+  }
+}
+
+module.exports = { WebhookNotifier };
@@ -0,0 +1,70 @@
+const { Schedule } = require("./schedule");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often, and when, one destination account may post: at most
+// `dailyLimit` posts in any 24 hours, only inside its posting windows and
+// outside its quiet days, and with its own `schedule` ("3 per day" or cron)
+// no more than once per slot. Posts come from the store's post history, so
+// undone posts still count.
+class PostingLimits {
+  constructor({
+    dailyLimit = 0,
+    schedule = "",
+    windows = "",
+    quietDays = "",
+    timeZone,
+  }) {
+    this.dailyLimit = dailyLimit;
+    this.paced = !!schedule;
+    this.schedule = new Schedule({
+      schedule: schedule || "1 per day",
+      timeZone,
+      windows,
+      quietDays,
+    });
+    if (this.schedule.nextAllowed(Date.now()) === null) {
+      throw new Error("Posting windows and quiet days leave no time to post");
+    }
+  }
+
+  // Posts of `publisher` in the 24 hours before `now`
+  recentPosts(store, publisher, now = Date.now()) {
+    return store.listPosts({
+      publisher,
+      since: new Date(now - DAY_MS).toISOString(),
+    });
+  }
+
+  // Null when `publisher` may post now, otherwise { until, reason } with the
+  // earliest time (ms) it may
+  check(store, publisher, now = Date.now()) {
+    let until = now;
+    let reason = null;
+
+    const recent = this.recentPosts(store, publisher, now);
+    if (this.dailyLimit > 0 && recent.length >= this.dailyLimit) {
+      until =
+        Date.parse(recent[recent.length - this.dailyLimit].posted_at) + DAY_MS;
+      reason = `Daily limit of ${this.dailyLimit} posts reached`;
+    }
+
+    const last = store.lastPostedAt(publisher);
+    if (this.paced && last) {
+      const [slot] = this.schedule.upcoming(1, Date.parse(last));
+      if (slot > until) {
+        until = slot;
+        reason =
+          reason || `Waiting for its next "${this.schedule.description}" slot`;
+      }
+    }
+
+    if (!this.schedule.isAllowed(until)) {
+      until = this.schedule.nextAllowed(until);
+      reason = reason || "Outside its posting windows";
+    }
+    return until > now ? { until, reason } : null;
+  }
+}
+
+module.exports = { PostingLimits };
@@ -0,0 +1,168 @@
+const fs = require("fs-extra");
+const { Publisher } = require("./publisher");
+const { joinUrl, requestJson } = require("./http");
+const { validateMediaMix } = require("../media");
+const { log } = require("../logger");
+
+// Most posts one app.bsky.feed.getPosts request returns
+const BLUESKY_LOOKUP_LIMIT = 25;
+
+// Posts through the AT Protocol XRPC API: media goes up with
+// com.atproto.repo.uploadBlob and is embedded in an app.bsky.feed.post record.
+class BlueskyPublisher extends Publisher {
+  constructor({ serviceUrl, identifier, appPassword }) {
+    super("bluesky", "Bluesky", { maxLength: 300 });
+
+    if (!identifier || !appPassword) {
+      throw new Error(
+        "Bluesky publisher requires BLUESKY_IDENTIFIER and BLUESKY_APP_PASSWORD"
+      );
+    }
+
+    this.serviceUrl = serviceUrl || "https://bsky.social";
+    this.identifier = identifier;
+    this.appPassword = appPassword;
+    this.session = null;
+  }
+
+  xrpcUrl(method) {
+    return joinUrl(this.serviceUrl, `xrpc/${method}`);
+  }
+
+  async getSession() {
+    if (!this.session) {
+      const { data } = await requestJson(
+        this.xrpcUrl("com.atproto.server.createSession"),
+        {
+          method: "POST",
+          json: { identifier: this.identifier, password: this.appPassword },
+        }
+      );
+      this.session = data;
+    }
+    return this.session;
+  }
+
+  // Access tokens are short-lived; start a new session once if the old one expired
+  async withSession(request) {
+    try {
+      return await request(await this.getSession());
+    } catch (error) {
+      if (!error.data || error.data.error !== "ExpiredToken") throw error;
+      this.session = null;
+      return await request(await this.getSession());
+    }
+  }
+
+  // Bluesky has the same limits as X: up to four images or one video
+  async prepare(media) {
+    validateMediaMix(media);
+    return media;
+  }
+
+  async uploadMedia(prepared) {
+    const blobs = [];
+
+    for (const item of prepared) {
+      log.info("📤 Uploading blob to Bluesky...");
+      const body = await fs.readFile(item.path);
+      const { data } = await this.withSession((session) =>
+        requestJson(this.xrpcUrl("com.atproto.repo.uploadBlob"), {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${session.accessJwt}`,
+            "Content-Type": item.mimeType,
+          },
+          body,
+        })
+      );
+      blobs.push(data.blob);
+    }
+    return blobs;
+  }
+
+  // Photos become an image embed; a GIF/video (Telegram GIFs are MP4s) a video embed
+  buildEmbed(blobs) {
+    if (blobs[0].mimeType.startsWith("image/")) {
+      return {
+        $type: "app.bsky.embed.images",
+        images: blobs.map((blob) => ({ image: blob, alt: "" })),
+      };
+    }
+    return { $type: "app.bsky.embed.video", video: blobs[0] };
+  }
+
+  async post(text, blobs) {
+    log.info("📝 Creating Bluesky post...");
+    const { data } = await this.withSession((session) =>
+      requestJson(this.xrpcUrl("com.atproto.repo.createRecord"), {
+        method: "POST",
+        headers: { Authorization: `Bearer ${session.accessJwt}` },
+        json: {
+          repo: session.did,
+          collection: "app.bsky.feed.post",
+          record: {
+            $type: "app.bsky.feed.post",
+            text,
+            createdAt: new Date().toISOString(),
+            embed: this.buildEmbed(blobs),
+          },
+        },
+      })
+    );
+
+    const session = await this.getSession();
+    const recordKey = data.uri.split("/").pop();
+    return {
+      id: data.uri,
+      url: `https://bsky.app/profile/${session.handle || session.did}/post/${recordKey}`,
+    };
+  }
+
+  // Up to 25 posts per request; Bluesky doesn't count impressions
+  async fetchMetrics(uris) {
+    const metrics = {};
+    for (let start = 0; start < uris.length; start += BLUESKY_LOOKUP_LIMIT) {
+      const query = new URLSearchParams(
+        uris
+          .slice(start, start + BLUESKY_LOOKUP_LIMIT)
+          .map((uri) => ["uris", uri])
+      );
+      const { data } = await this.withSession((session) =>
+        requestJson(`${this.xrpcUrl("app.bsky.feed.getPosts")}?${query}`, {
+          headers: { Authorization: `Bearer ${session.accessJwt}` },
+        })
+      );
+      for (const post of data.posts) {
+        metrics[post.uri] = {
+          impressions: null,
+          likes: post.likeCount,
+          reposts: post.repostCount + (post.quoteCount || 0),
+          replies: post.replyCount,
+        };
+      }
+    }
+    return metrics;
+  }
+
+  // Post IDs are at:// URIs: at://<did>/app.bsky.feed.post/<record key>
+  async deletePost(uri) {
+    const [, , repo, collection, rkey] = uri.split("/");
+    await this.withSession((session) =>
+      requestJson(this.xrpcUrl("com.atproto.repo.deleteRecord"), {
+        method: "POST",
+        headers: { Authorization: `Bearer ${session.accessJwt}` },
+        json: { repo, collection, rkey },
+      })
+    );
+  }
+
+  // Logging in is the check
+  async verifyCredentials() {
+    this.session = null;
+    const session = await this.getSession();
+    return `@${session.handle}`;
+  }
+}
+
+module.exports = { BlueskyPublisher };
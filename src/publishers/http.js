@@ -0,0 +1,52 @@
+// Minimal fetch wrapper shared by the HTTP-based publishers.
+// Errors carry the HTTP status in `code`, like twitter-api-v2's ApiResponseError,
+// so the run loop can classify failures the same way for every destination.
+class PublisherHttpError extends Error {
+  constructor(message, { code, data = null, headers = {} } = {}) {
+    super(message);
+    this.name = "PublisherHttpError";
+    this.code = code;
+    this.data = data;
+    this.headers = headers;
+  }
+}
+
+function joinUrl(baseUrl, endpoint) {
+  return `${baseUrl.replace(/\/+$/, "")}/${endpoint.replace(/^\/+/, "")}`;
+}
+
+async function requestJson(url, { method = "GET", headers = {}, json, body } = {}) {
+  const requestHeaders = { Accept: "application/json", ...headers };
+  if (json !== undefined) {
+    requestHeaders["Content-Type"] = "application/json";
+    body = JSON.stringify(json);
+  }
+
+  const response = await fetch(url, { method, headers: requestHeaders, body });
+  const text = await response.text();
+
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (error) {
+    data = text;
+  }
+
+  if (!response.ok) {
+    const detail =
+      (data && (data.message || data.error_description || data.error)) ||
+      response.statusText;
+    throw new PublisherHttpError(
+      `${method} ${url} failed with ${response.status}: ${detail}`,
+      {
+        code: response.status,
+        data,
+        headers: Object.fromEntries(response.headers.entries()),
+      }
+    );
+  }
+
+  return { status: response.status, data, headers: response.headers };
+}
+
+module.exports = { PublisherHttpError, joinUrl, requestJson };
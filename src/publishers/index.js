@@ -0,0 +1,124 @@
+const { XPublisher } = require("./x");
+const { BlueskyPublisher } = require("./bluesky");
+const { MastodonPublisher } = require("./mastodon");
+const { PostingLimits } = require("../postingLimits");
+
+// Further X accounts are "x:<account>" in PUBLISHERS, configured with
+// X_<ACCOUNT>_* settings
+const X_ACCOUNT_PATTERN = /^x:([a-z0-9_]+)$/;
+
+function xAccountPrefix(account) {
+  return `X_${account.toUpperCase()}_`;
+}
+
+// One named X account: its own user tokens (the app key and secret default
+// to TWITTER_API_KEY/TWITTER_API_SECRET), daily limit and schedule
+function createXAccount(account, env) {
+  const prefix = xAccountPrefix(account);
+  const setting = (name) => env[`${prefix}${name}`];
+
+  const missing = ["ACCESS_TOKEN", "ACCESS_TOKEN_SECRET"].filter(
+    (name) => !setting(name)
+  );
+  if (!setting("API_KEY") && !env.TWITTER_API_KEY) missing.push("API_KEY");
+  if (!setting("API_SECRET") && !env.TWITTER_API_SECRET) {
+    missing.push("API_SECRET");
+  }
+  if (missing.length > 0) {
+    throw new Error(
+      `X account ${account} requires ${missing
+        .map((name) => `${prefix}${name}`)
+        .join(", ")}`
+    );
+  }
+
+  const publisher = new XPublisher({
+    account,
+    appKey: setting("API_KEY") || env.TWITTER_API_KEY,
+    appSecret: setting("API_SECRET") || env.TWITTER_API_SECRET,
+    accessToken: setting("ACCESS_TOKEN"),
+    accessSecret: setting("ACCESS_TOKEN_SECRET"),
+    apiBaseUrl: env.X_API_BASE_URL,
+    uploadBaseUrl: env.X_UPLOAD_BASE_URL,
+    threadLength:
+      parseInt(setting("THREAD_MAX_POSTS") || env.X_THREAD_MAX_POSTS) || 1,
+  });
+  publisher.limits = new PostingLimits({
+    dailyLimit: parseInt(setting("DAILY_LIMIT")) || 0,
+    schedule: setting("SCHEDULE"),
+    windows: setting("POSTING_WINDOWS"),
+    quietDays: setting("QUIET_DAYS"),
+    timeZone: env.SCHEDULE_TIMEZONE || undefined,
+  });
+  return publisher;
+}
+
+// Build the publishers named in PUBLISHERS (e.g. "x,x:news,bluesky,mastodon")
+function createPublishers(names, env = process.env) {
+  const factories = {
+    x: () =>
+      new XPublisher({
+        appKey: env.TWITTER_API_KEY,
+        appSecret: env.TWITTER_API_SECRET,
+        accessToken: env.TWITTER_ACCESS_TOKEN,
+        accessSecret: env.TWITTER_ACCESS_TOKEN_SECRET,
+        apiBaseUrl: env.X_API_BASE_URL,
+        uploadBaseUrl: env.X_UPLOAD_BASE_URL,
+        threadLength: parseInt(env.X_THREAD_MAX_POSTS) || 1,
+      }),
+    bluesky: () =>
+      new BlueskyPublisher({
+        serviceUrl: env.BLUESKY_SERVICE_URL,
+        identifier: env.BLUESKY_IDENTIFIER,
+        appPassword: env.BLUESKY_APP_PASSWORD,
+      }),
+    mastodon: () =>
+      new MastodonPublisher({
+        baseUrl: env.MASTODON_BASE_URL,
+        accessToken: env.MASTODON_ACCESS_TOKEN,
+        visibility: env.MASTODON_VISIBILITY,
+      }),
+  };
+
+  const publishers = (names || "x")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map((name) => {
+      const account = X_ACCOUNT_PATTERN.exec(name);
+      if (account) {
+        return createXAccount(account[1], env);
+      }
+      if (!factories[name]) {
+        throw new Error(
+          `Unknown publisher "${name}" (expected one of: ${Object.keys(
+            factories
+          ).join(", ")}, or x:<account>)`
+        );
+      }
+      return factories[name]();
+    });
+
+  if (publishers.length === 0) {
+    throw new Error("No publishers configured (set PUBLISHERS)");
+  }
+  const repeated = publishers.find(
+    (publisher, index) =>
+      publishers.findIndex((other) => other.name === publisher.name) !== index
+  );
+  if (repeated) {
+    throw new Error(
+      `Publisher "${repeated.name}" is listed twice in PUBLISHERS`
+    );
+  }
+  return publishers;
+}
+
+module.exports = {
+  createPublishers,
+  xAccountPrefix,
+  X_ACCOUNT_PATTERN,
+  XPublisher,
+  BlueskyPublisher,
+  MastodonPublisher,
+};
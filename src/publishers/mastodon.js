@@ -0,0 +1,138 @@
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+const { Publisher } = require("./publisher");
+const { joinUrl, requestJson } = require("./http");
+const { validateMediaMix } = require("../media");
+const { log } = require("../logger");
+
+const MEDIA_POLL_INTERVAL_MS = 2000;
+const MEDIA_POLL_ATTEMPTS = 60;
+// Mastodon's defaults: four attachments, a video or GIF on its own, images
+// up to 16MB and videos up to 99MB (GIFs are uploaded as video)
+const MASTODON_MEDIA_LIMITS = {
+  maxImages: 4,
+  maxSizeMB: { photo: 16, gif: 99, video: 99 },
+};
+
+// Posts through the Mastodon REST API (/api/v2/media + /api/v1/statuses)
+class MastodonPublisher extends Publisher {
+  constructor({ baseUrl, accessToken, visibility }) {
+    super("mastodon", "Mastodon", { maxLength: 500 });
+
+    if (!baseUrl || !accessToken) {
+      throw new Error(
+        "Mastodon publisher requires MASTODON_BASE_URL and MASTODON_ACCESS_TOKEN"
+      );
+    }
+
+    this.baseUrl = baseUrl;
+    this.accessToken = accessToken;
+    this.visibility = visibility || "public";
+  }
+
+  get authHeaders() {
+    return { Authorization: `Bearer ${this.accessToken}` };
+  }
+
+  async prepare(media) {
+    validateMediaMix(media, MASTODON_MEDIA_LIMITS);
+    return media;
+  }
+
+  async uploadMedia(prepared) {
+    const mediaIds = [];
+
+    for (const item of prepared) {
+      log.info("📤 Uploading media to Mastodon...");
+      const form = new FormData();
+      form.append(
+        "file",
+        new Blob([await fs.readFile(item.path)], { type: item.mimeType }),
+        path.basename(item.path)
+      );
+
+      let { status, data: attachment } = await requestJson(
+        joinUrl(this.baseUrl, "api/v2/media"),
+        { method: "POST", headers: this.authHeaders, body: form }
+      );
+
+      // 202 means the server is still processing the file; wait until it has a URL
+      for (
+        let attempt = 0;
+        status === 202 && !attachment.url && attempt < MEDIA_POLL_ATTEMPTS;
+        attempt++
+      ) {
+        await new Promise((resolve) =>
+          setTimeout(resolve, MEDIA_POLL_INTERVAL_MS)
+        );
+        ({ data: attachment } = await requestJson(
+          joinUrl(this.baseUrl, `api/v1/media/${attachment.id}`),
+          { headers: this.authHeaders }
+        ));
+      }
+
+      if (!attachment.url) {
+        throw new Error("Mastodon media processing timed out");
+      }
+      mediaIds.push(attachment.id);
+    }
+    return mediaIds;
+  }
+
+  async post(text, mediaIds) {
+    log.info("📝 Posting Mastodon status...");
+    const { data: status } = await requestJson(
+      joinUrl(this.baseUrl, "api/v1/statuses"),
+      {
+        method: "POST",
+        headers: {
+          ...this.authHeaders,
+          "Idempotency-Key": crypto.randomUUID(),
+        },
+        json: { status: text, media_ids: mediaIds, visibility: this.visibility },
+      }
+    );
+
+    return { id: status.id, url: status.url };
+  }
+
+  async deletePost(id) {
+    await requestJson(joinUrl(this.baseUrl, `api/v1/statuses/${id}`), {
+      method: "DELETE",
+      headers: this.authHeaders,
+    });
+  }
+
+  async verifyCredentials() {
+    const { data: account } = await requestJson(
+      joinUrl(this.baseUrl, "api/v1/accounts/verify_credentials"),
+      { headers: this.authHeaders }
+    );
+    return `@${account.acct}`;
+  }
+
+  // One request per status; Mastodon doesn't count impressions
+  async fetchMetrics(ids) {
+    const metrics = {};
+    for (const id of ids) {
+      try {
+        const { data: status } = await requestJson(
+          joinUrl(this.baseUrl, `api/v1/statuses/${id}`),
+          { headers: this.authHeaders }
+        );
+        metrics[id] = {
+          impressions: null,
+          likes: status.favourites_count,
+          reposts: status.reblogs_count,
+          replies: status.replies_count,
+        };
+      } catch (error) {
+        if (error.code !== 404) throw error;
+      }
+    }
+    return metrics;
+  }
+}
+
+module.exports = { MastodonPublisher };
@@ -0,0 +1,165 @@
+const { truncateText, splitIntoThread } = require("../captionRules");
+const { log } = require("../logger");
+const { metrics } = require("../metrics");
+
+const DEFAULT_POST_TEXT = "🎥 Media from Telegram";
+
+// Base class for every destination. A publish is three steps:
+//   prepare(media)            -> check/adjust the downloaded media for this destination
+//   uploadMedia(prepared)     -> upload it and return the destination's media IDs
+//   post(text, mediaIds)      -> create the post and return { id, url }
+// Publishers that implement reply() can continue text that doesn't fit in one
+// post as a thread of up to `threadLength` posts, deletePost(id) lets `undo`
+// take posts down again, fetchMetrics(ids) feeds the engagement report and
+// verifyCredentials() lets `config check` try the account without posting.
+class Publisher {
+  constructor(name, label, { maxLength, threadLength = 1 }) {
+    this.name = name;
+    this.label = label;
+    this.maxLength = maxLength;
+    this.threadLength = threadLength;
+    // PostingLimits for accounts with their own daily limit and schedule
+    this.limits = null;
+  }
+
+  async prepare(media) {
+    if (media.length === 0) {
+      throw new Error(`No media to post to ${this.label}`);
+    }
+    return media;
+  }
+
+  async uploadMedia(prepared) {
+    throw new Error(`${this.constructor.name} does not implement uploadMedia()`);
+  }
+
+  async post(text, mediaIds) {
+    throw new Error(`${this.constructor.name} does not implement post()`);
+  }
+
+  // Length of the text as the destination counts it against maxLength
+  textLength(text) {
+    return [...text].length;
+  }
+
+  async reply(text, inReplyToId) {
+    throw new Error(`${this.constructor.name} does not implement reply()`);
+  }
+
+  async deletePost(id) {
+    throw new Error(`${this.constructor.name} does not implement deletePost()`);
+  }
+
+  // Public metrics per post ID: { [id]: { impressions, likes, reposts, replies } },
+  // null where the destination doesn't say. Posts that are gone are left out.
+  async fetchMetrics(ids) {
+    throw new Error(`${this.constructor.name} does not implement fetchMetrics()`);
+  }
+
+  get supportsMetrics() {
+    return this.fetchMetrics !== Publisher.prototype.fetchMetrics;
+  }
+
+  // Resolves to a description of the account (e.g. "@name"), throws when the
+  // destination rejects the credentials
+  async verifyCredentials() {
+    throw new Error(`${this.constructor.name} does not implement verifyCredentials()`);
+  }
+
+  fitsPost(text) {
+    return this.textLength(text) <= this.maxLength;
+  }
+
+  // The posts `text` would take: one, or a numbered thread when threads are on
+  splitPosts(text) {
+    return this.threadLength > 1
+      ? splitIntoThread(text, (post) => this.fitsPost(post))
+      : [text];
+  }
+
+  // Whether the text can go out without being shortened
+  fitsText(text) {
+    return (
+      this.fitsPost(text) ||
+      (this.threadLength > 1 &&
+        this.splitPosts(text).length <= this.threadLength)
+    );
+  }
+
+  // The text of each post, shortened at a word boundary if it still doesn't fit
+  formatPosts(caption) {
+    let text = truncateText(caption || "", (candidate) =>
+      this.fitsText(candidate)
+    );
+
+    if (!text.trim()) {
+      text = DEFAULT_POST_TEXT; // Default text if no caption
+    }
+    return this.splitPosts(text);
+  }
+
+  formatText(caption) {
+    return this.formatPosts(caption).join("\n\n");
+  }
+
+  // The media goes on the first post, the rest of a thread replies to it.
+  // If a reply fails, what was posted stays up and the result says so in
+  // `incomplete` ({ posted, total, error }).
+  async publish(media, caption) {
+    log.info(`📣 Publishing to ${this.label}...`);
+
+    const timed = (request, fn) =>
+      metrics.publishLatency.time({ publisher: this.name, request }, fn);
+
+    const prepared = await this.prepare(media);
+    const mediaIds = await timed("upload", () => this.uploadMedia(prepared));
+    const [first, ...replies] = this.formatPosts(caption);
+    const result = await timed("post", () => this.post(first, mediaIds));
+
+    if (replies.length > 0) {
+      result.threadIds = [result.id];
+      for (const text of replies) {
+        try {
+          const reply = await timed("reply", () =>
+            this.reply(text, result.threadIds[result.threadIds.length - 1])
+          );
+          result.threadIds.push(reply.id);
+        } catch (error) {
+          result.incomplete = {
+            posted: result.threadIds.length,
+            total: replies.length + 1,
+            error,
+          };
+          log.warn(
+            `⚠️  Thread on ${this.label} stopped after ${result.threadIds.length} of ${
+              replies.length + 1
+            } posts`,
+            { error }
+          );
+          break;
+        }
+      }
+    }
+
+    log.info(`✅ Successfully posted to ${this.label}! ${result.url}`);
+    return result;
+  }
+
+  // Delete a post and its thread replies, last reply first. Posts that are
+  // already gone (404) count as deleted.
+  async unpublish({ id, threadIds = null }) {
+    log.info(`🗑️  Deleting post ${id} from ${this.label}...`);
+    const ids = threadIds && threadIds.length > 0 ? threadIds : [id];
+
+    for (const postId of [...ids].reverse()) {
+      try {
+        await this.deletePost(postId);
+      } catch (error) {
+        if (error.code !== 404) throw error;
+        log.info(`ℹ️  Post ${postId} was already gone from ${this.label}`);
+      }
+    }
+  }
+}
+
+module.exports = { Publisher, DEFAULT_POST_TEXT };
@@ -0,0 +1,179 @@
+const { TwitterApi } = require("twitter-api-v2");
+const fs = require("fs-extra");
+const http = require("http");
+const { Publisher } = require("./publisher");
+const { validateMediaMix } = require("../media");
+const { log } = require("../logger");
+
+const X_API_BASE_URL = "https://api.x.com";
+const X_UPLOAD_BASE_URL = "https://upload.x.com";
+// Most tweets one lookup request returns
+const X_LOOKUP_LIMIT = 100;
+
+// twitter-api-v2 hardcodes its hosts, so point them elsewhere with a plugin
+// (used to run against local mock servers)
+function baseUrlPlugin(apiBaseUrl, uploadBaseUrl) {
+  return {
+    onBeforeRequestConfig({ params }) {
+      params.url = params.url
+        .replace(X_UPLOAD_BASE_URL, uploadBaseUrl.replace(/\/+$/, ""))
+        .replace(X_API_BASE_URL, apiBaseUrl.replace(/\/+$/, ""));
+    },
+  };
+}
+
+// X counts most scripts as one character per code point, everything else
+// (CJK, emoji) as two, and every URL as 23 after t.co shortening
+const X_URL_LENGTH = 23;
+const X_LIGHT_RANGES = [
+  [0, 4351],
+  [8192, 8205],
+  [8208, 8223],
+  [8242, 8247],
+];
+const URL_PATTERN = /\bhttps?:\/\/\S+/gi;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+const segmenter = new Intl.Segmenter("en", { granularity: "grapheme" });
+
+function weightedLength(text) {
+  let length = 0;
+  const withoutUrls = text.replace(URL_PATTERN, () => {
+    length += X_URL_LENGTH;
+    return "";
+  });
+
+  for (const { segment } of segmenter.segment(withoutUrls)) {
+    // A whole emoji sequence (skin tones, ZWJ families, flags) counts as two
+    if (EMOJI_PATTERN.test(segment)) {
+      length += 2;
+      continue;
+    }
+    for (const char of segment) {
+      const codePoint = char.codePointAt(0);
+      length += X_LIGHT_RANGES.some(
+        ([start, end]) => codePoint >= start && codePoint <= end
+      )
+        ? 1
+        : 2;
+    }
+  }
+  return length;
+}
+
+class XPublisher extends Publisher {
+  constructor({
+    account = null,
+    appKey,
+    appSecret,
+    accessToken,
+    accessSecret,
+    apiBaseUrl,
+    uploadBaseUrl,
+    threadLength,
+  }) {
+    super(
+      account ? `x:${account}` : "x",
+      account ? `X (${account})` : "X (Twitter)",
+      { maxLength: 280, threadLength }
+    );
+
+    const settings = { plugins: [] };
+    if (apiBaseUrl || uploadBaseUrl) {
+      apiBaseUrl = apiBaseUrl || X_API_BASE_URL;
+      uploadBaseUrl = uploadBaseUrl || apiBaseUrl;
+      settings.plugins.push(baseUrlPlugin(apiBaseUrl, uploadBaseUrl));
+
+      // The library always goes through https.request; a plain http agent lets
+      // it talk to http:// mock servers
+      if (apiBaseUrl.startsWith("http:")) {
+        settings.httpAgent = new http.Agent();
+      }
+    }
+
+    this.client = new TwitterApi(
+      { appKey, appSecret, accessToken, accessSecret },
+      settings
+    );
+  }
+
+  textLength(text) {
+    return weightedLength(text);
+  }
+
+  async prepare(media) {
+    validateMediaMix(media);
+    return media;
+  }
+
+  async uploadMedia(prepared) {
+    const mediaIds = [];
+    for (const item of prepared) {
+      log.info("📤 Uploading media to X...");
+      const buffer = await fs.readFile(item.path);
+      mediaIds.push(
+        await this.client.v1.uploadMedia(buffer, {
+          mimeType: item.mimeType,
+          target: "tweet",
+        })
+      );
+    }
+    return mediaIds;
+  }
+
+  async post(text, mediaIds) {
+    log.info("📝 Posting tweet...");
+    const tweet = await this.client.v2.tweet({
+      text,
+      media: { media_ids: mediaIds },
+    });
+
+    return {
+      id: tweet.data.id,
+      url: `https://x.com/i/web/status/${tweet.data.id}`,
+    };
+  }
+
+  async reply(text, inReplyToId) {
+    log.info("🧵 Posting thread reply...");
+    const tweet = await this.client.v2.tweet({
+      text,
+      reply: { in_reply_to_tweet_id: inReplyToId },
+    });
+
+    return {
+      id: tweet.data.id,
+      url: `https://x.com/i/web/status/${tweet.data.id}`,
+    };
+  }
+
+  async deletePost(id) {
+    await this.client.v2.deleteTweet(id);
+  }
+
+  async verifyCredentials() {
+    const { data } = await this.client.v2.me();
+    return `@${data.username}`;
+  }
+
+  // Quotes count as reposts. Impressions are only visible to the author.
+  async fetchMetrics(ids) {
+    const metrics = {};
+    for (let start = 0; start < ids.length; start += X_LOOKUP_LIMIT) {
+      const { data = [] } = await this.client.v2.tweets(
+        ids.slice(start, start + X_LOOKUP_LIMIT),
+        { "tweet.fields": ["public_metrics"] }
+      );
+      for (const { id, public_metrics: counts } of data) {
+        metrics[id] = {
+          impressions: counts.impression_count ?? null,
+          likes: counts.like_count,
+          reposts: counts.retweet_count + (counts.quote_count || 0),
+          replies: counts.reply_count,
+        };
+      }
+    }
+    return metrics;
+  }
+}
+
+module.exports = { XPublisher, weightedLength };
@@ -0,0 +1,85 @@
+// Transient failures waiting for another attempt, one entry per
+// (source, item, publisher), plus per-publisher rate-limit cooldowns.
+// Backed by the retry_queue and publisher_cooldowns tables of the state store.
+function toEntry(row) {
+  return row
+    ? {
+        source: row.source,
+        videoId: row.item_id,
+        messageId: row.message_id,
+        publisher: row.publisher,
+        attempts: row.attempts,
+        reason: row.reason,
+        lastError: row.last_error,
+        firstFailedAt: row.first_failed_at,
+        nextAttemptAt: row.next_attempt_at,
+      }
+    : undefined;
+}
+
+class RetryQueue {
+  constructor(store) {
+    this.store = store;
+  }
+
+  find(source, videoId, publisher) {
+    return toEntry(this.store.getRetry(source.name, videoId, publisher));
+  }
+
+  // Queued and not due yet
+  isWaiting(source, videoId, publisher, now = Date.now()) {
+    const entry = this.find(source, videoId, publisher);
+    return !!entry && Date.parse(entry.nextAttemptAt) > now;
+  }
+
+  // Record an attempt (or a deferral when `countAttempt` is false) and when to try next.
+  // Returns the updated entry.
+  schedule(
+    source,
+    item,
+    publisher,
+    { reason, error = null, nextAttemptAt, countAttempt = true }
+  ) {
+    const existing = this.store.getRetry(source.name, item.id, publisher);
+    const row = {
+      source: source.name,
+      item_id: item.id,
+      publisher,
+      message_id: item.message.id,
+      attempts: (existing ? existing.attempts : 0) + (countAttempt ? 1 : 0),
+      reason,
+      last_error: error ? error.message : null,
+      first_failed_at: existing
+        ? existing.first_failed_at
+        : new Date().toISOString(),
+      next_attempt_at: new Date(nextAttemptAt).toISOString(),
+    };
+
+    this.store.saveRetry(row);
+    return toEntry(row);
+  }
+
+  remove(source, videoId, publisher) {
+    this.store.removeRetry(source.name, videoId, publisher);
+  }
+
+  // Entries whose next attempt time has passed, earliest first
+  due(now = Date.now()) {
+    return this.store.dueRetries(new Date(now).toISOString()).map(toEntry);
+  }
+
+  setCooldown(publisher, until) {
+    const current = this.getCooldown(publisher);
+    if (!current || until > current) {
+      this.store.setCooldown(publisher, new Date(until).toISOString());
+    }
+  }
+
+  // When the publisher's rate limit resets (ms), or null if it isn't limited
+  getCooldown(publisher, now = Date.now()) {
+    const until = Date.parse(this.store.getCooldown(publisher));
+    return Number.isFinite(until) && until > now ? until : null;
+  }
+}
+
+module.exports = { RetryQueue };
@@ -0,0 +1,263 @@
+const { log } = require("./logger");
+
+// Optional human review before anything is posted. Each candidate is sent to
+// a Telegram review chat with its original and proposed caption; reviewers
+// reply to that message to decide. Reviews live in the `reviews` table:
+//   pending  -> waiting for a decision (or past expires_at)
+//   approved -> post with `caption`
+//   rejected / expired -> recorded as failures by the poster (onClosed), in
+//                         the same transaction as the status change
+//   done     -> approved and posted (or resolved otherwise)
+const COMMANDS = [
+  { action: "approve", pattern: /^\/?(approve|ok|yes|👍|✅)\s*$/iu },
+  { action: "reject", pattern: /^\/?(?:reject|no|👎|❌)(?:\s+([\s\S]*))?$/iu },
+  { action: "edit", pattern: /^\/?edit\s+([\s\S]+)$/i },
+  { action: "regenerate", pattern: /^\/?(?:regenerate|regen)\s*$/i },
+];
+
+function parseDecision(text) {
+  const trimmed = (text || "").trim();
+  for (const { action, pattern } of COMMANDS) {
+    const match = pattern.exec(trimmed);
+    if (match) {
+      return { action, argument: (match[1] || "").trim() };
+    }
+  }
+  return null;
+}
+
+function toReview(row) {
+  return row
+    ? {
+        source: row.source,
+        itemId: row.item_id,
+        messageId: row.message_id,
+        reviewMessageId: row.review_message_id,
+        status: row.status,
+        originalCaption: row.original_caption,
+        caption: row.caption,
+        reason: row.reason,
+        decidedBy: row.decided_by,
+        requestedAt: row.requested_at,
+        decidedAt: row.decided_at,
+        expiresAt: row.expires_at,
+      }
+    : undefined;
+}
+
+class ReviewChat {
+  // `regenerate(review)` resolves to a fresh proposed caption, and
+  // `onClosed(review)` records a rejected or expired review as a failure
+  constructor(store, { chat, expiryMs, reviewers = [], regenerate, onClosed }) {
+    this.store = store;
+    this.chat = chat;
+    this.expiryMs = expiryMs;
+    this.reviewers = reviewers.map((reviewer) =>
+      String(reviewer).replace(/^@/, "").toLowerCase()
+    );
+    this.regenerate = regenerate;
+    this.onClosed = onClosed;
+  }
+
+  get(source, itemId) {
+    return toReview(this.store.getReview(source.name, itemId));
+  }
+
+  isPending(source, itemId) {
+    const review = this.get(source, itemId);
+    return !!review && review.status === "pending";
+  }
+
+  approved() {
+    return this.store.listReviews("approved").map(toReview);
+  }
+
+  // Reject or expire a review. Without the failure record the item would
+  // still look unsettled and be sent for review again, so both are written
+  // together. Resolves to the closed review.
+  close(review, { status, reason, decidedBy = null }) {
+    const closed = { ...review, status, reason };
+    this.store.transaction(() => {
+      this.store.updateReview(review.source, review.itemId, {
+        status,
+        reason,
+        decided_by: decidedBy,
+        decided_at: new Date().toISOString(),
+      });
+      this.onClosed(closed);
+    });
+    return closed;
+  }
+
+  markDone(source, itemId) {
+    this.store.updateReview(source.name, itemId, { status: "done" });
+  }
+
+  formatRequest(source, item, review) {
+    return [
+      `📝 Review needed: message ${item.message.id} from ${source.name}`,
+      "",
+      `Original: ${review.originalCaption || "(no caption)"}`,
+      "",
+      `Proposed: ${review.caption}`,
+      "",
+      "Reply to this message with: approve · reject <reason> · edit <new caption> · regenerate",
+      `Expires ${review.expiresAt}`,
+    ].join("\n");
+  }
+
+  // Send the media and both captions to the review chat and wait for a decision
+  async request(client, source, item, originalCaption, proposedCaption) {
+    log.info(`📨 Sending message ${item.message.id} to the review chat...`);
+
+    await client.sendFile(this.chat, {
+      file: item.media.map((entry) => entry.message.media),
+    });
+
+    const review = {
+      originalCaption,
+      caption: proposedCaption,
+      expiresAt: new Date(Date.now() + this.expiryMs).toISOString(),
+    };
+    const sent = await client.sendMessage(this.chat, {
+      message: this.formatRequest(source, item, review),
+    });
+
+    this.store.saveReview({
+      source: source.name,
+      item_id: item.id,
+      message_id: item.message.id,
+      review_message_id: sent.id,
+      status: "pending",
+      original_caption: originalCaption,
+      caption: proposedCaption,
+      reason: null,
+      decided_by: null,
+      requested_at: new Date().toISOString(),
+      decided_at: null,
+      expires_at: review.expiresAt,
+    });
+  }
+
+  async isReviewer(message) {
+    if (this.reviewers.length === 0) return true;
+    if (this.reviewers.includes(String(message.senderId))) return true;
+
+    const sender = await message.getSender();
+    return (
+      !!sender &&
+      !!sender.username &&
+      this.reviewers.includes(sender.username.toLowerCase())
+    );
+  }
+
+  // Read replies posted since the last poll and apply them. Resolves to the
+  // reviews that were rejected or expired, for the poster to record.
+  async poll(client) {
+    const closed = [];
+    const metaKey = `review.lastMessageId:${this.chat}`;
+    const lastSeen = parseInt(this.store.getMeta(metaKey)) || 0;
+    let newest = lastSeen;
+
+    for await (const message of client.iterMessages(this.chat, {
+      reverse: true,
+      offsetId: lastSeen > 0 ? lastSeen : undefined,
+      limit: 500,
+    })) {
+      newest = Math.max(newest, message.id);
+
+      const replyTo = message.replyTo && message.replyTo.replyToMsgId;
+      const decision = replyTo && parseDecision(message.message);
+      if (!decision) continue;
+
+      const review = toReview(this.store.findReviewByMessage(replyTo));
+      if (!review || review.status !== "pending") continue;
+
+      if (!(await this.isReviewer(message))) {
+        log.warn(`⚠️  Ignoring review reply from ${message.senderId}`);
+        continue;
+      }
+
+      const result = await this.apply(client, review, decision, message);
+      if (result) closed.push(result);
+    }
+
+    if (newest !== lastSeen) {
+      this.store.setMeta(metaKey, String(newest));
+    }
+
+    for (const row of this.store.expiredReviews(new Date().toISOString())) {
+      const review = toReview(row);
+      closed.push(
+        this.close(review, {
+          status: "expired",
+          reason: "No review decision in time",
+        })
+      );
+      await this.reply(client, review, "⌛ Expired without a decision");
+    }
+
+    return closed;
+  }
+
+  async apply(client, review, { action, argument }, message) {
+    const decidedBy = String(message.senderId);
+    const decidedAt = new Date().toISOString();
+
+    if (action === "approve") {
+      this.store.updateReview(review.source, review.itemId, {
+        status: "approved",
+        decided_by: decidedBy,
+        decided_at: decidedAt,
+      });
+      log.info(`✅ Message ${review.messageId} approved in review`);
+      await this.reply(
+        client,
+        review,
+        "✅ Approved, it will go out with the next post"
+      );
+      return null;
+    }
+
+    if (action === "reject") {
+      const reason = argument || "No reason given";
+      const closed = this.close(review, {
+        status: "rejected",
+        reason,
+        decidedBy,
+      });
+      log.info(
+        `🚫 Message ${review.messageId} rejected in review: ${reason}`
+      );
+      await this.reply(client, review, `🚫 Rejected: ${reason}`);
+      return closed;
+    }
+
+    // Edit and regenerate keep the review pending with the new caption
+    const caption =
+      action === "edit"
+        ? argument
+        : await this.regenerate(review);
+    this.store.updateReview(review.source, review.itemId, { caption });
+    log.info(`✏️  New caption proposed for message ${review.messageId}`);
+    await this.reply(
+      client,
+      review,
+      `✏️ New caption: ${caption}\n\nReply to the review message to approve it`
+    );
+    return null;
+  }
+
+  async reply(client, review, text) {
+    try {
+      await client.sendMessage(this.chat, {
+        message: text,
+        replyTo: review.reviewMessageId,
+      });
+    } catch (error) {
+      log.warn("⚠️  Could not reply in the review chat", { error });
+    }
+  }
+}
+
+module.exports = { ReviewChat, parseDecision };
@@ -0,0 +1,121 @@
+const ROUTE_TYPES = ["source", "hashtag", "keyword", "default"];
+
+// Letters, digits and underscores count as part of a word or hashtag
+const WORD_BEFORE = "(?<![\\p{L}\\p{N}_])";
+const WORD_AFTER = "(?![\\p{L}\\p{N}_])";
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const sourceKey = (name) => String(name).trim().replace(/^@/, "").toLowerCase();
+
+// Hashtag and keyword routes match whole words, ignoring case
+function patternFor({ type, value }) {
+  if (type === "hashtag") {
+    return new RegExp(
+      `${WORD_BEFORE}#${escapeRegExp(value)}${WORD_AFTER}`,
+      "iu"
+    );
+  }
+  if (type === "keyword") {
+    return new RegExp(
+      `${WORD_BEFORE}${escapeRegExp(value)}${WORD_AFTER}`,
+      "iu"
+    );
+  }
+  return null;
+}
+
+// "source:@memes=x:memes; hashtag:news=x:news,bluesky; default=x:main" as
+// [{ type, value, publishers }]
+function parseRoutes(value) {
+  return (value || "")
+    .split(";")
+    .map((rule) => rule.trim())
+    .filter(Boolean)
+    .map((rule) => {
+      const equals = rule.lastIndexOf("=");
+      const match = equals >= 0 ? rule.slice(0, equals).trim() : rule;
+      const separator = match.indexOf(":");
+      const type = (separator >= 0 ? match.slice(0, separator) : match)
+        .trim()
+        .toLowerCase();
+      const text = separator >= 0 ? match.slice(separator + 1).trim() : "";
+      const publishers =
+        equals >= 0
+          ? rule
+              .slice(equals + 1)
+              .split(",")
+              .map((name) => name.trim().toLowerCase())
+              .filter(Boolean)
+          : [];
+
+      if (!ROUTE_TYPES.includes(type)) {
+        throw new Error(
+          `Invalid route "${rule}" (expected ${ROUTE_TYPES.join(", ")})`
+        );
+      }
+      // "default" takes no value, every other type needs one
+      if (publishers.length === 0 || (type === "default") === !!text) {
+        throw new Error(
+          `Invalid route "${rule}" (expected e.g. source:@channel=x:account)`
+        );
+      }
+      return { type, value: text.replace(/^#/, ""), publishers };
+    });
+}
+
+// Which destinations an item goes to. Publishers no route mentions get
+// everything; the others only get items a matching route sends them. Source,
+// hashtag and keyword routes are checked against the Telegram message text;
+// `default` routes apply when none of them matches.
+class Router {
+  constructor(rules, publisherNames) {
+    for (const rule of rules) {
+      const unknown = rule.publishers.filter(
+        (name) => !publisherNames.includes(name)
+      );
+      if (unknown.length > 0) {
+        throw new Error(
+          `Route "${rule.type}${rule.value ? `:${rule.value}` : ""}" sends to ${unknown.join(
+            ", "
+          )}, which ${unknown.length > 1 ? "are" : "is"} not in PUBLISHERS`
+        );
+      }
+    }
+
+    this.rules = rules.map((rule) => ({ ...rule, pattern: patternFor(rule) }));
+    this.routed = new Set(rules.flatMap((rule) => rule.publishers));
+  }
+
+  get enabled() {
+    return this.rules.length > 0;
+  }
+
+  // Names of the routed publishers this item goes to
+  matches(source, item) {
+    const text = (item.messages || [item.message])
+      .map((message) => message.message || "")
+      .join("\n");
+    const matched = this.rules.filter((rule) =>
+      rule.type === "source"
+        ? sourceKey(rule.value) === sourceKey(source.name)
+        : rule.pattern && rule.pattern.test(text)
+    );
+    const chosen =
+      matched.length > 0
+        ? matched
+        : this.rules.filter((rule) => rule.type === "default");
+    return new Set(chosen.flatMap((rule) => rule.publishers));
+  }
+
+  // The publishers (out of `publishers`) this item goes to
+  route(source, item, publishers) {
+    if (!this.enabled) return publishers;
+    const matched = this.matches(source, item);
+    return publishers.filter(
+      (publisher) =>
+        !this.routed.has(publisher.name) || matched.has(publisher.name)
+    );
+  }
+}
+
+module.exports = { Router, parseRoutes, ROUTE_TYPES };
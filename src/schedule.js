@@ -0,0 +1,370 @@
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MONTH_NAMES = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+// How far ahead to look for a slot before deciding the schedule can never fire
+const SEARCH_DAYS = 400;
+
+const formatters = new Map();
+
+// Calendar fields of an instant as seen in `timeZone`
+function zonedParts(time, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        weekday: "short",
+      })
+    );
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(time)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+  };
+}
+
+function offsetAt(time, timeZone) {
+  const parts = zonedParts(time, timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute
+  );
+  return asUtc - Math.floor(time / MINUTE_MS) * MINUTE_MS;
+}
+
+// The instant a local wall-clock time in `timeZone` corresponds to
+function zonedTimeToUtc(year, month, day, minuteOfDay, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, 0, minuteOfDay);
+  const first = guess - offsetAt(guess, timeZone);
+  // Second pass picks up a DST change between the guess and the result
+  return guess - offsetAt(first, timeZone);
+}
+
+function formatDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+// One cron field ("*", "1,15", "9-17", "*/10", "mon-fri") as a set of values
+function parseCronField(field, min, max, names = []) {
+  const values = new Set();
+  const toNumber = (value) => {
+    const index = names.indexOf(value.toLowerCase());
+    const number = index >= 0 ? index + min : Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`Invalid cron value "${value}" (expected ${min}-${max})`);
+    }
+    return number;
+  };
+
+  for (const part of field.split(",")) {
+    const [range, stepValue] = part.split("/");
+    const step = stepValue === undefined ? 1 : Number(stepValue);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid cron step in "${part}"`);
+    }
+
+    let start = min;
+    let end = max;
+    if (range !== "*") {
+      [start, end] = range.includes("-")
+        ? range.split("-").map(toNumber)
+        : [toNumber(range), stepValue === undefined ? toNumber(range) : max];
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+// Standard five-field cron expression: minute hour day-of-month month day-of-week
+class CronExpression {
+  constructor(expression) {
+    const fields = expression.trim().split(/\s+/);
+    if (fields.length !== 5) {
+      throw new Error(
+        `Invalid cron expression "${expression}" (expected 5 fields)`
+      );
+    }
+
+    this.minutes = parseCronField(fields[0], 0, 59);
+    this.hours = parseCronField(fields[1], 0, 23);
+    this.daysOfMonth = parseCronField(fields[2], 1, 31);
+    this.months = parseCronField(fields[3], 1, 12, MONTH_NAMES);
+    // 0 and 7 are both Sunday
+    const weekdays = parseCronField(fields[4], 0, 7, DAY_NAMES);
+    if (weekdays.delete(7)) weekdays.add(0);
+    this.weekdays = weekdays;
+
+    // Like cron: when both day fields are restricted, either one matching is enough
+    this.anyDayOfMonth = fields[2] === "*";
+    this.anyWeekday = fields[4] === "*";
+  }
+
+  matchesDay(parts) {
+    if (!this.months.has(parts.month)) return false;
+    const dayOfMonth = this.daysOfMonth.has(parts.day);
+    const weekday = this.weekdays.has(parts.weekday);
+    if (this.anyDayOfMonth) return weekday;
+    if (this.anyWeekday) return dayOfMonth;
+    return dayOfMonth || weekday;
+  }
+
+  // First matching minute strictly after `after`, in `timeZone`. Matches are
+  // wall-clock times, so one skipped by a DST change fires an hour later and
+  // one the clock goes through twice fires once.
+  next(after, timeZone) {
+    const today = zonedParts(after, timeZone);
+    for (let offset = 0; offset < SEARCH_DAYS; offset++) {
+      const date = new Date(
+        Date.UTC(today.year, today.month - 1, today.day + offset)
+      );
+      const [year, month, day] = [
+        date.getUTCFullYear(),
+        date.getUTCMonth() + 1,
+        date.getUTCDate(),
+      ];
+      if (!this.matchesDay({ month, day, weekday: date.getUTCDay() })) {
+        continue;
+      }
+
+      // Today's earlier hours have passed (give or take a DST hour)
+      const firstHour = offset === 0 ? Math.max(0, today.hour - 1) : 0;
+      for (let hour = firstHour; hour < 24; hour++) {
+        if (!this.hours.has(hour)) continue;
+        for (let minute = 0; minute < 60; minute++) {
+          if (!this.minutes.has(minute)) continue;
+          const time = zonedTimeToUtc(
+            year,
+            month,
+            day,
+            hour * 60 + minute,
+            timeZone
+          );
+          if (time > after) return time;
+        }
+      }
+    }
+    return null;
+  }
+}
+
+// "08:00-12:00,18:00-22:30" as [start, end) minute ranges; ranges that cross
+// midnight are split in two
+function parseWindows(value) {
+  const windows = [];
+  for (const part of (value || "").split(",").map((p) => p.trim()).filter(Boolean)) {
+    const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid posting window "${part}" (expected HH:MM-HH:MM)`);
+    }
+
+    const [start, end] = [
+      Number(match[1]) * 60 + Number(match[2]),
+      Number(match[3]) * 60 + Number(match[4]),
+    ];
+    if (start > DAY_MINUTES || end > DAY_MINUTES || start === end) {
+      throw new Error(`Invalid posting window "${part}"`);
+    }
+    if (start < end) {
+      windows.push([start, end]);
+    } else {
+      windows.push([start, DAY_MINUTES], [0, end]);
+    }
+  }
+  return windows.sort((a, b) => a[0] - b[0]);
+}
+
+// "sat,sun,2026-12-25" as weekday numbers and dates
+function parseQuietDays(value) {
+  const weekdays = new Set();
+  const dates = new Set();
+  for (const part of (value || "").split(",").map((p) => p.trim().toLowerCase()).filter(Boolean)) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(part)) {
+      dates.add(part);
+    } else if (DAY_NAMES.includes(part.slice(0, 3))) {
+      weekdays.add(DAY_NAMES.indexOf(part.slice(0, 3)));
+    } else {
+      throw new Error(`Invalid quiet day "${part}" (expected mon-sun or YYYY-MM-DD)`);
+    }
+  }
+  return { weekdays, dates };
+}
+
+// When the daemon posts. SCHEDULE is a cron expression ("0 9,18 * * *") or
+// "<N> per day", which spreads N posts evenly over the posting windows.
+// Times are local to `timeZone`; quiet days and times outside the windows
+// are skipped, and each post is delayed by up to `jitterMinutes`.
+class Schedule {
+  constructor({
+    schedule = "1 per day",
+    timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone,
+    windows = "",
+    quietDays = "",
+    jitterMinutes = 0,
+  } = {}) {
+    // Throws a RangeError for unknown zones
+    new Intl.DateTimeFormat("en-US", { timeZone });
+
+    const perDay = /^(\d+)\s*(?:per|\/)\s*day$/i.exec(schedule.trim());
+    if (perDay) {
+      this.postsPerDay = Number(perDay[1]);
+      if (this.postsPerDay < 1) {
+        throw new Error(`Invalid schedule "${schedule}"`);
+      }
+    } else {
+      this.cron = new CronExpression(schedule);
+    }
+
+    this.description = schedule.trim();
+    this.timeZone = timeZone;
+    this.windows = parseWindows(windows);
+    this.quietDays = parseQuietDays(quietDays);
+    this.jitterMs = jitterMinutes * MINUTE_MS;
+  }
+
+  isQuietDay(year, month, day, weekday) {
+    return (
+      this.quietDays.weekdays.has(weekday) ||
+      this.quietDays.dates.has(formatDate(year, month, day))
+    );
+  }
+
+  // Outside quiet days and inside a posting window (if any are set)
+  isAllowed(time) {
+    const parts = zonedParts(time, this.timeZone);
+    if (this.isQuietDay(parts.year, parts.month, parts.day, parts.weekday)) {
+      return false;
+    }
+    if (this.windows.length === 0) return true;
+
+    const minute = parts.hour * 60 + parts.minute;
+    return this.windows.some(([start, end]) => minute >= start && minute < end);
+  }
+
+  // `time` itself if posting is allowed then, otherwise the start of the
+  // next window on a day that isn't quiet (null if there is none)
+  nextAllowed(time) {
+    if (this.isAllowed(time)) return time;
+
+    const today = zonedParts(time, this.timeZone);
+    const windows = this.windows.length > 0 ? this.windows : [[0, DAY_MINUTES]];
+    for (let offset = 0; offset < SEARCH_DAYS; offset++) {
+      const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+      const [year, month, day] = [
+        date.getUTCFullYear(),
+        date.getUTCMonth() + 1,
+        date.getUTCDate(),
+      ];
+      if (this.isQuietDay(year, month, day, date.getUTCDay())) continue;
+
+      for (const [start] of windows) {
+        const opening = zonedTimeToUtc(year, month, day, start, this.timeZone);
+        if (opening > time) return opening;
+      }
+    }
+    return null;
+  }
+
+  // N slots per day, evenly spaced over the windows' combined length
+  nextDailySlot(after) {
+    const today = zonedParts(after, this.timeZone);
+    const windows = this.windows.length > 0 ? this.windows : [[0, DAY_MINUTES]];
+    const total = windows.reduce((sum, [start, end]) => sum + end - start, 0);
+
+    for (let offset = 0; offset < SEARCH_DAYS; offset++) {
+      const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+      const [year, month, day] = [
+        date.getUTCFullYear(),
+        date.getUTCMonth() + 1,
+        date.getUTCDate(),
+      ];
+      if (this.isQuietDay(year, month, day, date.getUTCDay())) continue;
+
+      for (let slot = 0; slot < this.postsPerDay; slot++) {
+        let position = ((slot + 0.5) * total) / this.postsPerDay;
+        const [start] = windows.find(([windowStart, end]) => {
+          if (position < end - windowStart) return true;
+          position -= end - windowStart;
+          return false;
+        });
+
+        const minute = start + position;
+        const time =
+          zonedTimeToUtc(year, month, day, Math.floor(minute), this.timeZone) +
+          Math.round((minute % 1) * MINUTE_MS);
+        if (time > after) return time;
+      }
+    }
+    return null;
+  }
+
+  nextCronSlot(after) {
+    let time = after;
+    while ((time = this.cron.next(time, this.timeZone)) !== null) {
+      if (this.isAllowed(time)) return time;
+      if (time - after > SEARCH_DAYS * DAY_MINUTES * MINUTE_MS) break;
+    }
+    return null;
+  }
+
+  // Next time to post after `now` (ms), jitter included
+  next(now = Date.now()) {
+    const slot = this.cron ? this.nextCronSlot(now) : this.nextDailySlot(now);
+    if (slot === null) {
+      throw new Error(
+        `Schedule "${this.description}" never fires within its windows and quiet days`
+      );
+    }
+
+    const jittered = slot + Math.floor(Math.random() * this.jitterMs);
+    return this.isAllowed(jittered) ? jittered : slot;
+  }
+
+  // The next `count` slots, for previews
+  upcoming(count, now = Date.now()) {
+    const times = [];
+    let after = now;
+    for (let i = 0; i < count; i++) {
+      const time = this.cron ? this.nextCronSlot(after) : this.nextDailySlot(after);
+      if (time === null) break;
+      times.push(time);
+      after = time;
+    }
+    return times;
+  }
+}
+
+module.exports = { Schedule, CronExpression, zonedParts };
@@ -0,0 +1,122 @@
+const { log } = require("./logger");
+
+const SOURCE_POLICIES = ["round-robin", "weighted", "oldest-pending"];
+
+// Turn a group name/ID into something safe to use as a directory name
+function slugifySource(name) {
+  return (
+    String(name)
+      .replace(/^@/, "")
+      .replace(/[^a-zA-Z0-9_-]+/g, "_")
+      .replace(/^_+|_+$/g, "") || "source"
+  );
+}
+
+// Parse "TELEGRAM_GROUPS=@one,@two:3,-100123456" into source definitions.
+// The optional ":<weight>" suffix is only used by the weighted policy.
+function parseSources(groupsValue, fallbackGroup) {
+  const entries = (groupsValue || fallbackGroup || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  const sources = entries.map((entry) => {
+    const match = entry.match(/^(.*?):(\d+(?:\.\d+)?)$/);
+    const name = match ? match[1].trim() : entry;
+    const weight = match ? parseFloat(match[2]) : 1;
+
+    return { name, weight, slug: slugifySource(name) };
+  });
+
+  const seen = new Set();
+  for (const source of sources) {
+    if (seen.has(source.slug)) {
+      throw new Error(`Duplicate Telegram source configured: ${source.name}`);
+    }
+    seen.add(source.slug);
+  }
+
+  return sources;
+}
+
+class SourceSelector {
+  constructor(sources, policy, store) {
+    if (!SOURCE_POLICIES.includes(policy)) {
+      throw new Error(
+        `Unknown SOURCE_POLICY "${policy}" (expected one of: ${SOURCE_POLICIES.join(
+          ", "
+        )})`
+      );
+    }
+
+    this.sources = sources;
+    this.policy = policy;
+    this.store = store;
+  }
+
+  loadLastSource() {
+    return this.store.getMeta("rotation.lastSource");
+  }
+
+  saveLastSource(source) {
+    this.store.setMeta("rotation.lastSource", source.name);
+  }
+
+  // Sources in the order they should be tried for this run
+  order() {
+    if (this.policy === "weighted") {
+      // Weighted shuffle: draw without replacement, favouring heavier sources
+      const pool = [...this.sources];
+      const ordered = [];
+      while (pool.length > 0) {
+        const total = pool.reduce((sum, source) => sum + source.weight, 0);
+        let roll = Math.random() * total;
+        let index = pool.findIndex((source) => (roll -= source.weight) < 0);
+        if (index === -1) index = pool.length - 1;
+        ordered.push(pool.splice(index, 1)[0]);
+      }
+      return ordered;
+    }
+
+    // Round-robin: start with the source after the one used last time
+    const lastIndex = this.sources.findIndex(
+      (source) => source.name === this.loadLastSource()
+    );
+    const start = (lastIndex + 1) % this.sources.length;
+    return [...this.sources.slice(start), ...this.sources.slice(0, start)];
+  }
+
+  // Ask findCandidate(source) for each source and pick one according to policy.
+  // Resolves to { source, item } or null when every source is caught up.
+  // With `remember: false` the pick isn't saved for the next rotation.
+  async select(findCandidate, { remember = true } = {}) {
+    if (this.policy === "oldest-pending") {
+      let oldest = null;
+      for (const source of this.sources) {
+        const item = await findCandidate(source);
+        if (item && (!oldest || item.date < oldest.item.date)) {
+          oldest = { source, item };
+        }
+      }
+      if (oldest && remember) this.saveLastSource(oldest.source);
+      return oldest;
+    }
+
+    for (const source of this.order()) {
+      const item = await findCandidate(source);
+      if (item) {
+        if (remember) this.saveLastSource(source);
+        return { source, item };
+      }
+      log.info(`ℹ️  Nothing to post from ${source.name}, trying next source`);
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  SOURCE_POLICIES,
+  slugifySource,
+  parseSources,
+  SourceSelector,
+};
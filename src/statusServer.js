@@ -0,0 +1,38 @@
+const http = require("http");
+const { log } = require("./logger");
+const { metrics } = require("./metrics");
+
+// Tiny HTTP server for monitoring: GET /metrics (Prometheus text format) and
+// GET /healthz (JSON from `health()`, 503 when it isn't ok). Resolves to the
+// listening server; close() it on shutdown.
+function startStatusServer({ port, host = "0.0.0.0", health }) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (req.method !== "GET") {
+      res.writeHead(405, { Allow: "GET" }).end();
+    } else if (pathname === "/metrics") {
+      res
+        .writeHead(200, { "Content-Type": "text/plain; version=0.0.4" })
+        .end(metrics.registry.render());
+    } else if (pathname === "/healthz") {
+      const report = health();
+      res
+        .writeHead(report.ok ? 200 : 503, { "Content-Type": "application/json" })
+        .end(`${JSON.stringify(report)}\n`);
+    } else {
+      res.writeHead(404).end();
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      log.info(`📈 Metrics and health check on http://${host}:${port}`);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { startStatusServer };
@@ -0,0 +1,815 @@
+const Database = require("better-sqlite3");
+const fs = require("fs-extra");
+const path = require("path");
+
+// Single-message item IDs look like `<peer>_<message id>_<date>_<size>_<duration>`;
+// albums (`<peer>_album_<grouped id>`) don't carry one
+function messageIdFromItemId(itemId) {
+  const match = /^[^_]+_(\d+)_\d+_/.exec(itemId);
+  return match ? Number(match[1]) : null;
+}
+
+// Each entry moves the schema one version forward (tracked in PRAGMA user_version).
+// Entries are SQL, or functions for changes SQL can't express nicely.
+const MIGRATIONS = [
+  `
+  CREATE TABLE processed_items (
+    source TEXT NOT NULL,
+    item_id TEXT NOT NULL,
+    processed_at TEXT NOT NULL,
+    PRIMARY KEY (source, item_id)
+  );
+
+  CREATE TABLE failures (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    item_id TEXT NOT NULL,
+    publisher TEXT,
+    reason TEXT NOT NULL,
+    error TEXT,
+    failed_at TEXT NOT NULL
+  );
+  CREATE INDEX failures_item ON failures (source, item_id, publisher);
+
+  CREATE TABLE cursors (
+    source TEXT PRIMARY KEY,
+    cursor INTEGER NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE posts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    item_id TEXT NOT NULL,
+    publisher TEXT NOT NULL,
+    post_id TEXT NOT NULL,
+    url TEXT,
+    posted_at TEXT NOT NULL,
+    UNIQUE (source, item_id, publisher)
+  );
+
+  CREATE TABLE retry_queue (
+    source TEXT NOT NULL,
+    item_id TEXT NOT NULL,
+    publisher TEXT NOT NULL,
+    message_id INTEGER NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    reason TEXT,
+    last_error TEXT,
+    first_failed_at TEXT NOT NULL,
+    next_attempt_at TEXT NOT NULL,
+    PRIMARY KEY (source, item_id, publisher)
+  );
+  CREATE INDEX retry_queue_due ON retry_queue (next_attempt_at);
+
+  CREATE TABLE publisher_cooldowns (
+    publisher TEXT PRIMARY KEY,
+    until TEXT NOT NULL
+  );
+
+  CREATE TABLE meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  `,
+  // Message IDs let the operator CLI find items without asking Telegram
+  `
+  ALTER TABLE processed_items ADD COLUMN message_id INTEGER;
+  ALTER TABLE failures ADD COLUMN message_id INTEGER;
+  CREATE INDEX failures_message ON failures (source, message_id);
+  `,
+  (db) => {
+    for (const table of ["processed_items", "failures"]) {
+      const update = db.prepare(
+        `UPDATE ${table} SET message_id = ? WHERE item_id = ? AND message_id IS NULL`
+      );
+      for (const { item_id } of db
+        .prepare(`SELECT DISTINCT item_id FROM ${table}`)
+        .all()) {
+        const messageId = messageIdFromItemId(item_id);
+        if (messageId) update.run(messageId, item_id);
+      }
+    }
+  },
+  `
+  CREATE TABLE reviews (
+    source TEXT NOT NULL,
+    item_id TEXT NOT NULL,
+    message_id INTEGER NOT NULL,
+    review_message_id INTEGER,
+    status TEXT NOT NULL,
+    original_caption TEXT,
+    caption TEXT,
+    reason TEXT,
+    decided_by TEXT,
+    requested_at TEXT NOT NULL,
+    decided_at TEXT,
+    expires_at TEXT NOT NULL,
+    PRIMARY KEY (source, item_id)
+  );
+  CREATE INDEX reviews_status ON reviews (status, expires_at);
+  CREATE INDEX reviews_message ON reviews (review_message_id);
+  `,
+  // Content fingerprints of posted items, for duplicate detection
+  `
+  CREATE TABLE fingerprints (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    item_id TEXT NOT NULL,
+    message_id INTEGER,
+    kind TEXT NOT NULL,
+    value TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    UNIQUE (source, item_id, kind, value)
+  );
+  CREATE INDEX fingerprints_value ON fingerprints (kind, value);
+  `,
+  // Every post ID of a thread (JSON array, first post included)
+  `
+  ALTER TABLE posts ADD COLUMN thread_ids TEXT;
+  `,
+  // How the item was picked (selection strategy, retry, review, manual)
+  `
+  ALTER TABLE posts ADD COLUMN strategy TEXT;
+  `,
+  `
+  CREATE TABLE live_queue (
+    source TEXT NOT NULL,
+    item_id TEXT NOT NULL,
+    message_id INTEGER NOT NULL,
+    queued_at TEXT NOT NULL,
+    edited_at TEXT,
+    PRIMARY KEY (source, item_id)
+  );
+  CREATE INDEX live_queue_message ON live_queue (source, message_id);
+  `,
+  // Notifications sent or held back by the rate limit, per channel and event
+  `
+  CREATE TABLE notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    channel TEXT NOT NULL,
+    event TEXT NOT NULL,
+    sent INTEGER NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX notifications_recent ON notifications (channel, event, created_at);
+  `,
+  // Post history ledger: message ID, captions and media of every post, and
+  // deleted_at for posts taken down with `undo`. Undone posts stay in the
+  // history, so only one live post per item and destination is unique.
+  (db) => {
+    db.exec(`
+    CREATE TABLE posts_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL,
+      item_id TEXT NOT NULL,
+      message_id INTEGER,
+      publisher TEXT NOT NULL,
+      post_id TEXT NOT NULL,
+      url TEXT,
+      thread_ids TEXT,
+      strategy TEXT,
+      original_caption TEXT,
+      caption TEXT,
+      media TEXT,
+      posted_at TEXT NOT NULL,
+      deleted_at TEXT
+    );
+    INSERT INTO posts_ledger (id, source, item_id, publisher, post_id, url, thread_ids, strategy, posted_at)
+      SELECT id, source, item_id, publisher, post_id, url, thread_ids, strategy, posted_at FROM posts;
+    DROP TABLE posts;
+    ALTER TABLE posts_ledger RENAME TO posts;
+    CREATE UNIQUE INDEX posts_live ON posts (source, item_id, publisher)
+      WHERE deleted_at IS NULL;
+    CREATE INDEX posts_posted_at ON posts (posted_at);
+    CREATE INDEX posts_message ON posts (source, message_id);
+    `);
+
+    const update = db.prepare(
+      "UPDATE posts SET message_id = ? WHERE item_id = ?"
+    );
+    for (const { item_id } of db
+      .prepare("SELECT DISTINCT item_id FROM posts")
+      .all()) {
+      const messageId = messageIdFromItemId(item_id);
+      if (messageId) update.run(messageId, item_id);
+    }
+  },
+  // Engagement snapshots per post and checkpoint ("1h", "7d"), and whether
+  // the caption was the original or rewritten
+  `
+  ALTER TABLE posts ADD COLUMN caption_style TEXT;
+  CREATE TABLE engagement (
+    post_row INTEGER NOT NULL,
+    checkpoint TEXT NOT NULL,
+    impressions INTEGER,
+    likes INTEGER,
+    reposts INTEGER,
+    replies INTEGER,
+    collected_at TEXT NOT NULL,
+    PRIMARY KEY (post_row, checkpoint)
+  );
+  `,
+];
+
+// Single embedded database for everything the poster remembers between runs.
+// Every write is a single statement or an explicit transaction, so a crash
+// never leaves half-written state behind.
+//
+// A `snapshot` store is an in-memory copy of dbFile (empty if there is none
+// yet): it behaves the same, but nothing it does reaches the disk.
+class StateStore {
+  constructor(dbFile, { snapshot = false } = {}) {
+    if (snapshot) {
+      this.db = new Database(StateStore.readSnapshot(dbFile));
+    } else {
+      fs.ensureDirSync(path.dirname(dbFile));
+      this.db = new Database(dbFile);
+      this.db.pragma("journal_mode = WAL");
+    }
+    this.db.pragma("busy_timeout = 5000");
+    this.migrate();
+  }
+
+  // The database file serialized, including what is still in its WAL
+  static readSnapshot(dbFile) {
+    if (!fs.pathExistsSync(dbFile)) return ":memory:";
+    const db = new Database(dbFile, { readonly: true });
+    try {
+      const buffer = db.serialize();
+      // Header bytes 18-19 still say WAL, which an in-memory database can't use
+      buffer[18] = buffer[19] = 1;
+      return buffer;
+    } finally {
+      db.close();
+    }
+  }
+
+  migrate() {
+    const version = this.db.pragma("user_version", { simple: true });
+    for (let next = version; next < MIGRATIONS.length; next++) {
+      this.transaction(() => {
+        const migration = MIGRATIONS[next];
+        if (typeof migration === "function") {
+          migration(this.db);
+        } else {
+          this.db.exec(migration);
+        }
+        this.db.pragma(`user_version = ${next + 1}`);
+      });
+    }
+  }
+
+  // Run fn atomically; nested calls join the outer transaction
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  // Processed items
+
+  isProcessed(source, itemId) {
+    return !!this.db
+      .prepare("SELECT 1 FROM processed_items WHERE source = ? AND item_id = ?")
+      .get(source, itemId);
+  }
+
+  markProcessed(
+    source,
+    itemId,
+    { messageId = null, processedAt = new Date().toISOString() } = {}
+  ) {
+    this.db
+      .prepare(
+        `INSERT OR IGNORE INTO processed_items (source, item_id, message_id, processed_at)
+         VALUES (?, ?, ?, ?)`
+      )
+      .run(source, itemId, messageId, processedAt);
+  }
+
+  unmarkProcessed(source, itemId) {
+    return (
+      this.db
+        .prepare("DELETE FROM processed_items WHERE source = ? AND item_id = ?")
+        .run(source, itemId).changes > 0
+    );
+  }
+
+  // Processed item IDs recorded for a Telegram message
+  findProcessed(source, messageId) {
+    return this.db
+      .prepare(
+        "SELECT item_id FROM processed_items WHERE source = ? AND message_id = ?"
+      )
+      .all(source, messageId)
+      .map((row) => row.item_id);
+  }
+
+  countProcessed(source) {
+    return this.db
+      .prepare("SELECT COUNT(*) AS count FROM processed_items WHERE source = ?")
+      .get(source).count;
+  }
+
+  // Failures
+
+  addFailure(
+    source,
+    itemId,
+    {
+      publisher = null,
+      messageId = null,
+      reason,
+      error = null,
+      failedAt = new Date().toISOString(),
+    }
+  ) {
+    this.db
+      .prepare(
+        `INSERT INTO failures (source, item_id, message_id, publisher, reason, error, failed_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(source, itemId, messageId, publisher, reason, error, failedAt);
+  }
+
+  // A failure without a publisher blocks every destination
+  isFailed(source, itemId, publisher = null) {
+    return !!this.db
+      .prepare(
+        `SELECT 1 FROM failures
+         WHERE source = ? AND item_id = ? AND (publisher IS NULL OR publisher = ?)
+         LIMIT 1`
+      )
+      .get(source, itemId, publisher);
+  }
+
+  countFailures(source) {
+    return this.db
+      .prepare("SELECT COUNT(*) AS count FROM failures WHERE source = ?")
+      .get(source).count;
+  }
+
+  // Newest first. `id` matches an item ID or a message ID, `reason` is a substring.
+  listFailures({ source = null, id = null, reason = null } = {}) {
+    return this.db
+      .prepare(
+        `SELECT * FROM failures
+         WHERE (@source IS NULL OR source = @source)
+           AND (@id IS NULL OR item_id = @id OR message_id = @id)
+           AND (@reason IS NULL OR reason LIKE '%' || @reason || '%')
+         ORDER BY failed_at DESC, id DESC`
+      )
+      .all({ source, id, reason });
+  }
+
+  removeFailures(source, itemId) {
+    return this.db
+      .prepare("DELETE FROM failures WHERE source = ? AND item_id = ?")
+      .run(source, itemId).changes;
+  }
+
+  // Cursors
+
+  getCursor(source) {
+    const row = this.db
+      .prepare("SELECT cursor FROM cursors WHERE source = ?")
+      .get(source);
+    return row ? row.cursor : 0;
+  }
+
+  setCursor(source, cursor) {
+    this.db
+      .prepare(
+        `INSERT INTO cursors (source, cursor, updated_at) VALUES (?, ?, ?)
+         ON CONFLICT (source) DO UPDATE SET cursor = excluded.cursor, updated_at = excluded.updated_at`
+      )
+      .run(source, cursor, new Date().toISOString());
+  }
+
+  // Post history
+
+  // `media` is a list of { kind, mimeType, size, duration }
+  recordPost(
+    source,
+    itemId,
+    publisher,
+    {
+      id,
+      url = null,
+      threadIds = null,
+      strategy = null,
+      messageId = messageIdFromItemId(itemId),
+      originalCaption = null,
+      caption = null,
+      captionStyle = null,
+      media = null,
+      postedAt = new Date().toISOString(),
+    }
+  ) {
+    this.db
+      .prepare(
+        `INSERT OR REPLACE INTO posts (source, item_id, message_id, publisher, post_id, url, thread_ids, strategy, original_caption, caption, caption_style, media, posted_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        source,
+        itemId,
+        messageId,
+        publisher,
+        String(id),
+        url,
+        threadIds ? JSON.stringify(threadIds.map(String)) : null,
+        strategy,
+        originalCaption,
+        caption,
+        captionStyle,
+        media ? JSON.stringify(media) : null,
+        postedAt
+      );
+  }
+
+  // Most recent live post, optionally for one source
+  lastPost(source = null) {
+    return this.db
+      .prepare(
+        `SELECT * FROM posts
+         WHERE deleted_at IS NULL AND (@source IS NULL OR source = @source)
+         ORDER BY posted_at DESC, id DESC LIMIT 1`
+      )
+      .get({ source });
+  }
+
+  // When `publisher` last posted (undone posts included), or null
+  lastPostedAt(publisher) {
+    return this.db
+      .prepare(
+        "SELECT MAX(posted_at) AS postedAt FROM posts WHERE publisher = ?"
+      )
+      .get(publisher).postedAt;
+  }
+
+  // Every post, undone ones included, oldest first
+  listPosts({
+    source = null,
+    publisher = null,
+    since = null,
+    until = null,
+  } = {}) {
+    return this.db
+      .prepare(
+        `SELECT * FROM posts
+         WHERE (@source IS NULL OR source = @source)
+           AND (@publisher IS NULL OR publisher = @publisher)
+           AND (@since IS NULL OR posted_at >= @since)
+           AND (@until IS NULL OR posted_at < @until)
+         ORDER BY posted_at, id`
+      )
+      .all({ source, publisher, since, until });
+  }
+
+  // Live posts matching an item ID, Telegram message ID, post ID or URL
+  findPosts(value, { source = null } = {}) {
+    return this.db
+      .prepare(
+        `SELECT * FROM posts
+         WHERE deleted_at IS NULL AND (@source IS NULL OR source = @source)
+           AND (item_id = @value OR post_id = @value OR url = @value
+                OR CAST(message_id AS TEXT) = @value)
+         ORDER BY posted_at, id`
+      )
+      .all({ source, value: String(value) });
+  }
+
+  markPostDeleted(id, deletedAtIso) {
+    this.db
+      .prepare("UPDATE posts SET deleted_at = ? WHERE id = ?")
+      .run(deletedAtIso, id);
+  }
+
+  // { [publisher]: { id, url, threadIds, strategy, postedAt } } for one item's
+  // live posts
+  getPosts(source, itemId) {
+    const posts = {};
+    for (const row of this.db
+      .prepare(
+        "SELECT publisher, post_id, url, thread_ids, strategy, posted_at FROM posts WHERE source = ? AND item_id = ? AND deleted_at IS NULL"
+      )
+      .all(source, itemId)) {
+      posts[row.publisher] = {
+        id: row.post_id,
+        url: row.url,
+        threadIds: row.thread_ids ? JSON.parse(row.thread_ids) : null,
+        strategy: row.strategy,
+        postedAt: row.posted_at,
+      };
+    }
+    return posts;
+  }
+
+  // Retry queue
+
+  getRetry(source, itemId, publisher) {
+    return this.db
+      .prepare(
+        "SELECT * FROM retry_queue WHERE source = ? AND item_id = ? AND publisher = ?"
+      )
+      .get(source, itemId, publisher);
+  }
+
+  saveRetry(entry) {
+    this.db
+      .prepare(
+        `INSERT OR REPLACE INTO retry_queue
+           (source, item_id, publisher, message_id, attempts, reason, last_error, first_failed_at, next_attempt_at)
+         VALUES
+           (@source, @item_id, @publisher, @message_id, @attempts, @reason, @last_error, @first_failed_at, @next_attempt_at)`
+      )
+      .run(entry);
+  }
+
+  removeRetry(source, itemId, publisher) {
+    this.db
+      .prepare(
+        "DELETE FROM retry_queue WHERE source = ? AND item_id = ? AND publisher = ?"
+      )
+      .run(source, itemId, publisher);
+  }
+
+  listRetries(source = null) {
+    return this.db
+      .prepare(
+        `SELECT * FROM retry_queue WHERE (@source IS NULL OR source = @source)
+         ORDER BY next_attempt_at`
+      )
+      .all({ source });
+  }
+
+  dueRetries(nowIso) {
+    return this.db
+      .prepare(
+        "SELECT * FROM retry_queue WHERE next_attempt_at <= ? ORDER BY next_attempt_at"
+      )
+      .all(nowIso);
+  }
+
+  listCooldowns() {
+    return this.db.prepare("SELECT * FROM publisher_cooldowns").all();
+  }
+
+  getCooldown(publisher) {
+    const row = this.db
+      .prepare("SELECT until FROM publisher_cooldowns WHERE publisher = ?")
+      .get(publisher);
+    return row ? row.until : null;
+  }
+
+  setCooldown(publisher, untilIso) {
+    this.db
+      .prepare(
+        `INSERT INTO publisher_cooldowns (publisher, until) VALUES (?, ?)
+         ON CONFLICT (publisher) DO UPDATE SET until = excluded.until`
+      )
+      .run(publisher, untilIso);
+  }
+
+  // Review chat
+
+  getReview(source, itemId) {
+    return this.db
+      .prepare("SELECT * FROM reviews WHERE source = ? AND item_id = ?")
+      .get(source, itemId);
+  }
+
+  saveReview(review) {
+    this.db
+      .prepare(
+        `INSERT OR REPLACE INTO reviews
+           (source, item_id, message_id, review_message_id, status, original_caption, caption,
+            reason, decided_by, requested_at, decided_at, expires_at)
+         VALUES
+           (@source, @item_id, @message_id, @review_message_id, @status, @original_caption, @caption,
+            @reason, @decided_by, @requested_at, @decided_at, @expires_at)`
+      )
+      .run(review);
+  }
+
+  // `fields` uses column names, e.g. { status: "approved", decided_by: "123" }
+  updateReview(source, itemId, fields) {
+    const columns = Object.keys(fields);
+    this.db
+      .prepare(
+        `UPDATE reviews SET ${columns.map((column) => `${column} = @${column}`).join(", ")}
+         WHERE source = @source AND item_id = @item_id`
+      )
+      .run({ ...fields, source, item_id: itemId });
+  }
+
+  listReviews(status) {
+    return this.db
+      .prepare("SELECT * FROM reviews WHERE status = ? ORDER BY requested_at")
+      .all(status);
+  }
+
+  findReviewByMessage(reviewMessageId) {
+    return this.db
+      .prepare("SELECT * FROM reviews WHERE review_message_id = ?")
+      .get(reviewMessageId);
+  }
+
+  expiredReviews(nowIso) {
+    return this.db
+      .prepare(
+        "SELECT * FROM reviews WHERE status = 'pending' AND expires_at <= ? ORDER BY expires_at"
+      )
+      .all(nowIso);
+  }
+
+  // Fingerprints
+
+  addFingerprint(fingerprint) {
+    this.db
+      .prepare(
+        `INSERT OR IGNORE INTO fingerprints (source, item_id, message_id, kind, value, created_at)
+         VALUES (@source, @item_id, @message_id, @kind, @value, @created_at)`
+      )
+      .run({ created_at: new Date().toISOString(), ...fingerprint });
+  }
+
+  // Oldest item with this fingerprint, other than the given one
+  findFingerprint(kind, value, { source = null, itemId = null } = {}) {
+    return this.db
+      .prepare(
+        `SELECT * FROM fingerprints
+         WHERE kind = @kind AND value = @value
+           AND NOT (source IS @source AND item_id IS @itemId)
+         ORDER BY created_at, id LIMIT 1`
+      )
+      .get({ kind, value, source, itemId });
+  }
+
+  removeFingerprints(source, itemId) {
+    this.db
+      .prepare("DELETE FROM fingerprints WHERE source = ? AND item_id = ?")
+      .run(source, itemId);
+  }
+
+  listFingerprints(kind) {
+    return this.db
+      .prepare("SELECT * FROM fingerprints WHERE kind = ? ORDER BY id")
+      .all(kind);
+  }
+
+  // Live queue
+
+  getLiveItem(source, itemId) {
+    return this.db
+      .prepare("SELECT * FROM live_queue WHERE source = ? AND item_id = ?")
+      .get(source, itemId);
+  }
+
+  // False when the item is queued already
+  addLiveItem(entry) {
+    return (
+      this.db
+        .prepare(
+          `INSERT OR IGNORE INTO live_queue (source, item_id, message_id, queued_at)
+           VALUES (@source, @item_id, @message_id, @queued_at)`
+        )
+        .run(entry).changes > 0
+    );
+  }
+
+  markLiveItemEdited(source, itemId, editedAtIso) {
+    this.db
+      .prepare(
+        "UPDATE live_queue SET edited_at = ? WHERE source = ? AND item_id = ?"
+      )
+      .run(editedAtIso, source, itemId);
+  }
+
+  removeLiveItem(source, itemId) {
+    this.db
+      .prepare("DELETE FROM live_queue WHERE source = ? AND item_id = ?")
+      .run(source, itemId);
+  }
+
+  findLiveItemsByMessage(source, messageIds) {
+    const find = this.db.prepare(
+      "SELECT * FROM live_queue WHERE source = ? AND message_id = ?"
+    );
+    return messageIds.flatMap((messageId) => find.all(source, messageId));
+  }
+
+  listLiveItems(source = null) {
+    return this.db
+      .prepare(
+        `SELECT * FROM live_queue WHERE (@source IS NULL OR source = @source)
+         ORDER BY queued_at, message_id`
+      )
+      .all({ source });
+  }
+
+  // Engagement
+
+  // Live posts on `publisher` posted between `from` and `to` without a
+  // snapshot for `checkpoint`
+  dueEngagement(publisher, checkpoint, { from, to }) {
+    return this.db
+      .prepare(
+        `SELECT * FROM posts
+         WHERE publisher = @publisher AND deleted_at IS NULL
+           AND posted_at > @from AND posted_at <= @to
+           AND NOT EXISTS (SELECT 1 FROM engagement
+                           WHERE post_row = posts.id AND checkpoint = @checkpoint)
+         ORDER BY posted_at`
+      )
+      .all({ publisher, checkpoint, from, to });
+  }
+
+  addEngagement(snapshot) {
+    this.db
+      .prepare(
+        `INSERT OR REPLACE INTO engagement (post_row, checkpoint, impressions, likes, reposts, replies, collected_at)
+         VALUES (@post_row, @checkpoint, @impressions, @likes, @reposts, @replies, @collected_at)`
+      )
+      .run({
+        impressions: null,
+        likes: null,
+        reposts: null,
+        replies: null,
+        ...snapshot,
+      });
+  }
+
+  // Snapshots at `checkpoint` joined with their posts
+  listEngagement({ checkpoint, publisher = null, since = null }) {
+    return this.db
+      .prepare(
+        `SELECT posts.*, engagement.checkpoint, engagement.impressions,
+                engagement.likes, engagement.reposts, engagement.replies,
+                engagement.collected_at
+         FROM engagement JOIN posts ON posts.id = engagement.post_row
+         WHERE engagement.checkpoint = @checkpoint
+           AND (@publisher IS NULL OR posts.publisher = @publisher)
+           AND (@since IS NULL OR posts.posted_at >= @since)
+         ORDER BY posts.posted_at`
+      )
+      .all({ checkpoint, publisher, since });
+  }
+
+  // Notifications
+
+  addNotification(entry) {
+    this.db
+      .prepare(
+        `INSERT INTO notifications (channel, event, sent, created_at)
+         VALUES (@channel, @event, @sent, @created_at)`
+      )
+      .run({ ...entry, sent: entry.sent ? 1 : 0 });
+  }
+
+  // Notifications sent and suppressed since `sinceIso`, and how many were
+  // suppressed after the last one sent
+  countNotifications(channel, event, sinceIso) {
+    return this.db
+      .prepare(
+        `SELECT
+           COALESCE(SUM(sent), 0) AS sent,
+           (SELECT COUNT(*) FROM notifications
+            WHERE channel = @channel AND event = @event AND sent = 0
+              AND id > (SELECT COALESCE(MAX(id), 0) FROM notifications
+                        WHERE channel = @channel AND event = @event AND sent = 1)
+           ) AS pending
+         FROM notifications
+         WHERE channel = @channel AND event = @event AND created_at >= @since`
+      )
+      .get({ channel, event, since: sinceIso });
+  }
+
+  pruneNotifications(beforeIso) {
+    this.db
+      .prepare("DELETE FROM notifications WHERE created_at < ?")
+      .run(beforeIso);
+  }
+
+  // Misc key/value state (source rotation, import markers, listener positions)
+
+  getMeta(key) {
+    const row = this.db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this.db
+      .prepare(
+        `INSERT INTO meta (key, value) VALUES (?, ?)
+         ON CONFLICT (key) DO UPDATE SET value = excluded.value`
+      )
+      .run(key, value);
+  }
+}
+
+module.exports = { StateStore, messageIdFromItemId };
@@ -0,0 +1,121 @@
+const { countReactions } = require("./filters");
+
+const SELECTION_STRATEGIES = [
+  "oldest",
+  "newest",
+  "views",
+  "reactions",
+  "forwards",
+  "random",
+  "score",
+];
+const SCORE_METRICS = ["views", "reactions", "forwards", "recency"];
+const DEFAULT_WEIGHTS = "views:1,reactions:1,forwards:1,recency:1";
+
+// Engagement numbers Telegram sends with every message (channels only)
+function metricsOf(item) {
+  const { message } = item;
+  return {
+    views: message.views || 0,
+    reactions: countReactions(message),
+    forwards: message.forwards || 0,
+    date: item.date,
+  };
+}
+
+// "views:1,reactions:5,recency:2" -> { views: 1, reactions: 5, recency: 2 }
+function parseWeights(value) {
+  const weights = {};
+  for (const entry of value.split(",").map((part) => part.trim()).filter(Boolean)) {
+    const [metric, weight] = entry.split(":").map((part) => part.trim());
+    if (!SCORE_METRICS.includes(metric) || !Number.isFinite(Number(weight))) {
+      throw new Error(
+        `Invalid selection weight "${entry}" (expected <${SCORE_METRICS.join(
+          "|"
+        )}>:<number>)`
+      );
+    }
+    weights[metric] = Number(weight);
+  }
+  return weights;
+}
+
+// Which candidate gets posted. "oldest" walks the channel from the cursor;
+// every other strategy picks from a pool of recent candidates.
+class SelectionStrategy {
+  constructor({ name = "oldest", weights = "", random = Math.random } = {}) {
+    this.name = (name || "oldest").trim().toLowerCase();
+    if (!SELECTION_STRATEGIES.includes(this.name)) {
+      throw new Error(
+        `Unknown SELECTION_STRATEGY "${name}" (expected one of: ${SELECTION_STRATEGIES.join(
+          ", "
+        )})`
+      );
+    }
+    this.weights = parseWeights(weights || DEFAULT_WEIGHTS);
+    this.random = random;
+  }
+
+  get usesCursor() {
+    return this.name === "oldest";
+  }
+
+  // Each metric scaled to 0-1 across the pool (recency: oldest 0, newest 1),
+  // then weighted and summed
+  scores(candidates) {
+    const metrics = candidates.map(metricsOf);
+    const top = (key) => Math.max(...metrics.map((entry) => entry[key]));
+    const oldest = Math.min(...metrics.map((entry) => entry.date));
+    const span = top("date") - oldest;
+    const tops = {
+      views: top("views"),
+      reactions: top("reactions"),
+      forwards: top("forwards"),
+    };
+
+    const normalized = (entry, metric) => {
+      if (metric === "recency") {
+        return span > 0 ? (entry.date - oldest) / span : 1;
+      }
+      return tops[metric] > 0 ? entry[metric] / tops[metric] : 0;
+    };
+    return metrics.map((entry) =>
+      Object.entries(this.weights).reduce(
+        (score, [metric, weight]) => score + weight * normalized(entry, metric),
+        0
+      )
+    );
+  }
+
+  // The candidate to post from a pool, or null for an empty pool. Ties go to
+  // the newer item.
+  pick(candidates) {
+    if (candidates.length === 0) return null;
+    if (this.name === "random") {
+      return candidates[Math.floor(this.random() * candidates.length)];
+    }
+
+    const values =
+      this.name === "score"
+        ? this.scores(candidates)
+        : candidates.map((item) => {
+            const metrics = metricsOf(item);
+            return this.name === "newest" || this.name === "oldest"
+              ? (this.name === "newest" ? 1 : -1) * metrics.date
+              : metrics[this.name];
+          });
+
+    let best = 0;
+    values.forEach((value, index) => {
+      if (
+        value > values[best] ||
+        (value === values[best] && candidates[index].date > candidates[best].date)
+      ) {
+        best = index;
+      }
+    });
+    return candidates[best];
+  }
+}
+
+module.exports = { SelectionStrategy, SELECTION_STRATEGIES, metricsOf };
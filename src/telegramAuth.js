@@ -0,0 +1,117 @@
+const { TelegramClient } = require("telegram");
+const { StringSession } = require("telegram/sessions");
+const fs = require("fs-extra");
+const input = require("input");
+const qrcode = require("qrcode-terminal");
+const { log } = require("./logger");
+
+// The Telegram session is missing, revoked or expired. Only a person can fix
+// that, by logging in again with `node index.js login`.
+class TelegramAuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TelegramAuthError";
+  }
+}
+
+// The session string to connect with: TELEGRAM_SESSION itself, or the
+// contents of TELEGRAM_SESSION_FILE (which can be a mounted secret).
+// Resolves to { session, origin }.
+async function readSession({ session, sessionFile }) {
+  if (session && session.trim()) {
+    return { session: session.trim(), origin: "TELEGRAM_SESSION" };
+  }
+  if (await fs.pathExists(sessionFile)) {
+    const contents = (await fs.readFile(sessionFile, "utf8")).trim();
+    if (contents) return { session: contents, origin: sessionFile };
+  }
+  throw new TelegramAuthError(
+    `No Telegram session in TELEGRAM_SESSION or ${sessionFile} (log in with \`node index.js login\`)`
+  );
+}
+
+// "@name", or the first name for accounts without a username
+function describeUser(user) {
+  return user.username ? `@${user.username}` : `${user.firstName || user.id}`;
+}
+
+// The interactive login behind `node index.js login`, and the only place
+// that prompts. By default it shows a QR code to scan in the Telegram app
+// (Settings > Devices > Link Desktop Device); `phone` asks for the phone
+// number and the code Telegram sends instead. Either way it asks for the 2FA
+// password if the account has one. Resolves to the logged-in user.
+async function interactiveLogin(client, { apiId, apiHash, method = "qr" }) {
+  const credentials = { apiId, apiHash };
+  const password = (hint) =>
+    input.password(
+      `Enter your 2FA password${hint ? ` (hint: ${hint})` : ""}: `
+    );
+  // Wrong codes and passwords are asked for again
+  const onError = async (error) => {
+    log.error("❌ Telegram login error", { error });
+    return false;
+  };
+
+  await client.connect();
+  if (method === "phone") {
+    return client.signInUser(credentials, {
+      phoneNumber: () =>
+        input.text("Enter your phone number (with country code): "),
+      phoneCode: () =>
+        input.text("Enter the verification code sent to your phone: "),
+      password,
+      onError,
+    });
+  }
+
+  return client.signInUserWithQrCode(credentials, {
+    qrCode: async ({ token }) => {
+      log.info(
+        "📷 Scan this QR code in Telegram under Settings > Devices > Link Desktop Device (a new one appears when it expires):"
+      );
+      qrcode.generate(
+        `tg://login?token=${token.toString("base64url")}`,
+        { small: true },
+        (code) => process.stdout.write(`${code}\n`)
+      );
+    },
+    password,
+    onError,
+  });
+}
+
+// `node index.js login`. Only needs the Telegram settings, so it works
+// before anything else is configured. Resolves to { user, session, file }:
+// the session string goes in TELEGRAM_SESSION, and with `save` it is also
+// written to TELEGRAM_SESSION_FILE.
+async function login(settings, { method = "qr", save = false } = {}) {
+  const apiId = parseInt(settings.TELEGRAM_API_ID);
+  const apiHash = settings.TELEGRAM_API_HASH;
+  const sessionFile =
+    settings.TELEGRAM_SESSION_FILE || "./telegram_session.txt";
+
+  const client = new TelegramClient(new StringSession(""), apiId, apiHash, {
+    connectionRetries: 5,
+  });
+  try {
+    const user = await interactiveLogin(client, { apiId, apiHash, method });
+    const session = client.session.save();
+    if (save) {
+      await fs.outputFile(sessionFile, session, { mode: 0o600 });
+    }
+    return {
+      user: describeUser(user),
+      session,
+      file: save ? sessionFile : null,
+    };
+  } finally {
+    await client.disconnect();
+  }
+}
+
+module.exports = {
+  TelegramAuthError,
+  readSession,
+  describeUser,
+  login,
+};
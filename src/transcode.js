@@ -0,0 +1,248 @@
+const { spawn } = require("child_process");
+const fs = require("fs-extra");
+const path = require("path");
+const { log } = require("./logger");
+
+const AUDIO_BITRATE_KBPS = 128;
+const MIN_VIDEO_BITRATE_KBPS = 150;
+const MAX_ENCODE_ATTEMPTS = 3;
+// Trimmed output can run a few frames past the cut point
+const DURATION_TOLERANCE_SECONDS = 0.5;
+
+// Thrown when a video breaks the limits and no amount of re-encoding fixes it.
+// The run loop records these as permanent failures.
+class MediaPreparationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MediaPreparationError";
+  }
+}
+
+// Resolves to stdout as a string, or as a Buffer with `binary`
+function runTool(command, args, { binary = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["ignore", "pipe", "pipe"] });
+    const stdout = [];
+    let stderr = "";
+
+    child.stdout.on("data", (chunk) => stdout.push(chunk));
+    // ffmpeg is chatty on stderr; only the tail is useful in error messages
+    child.stderr.on("data", (chunk) => (stderr = (stderr + chunk).slice(-4000)));
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code === 0) {
+        const output = Buffer.concat(stdout);
+        resolve(binary ? output : output.toString());
+      } else {
+        const lastLine = stderr.trim().split("\n").pop();
+        reject(new Error(`${path.basename(command)} exited with ${code}: ${lastLine}`));
+      }
+    });
+  });
+}
+
+function parseFrameRate(rate) {
+  if (!rate) return 0;
+  const [numerator, denominator] = rate.split("/").map(Number);
+  return denominator ? numerator / denominator : numerator;
+}
+
+class VideoPreparer {
+  constructor({
+    ffmpegPath = "ffmpeg",
+    ffprobePath = "ffprobe",
+    maxDurationSeconds = 140,
+    maxWidth = 1280,
+    maxHeight = 1024,
+    maxFrameRate = 40,
+    targetSizeMB = 50,
+  } = {}) {
+    this.ffmpegPath = ffmpegPath;
+    this.ffprobePath = ffprobePath;
+    this.maxDurationSeconds = maxDurationSeconds;
+    this.maxWidth = maxWidth;
+    this.maxHeight = maxHeight;
+    this.maxFrameRate = maxFrameRate;
+    this.targetSizeMB = targetSizeMB;
+  }
+
+  async probe(filePath) {
+    const output = await runTool(this.ffprobePath, [
+      "-v",
+      "error",
+      "-print_format",
+      "json",
+      "-show_format",
+      "-show_streams",
+      filePath,
+    ]);
+    const { format = {}, streams = [] } = JSON.parse(output);
+    const video = streams.find((stream) => stream.codec_type === "video");
+    const audio = streams.find((stream) => stream.codec_type === "audio");
+
+    if (!video) {
+      throw new MediaPreparationError("No video stream found");
+    }
+
+    return {
+      container: format.format_name || "",
+      duration: parseFloat(format.duration || video.duration) || 0,
+      size: parseInt(format.size) || (await fs.stat(filePath)).size,
+      videoCodec: video.codec_name,
+      audioCodec: audio ? audio.codec_name : null,
+      width: video.width,
+      height: video.height,
+      frameRate: parseFrameRate(video.avg_frame_rate || video.r_frame_rate),
+      pixelFormat: video.pix_fmt,
+    };
+  }
+
+  // Everything about this file that X would reject
+  findProblems(info) {
+    const problems = [];
+
+    if (!info.container.split(",").includes("mp4")) {
+      problems.push(`container ${info.container}`);
+    }
+    if (info.videoCodec !== "h264" || info.pixelFormat !== "yuv420p") {
+      problems.push(`video codec ${info.videoCodec}/${info.pixelFormat}`);
+    }
+    if (info.audioCodec && info.audioCodec !== "aac") {
+      problems.push(`audio codec ${info.audioCodec}`);
+    }
+    if (info.width > this.maxWidth || info.height > this.maxHeight) {
+      problems.push(`resolution ${info.width}x${info.height}`);
+    }
+    if (info.frameRate > this.maxFrameRate) {
+      problems.push(`frame rate ${info.frameRate.toFixed(2)}fps`);
+    }
+    if (info.duration > this.maxDurationSeconds + DURATION_TOLERANCE_SECONDS) {
+      problems.push(`duration ${info.duration.toFixed(1)}s`);
+    }
+    if (this.exceedsSize(info)) {
+      problems.push(`size ${(info.size / (1024 * 1024)).toFixed(2)}MB`);
+    }
+    return problems;
+  }
+
+  exceedsSize(info) {
+    return info.size > this.targetSizeMB * 1024 * 1024;
+  }
+
+  buildArgs(inputPath, outputPath, info, videoBitrateKbps) {
+    const filters = [
+      // Fit inside the max resolution without upscaling, keeping even dimensions for H.264
+      `scale='min(${this.maxWidth},iw)':'min(${this.maxHeight},ih)':force_original_aspect_ratio=decrease`,
+      "scale=trunc(iw/2)*2:trunc(ih/2)*2",
+    ];
+    if (info.frameRate > this.maxFrameRate) {
+      filters.push(`fps=${this.maxFrameRate}`);
+    }
+
+    const args = ["-y", "-i", inputPath];
+    if (info.duration > this.maxDurationSeconds) {
+      args.push("-t", String(this.maxDurationSeconds));
+    }
+    args.push(
+      "-vf",
+      filters.join(","),
+      "-c:v",
+      "libx264",
+      "-preset",
+      "veryfast",
+      "-pix_fmt",
+      "yuv420p",
+      "-b:v",
+      `${videoBitrateKbps}k`,
+      "-maxrate",
+      `${videoBitrateKbps}k`,
+      "-bufsize",
+      `${videoBitrateKbps * 2}k`
+    );
+    if (info.audioCodec) {
+      args.push("-c:a", "aac", "-b:a", `${AUDIO_BITRATE_KBPS}k`, "-ac", "2");
+    } else {
+      args.push("-an");
+    }
+    args.push("-movflags", "+faststart", outputPath);
+    return args;
+  }
+
+  // Bitrate that lands the whole (possibly trimmed) clip just under the target size
+  videoBitrateFor(info) {
+    const duration = Math.min(info.duration, this.maxDurationSeconds) || 1;
+    const targetKbits = this.targetSizeMB * 1024 * 8 * 0.95;
+    const audioKbps = info.audioCodec ? AUDIO_BITRATE_KBPS : 0;
+    return Math.floor(targetKbits / duration - audioKbps);
+  }
+
+  // Probe a downloaded video and re-encode it if X wouldn't accept it as is.
+  // Resolves to { path, info, transcoded }; the original file is removed when replaced.
+  async prepare(inputPath) {
+    const info = await this.probe(inputPath);
+    const problems = this.findProblems(info);
+
+    if (problems.length === 0) {
+      return { path: inputPath, info, transcoded: false };
+    }
+
+    log.info(`🛠️  Video needs fixing (${problems.join(", ")}), transcoding...`);
+
+    // Plenty of headroom for short clips; cap so we don't waste space on them
+    let bitrate = Math.min(this.videoBitrateFor(info), 5000);
+    const outputPath = inputPath.replace(/(\.[^./\\]+)?$/, "_prepared.mp4");
+
+    for (let attempt = 1; attempt <= MAX_ENCODE_ATTEMPTS; attempt++) {
+      if (bitrate < MIN_VIDEO_BITRATE_KBPS) {
+        break;
+      }
+
+      try {
+        await runTool(
+          this.ffmpegPath,
+          this.buildArgs(inputPath, outputPath, info, bitrate)
+        );
+      } catch (error) {
+        await fs.remove(outputPath);
+        throw new MediaPreparationError(`Transcoding failed: ${error.message}`);
+      }
+
+      const result = await this.probe(outputPath);
+      const remaining = this.findProblems(result);
+      if (remaining.length === 0) {
+        await fs.remove(inputPath);
+        log.info(
+          `✅ Video prepared: ${result.width}x${result.height}, ${result.duration.toFixed(
+            1
+          )}s, ${(result.size / (1024 * 1024)).toFixed(2)}MB`
+        );
+        return { path: outputPath, info: result, transcoded: true };
+      }
+
+      // A lower bitrate only makes the file smaller; anything else left
+      // over won't go away on another pass
+      if (remaining.length > 1 || !this.exceedsSize(result)) {
+        await fs.remove(outputPath);
+        throw new MediaPreparationError(
+          `Transcoded video still breaks the limits (${remaining.join(", ")})`
+        );
+      }
+
+      log.warn(
+        `⚠️  Attempt ${attempt} still has problems (${remaining.join(
+          ", "
+        )}), lowering bitrate...`
+      );
+      bitrate = Math.floor(
+        bitrate * Math.min(0.8, (this.targetSizeMB * 1024 * 1024) / result.size)
+      );
+    }
+
+    await fs.remove(outputPath);
+    throw new MediaPreparationError(
+      `Could not fit video within limits (${problems.join(", ")})`
+    );
+  }
+}
+
+module.exports = { VideoPreparer, MediaPreparationError, runTool };
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { weightedLength, XPublisher } = require("../src/publishers/x");
+const { truncateText } = require("../src/captionRules");
+
+test("weightedLength counts Latin text one per character", () => {
+  assert.strictEqual(weightedLength("Hello, world"), 12);
+  assert.strictEqual(weightedLength("Ünïcödé"), 7);
+});
+
+test("weightedLength counts CJK characters and emoji as two", () => {
+  assert.strictEqual(weightedLength("日本語"), 6);
+  assert.strictEqual(weightedLength("🎥"), 2);
+  // Skin tone, ZWJ family and flag sequences are one emoji each
+  assert.strictEqual(weightedLength("👍🏽"), 2);
+  assert.strictEqual(weightedLength("👨‍👩‍👧‍👦"), 2);
+  assert.strictEqual(weightedLength("🇺🇦"), 2);
+});
+
+test("weightedLength counts every URL as 23, whatever its length", () => {
+  assert.strictEqual(weightedLength("https://t.co/a"), 23);
+  assert.strictEqual(
+    weightedLength(`see https://example.com/${"x".repeat(200)} now`),
+    4 + 23 + 4
+  );
+});
+
+test("the X publisher measures text by weighted length", () => {
+  const publisher = new XPublisher({
+    appKey: "a",
+    appSecret: "b",
+    accessToken: "c",
+    accessSecret: "d",
+  });
+  assert.strictEqual(publisher.fitsPost("a".repeat(280)), true);
+  assert.strictEqual(publisher.fitsPost("日".repeat(141)), false);
+  assert.strictEqual(publisher.fitsPost("日".repeat(140)), true);
+});
+
+const under = (limit) => (text) => weightedLength(text) <= limit;
+
+test("truncateText leaves text that fits alone", () => {
+  assert.strictEqual(truncateText("short caption", under(20)), "short caption");
+});
+
+test("truncateText cuts at a word boundary and adds an ellipsis", () => {
+  const result = truncateText("The quick brown fox jumps over", under(20));
+  assert.strictEqual(result, "The quick brown...");
+  assert.ok(weightedLength(result) <= 20);
+});
+
+test("truncateText drops trailing punctuation before the ellipsis", () => {
+  assert.strictEqual(
+    truncateText("First part, second part", under(14)),
+    "First part..."
+  );
+});
+
+test("truncateText never splits emoji sequences or CJK characters", () => {
+  const family = "👨‍👩‍👧‍👦";
+  const result = truncateText(`${family} ${family} ${family}`, under(7));
+  assert.strictEqual(result, `${family}...`);
+
+  const cjk = truncateText("日本語のテキストです", under(9));
+  assert.ok(weightedLength(cjk) <= 9);
+  assert.ok(cjk.endsWith("..."));
+  assert.ok(!cjk.includes("�"));
+});
+
+test("truncateText returns an empty string when not even the ellipsis fits", () => {
+  assert.strictEqual(truncateText("anything at all", under(2)), "");
+});
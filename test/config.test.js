@@ -0,0 +1,232 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const { loadConfig, ConfigError } = require("../src/config");
+
+function configFile(t, text, name = "config.yaml") {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "poster-config-"));
+  t.after(() => fs.removeSync(dir));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+// Problems listed by the ConfigError loadConfig() throws
+function problemsOf(options) {
+  try {
+    loadConfig(options);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, error);
+    return error.problems;
+  }
+  assert.fail("expected a ConfigError");
+}
+
+const SECRETS = {
+  TELEGRAM_API_HASH: "hash",
+  OPENAI_API_KEY: "sk-test",
+  TWITTER_API_KEY: "key",
+  TWITTER_API_SECRET: "secret",
+  TWITTER_ACCESS_TOKEN: "token",
+  TWITTER_ACCESS_TOKEN_SECRET: "token-secret",
+};
+
+const PROFILES = `
+defaultProfile: staging
+profiles:
+  base:
+    telegram:
+      apiId: 12345
+      apiHash: \${TELEGRAM_API_HASH}
+    sources: ["@memes", "@news"]
+    schedule:
+      posts: 3 per day
+      windows: ["08:00-12:00", "14:00-20:00"]
+  staging:
+    extends: base
+    sources: ["@test"]
+    schedule:
+      posts: 1 per day
+  production:
+    extends: staging
+    sources: ["@memes"]
+    publishers:
+      x: {}
+      bluesky:
+        identifier: poster.bsky.social
+        appPassword: \${BLUESKY_PASSWORD}
+`;
+
+test("without a config file the settings are the environment", () => {
+  const env = { ...SECRETS, TELEGRAM_API_ID: "1", TELEGRAM_GROUPS: "@memes" };
+  const { settings, file, profile } = loadConfig({ env });
+  assert.strictEqual(file, null);
+  assert.strictEqual(profile, null);
+  assert.deepStrictEqual(settings, env);
+});
+
+test("a profile extends another one, maps merged and lists replaced", (t) => {
+  const file = configFile(t, PROFILES);
+  const { settings, profile } = loadConfig({ file, env: { ...SECRETS } });
+
+  assert.strictEqual(profile, "staging");
+  assert.strictEqual(settings.TELEGRAM_API_ID, "12345");
+  assert.strictEqual(settings.TELEGRAM_GROUPS, "@test");
+  assert.strictEqual(settings.SCHEDULE, "1 per day");
+  assert.strictEqual(settings.POSTING_WINDOWS, "08:00-12:00,14:00-20:00");
+});
+
+test("${NAME} is replaced with the environment variable", (t) => {
+  const file = configFile(t, PROFILES);
+  const { settings } = loadConfig({
+    file,
+    profile: "production",
+    env: { ...SECRETS, BLUESKY_PASSWORD: "app-password" },
+  });
+
+  assert.strictEqual(settings.TELEGRAM_API_HASH, "hash");
+  assert.strictEqual(settings.BLUESKY_APP_PASSWORD, "app-password");
+  assert.strictEqual(settings.PUBLISHERS, "x,bluesky");
+  assert.strictEqual(settings.SCHEDULE, "1 per day");
+});
+
+test("an unset ${NAME} is reported where it is used", (t) => {
+  const file = configFile(t, PROFILES);
+  assert.deepStrictEqual(
+    problemsOf({ file, profile: "production", env: { ...SECRETS } }),
+    [
+      "profiles.production.publishers.bluesky.appPassword: environment variable BLUESKY_PASSWORD is not set",
+    ]
+  );
+});
+
+test("the profile is picked by option, CONFIG_PROFILE or defaultProfile", (t) => {
+  const file = configFile(t, PROFILES);
+  const env = { ...SECRETS, CONFIG_PROFILE: "base" };
+  assert.strictEqual(loadConfig({ file, env }).profile, "base");
+  assert.strictEqual(
+    loadConfig({ file, env, profile: "staging" }).profile,
+    "staging"
+  );
+
+  const several = configFile(t, "profiles:\n  a: {}\n  b: {}\n");
+  assert.match(
+    problemsOf({ file: several, env: {} })[0],
+    /several profiles \(a, b\); pick one/
+  );
+  assert.deepStrictEqual(problemsOf({ file, env, profile: "nope" }), [
+    'no profile "nope" (available: base, staging, production)',
+  ]);
+});
+
+test("profiles that extend each other in a loop are rejected", (t) => {
+  const file = configFile(
+    t,
+    "profiles:\n  a:\n    extends: b\n  b:\n    extends: a\n"
+  );
+  assert.deepStrictEqual(problemsOf({ file, profile: "a", env: {} }), [
+    "profiles extend each other in a loop (a -> b -> a)",
+  ]);
+});
+
+test("every problem is reported together, named after the file entry", (t) => {
+  const file = configFile(
+    t,
+    `
+profiles:
+  main:
+    telegram:
+      apiId: twelve
+    sources: "@memes"
+    schedule:
+      jitter: 5
+    logging:
+      level: loud
+    mystery: true
+`
+  );
+  const problems = problemsOf({ file, env: { ...SECRETS } });
+
+  assert.deepStrictEqual(problems, [
+    "profiles.main.schedule.jitter: unknown setting (expected one of: posts, timezone, windows, quietDays, jitterMinutes, shutdownTimeoutSeconds)",
+    "profiles.main.mystery: unknown setting (expected one of: telegram, sources, sourcePolicy, scanBudget, selection, schedule, captions, llm, filters, dedup, video, retry, review, live, engagement, notifications, logging, status, paths)",
+    'profiles.main.telegram.apiId (TELEGRAM_API_ID): expected an integer, got "twelve"',
+    'profiles.main.logging.level (LOG_LEVEL): expected debug, info, warn, error, got "loud"',
+  ]);
+});
+
+test("the error message names the file and profile", (t) => {
+  const file = configFile(t, "profiles:\n  main:\n    sources: {}\n");
+  assert.throws(
+    () => loadConfig({ file, env: { ...SECRETS } }),
+    (error) =>
+      error.message.startsWith(
+        `Invalid configuration in ${file} (profile "main"):\n  - `
+      ) && error.message.includes("sources: expected a single value, got a map")
+  );
+});
+
+test("an OpenAI key is only required when OpenAI writes the captions", () => {
+  const env = {
+    ...SECRETS,
+    OPENAI_API_KEY: "",
+    TELEGRAM_API_ID: "1",
+    TELEGRAM_GROUPS: "@memes",
+  };
+  assert.deepStrictEqual(problemsOf({ env }), [
+    "OPENAI_API_KEY is required for the select and rewrite caption models (or set LLM_BASE_URL for a local server, or LLM_PROVIDER=none)",
+  ]);
+  assert.deepStrictEqual(
+    problemsOf({ env: { ...env, LLM_SELECT_PROVIDER: "none" } }),
+    [
+      "OPENAI_API_KEY is required for the rewrite caption model (or set LLM_BASE_URL for a local server, or LLM_PROVIDER=none)",
+    ]
+  );
+  assert.ok(
+    loadConfig({ env: { ...env, LLM_BASE_URL: "http://localhost:11434/v1" } })
+  );
+  assert.ok(loadConfig({ env: { ...env, LLM_PROVIDER: "none" } }));
+});
+
+test("telegramOnly needs nothing but the Telegram settings", () => {
+  const env = { TELEGRAM_API_ID: "1", TELEGRAM_API_HASH: "hash" };
+  assert.ok(loadConfig({ env, telegramOnly: true }));
+  assert.deepStrictEqual(
+    problemsOf({ env: { TELEGRAM_API_ID: "1" }, telegramOnly: true }),
+    ["TELEGRAM_API_HASH is required"]
+  );
+  assert.ok(
+    problemsOf({ env }).includes(
+      "TELEGRAM_GROUPS is required (at least one source)"
+    )
+  );
+});
+
+test("publisher credentials, X accounts and routes are checked", (t) => {
+  const file = configFile(
+    t,
+    `
+profiles:
+  main:
+    telegram: { apiId: 1, apiHash: hash }
+    sources: ["@memes"]
+    publishers:
+      x: {}
+      x:news:
+        accessToken: news-token
+      mastodon:
+        baseUrl: https://mastodon.social
+    routes:
+      - hashtag: news
+        to: [x:news, bluesky]
+      - to: x
+`
+  );
+  assert.deepStrictEqual(problemsOf({ file, env: { ...SECRETS } }), [
+    "profiles.main.publishers.x:news.accessTokenSecret (X_NEWS_ACCESS_TOKEN_SECRET) is required for x:news",
+    "profiles.main.publishers.mastodon.accessToken (MASTODON_ACCESS_TOKEN) is required for mastodon",
+    'profiles.main.routes (ROUTES): Route "hashtag:news" sends to bluesky, which is not in PUBLISHERS',
+  ]);
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { StateStore } = require("../src/store");
+const { Publisher } = require("../src/publishers/publisher");
+const { EngagementCollector } = require("../src/engagement");
+
+const HOUR = 60 * 60 * 1000;
+
+// A destination that answers fetchMetrics() from a fixed table
+class FakePublisher extends Publisher {
+  constructor(name, metrics) {
+    super(name, `Fake ${name}`, { maxLength: 280 });
+    this.metrics = metrics;
+    this.requested = [];
+  }
+
+  async fetchMetrics(ids) {
+    this.requested.push(ids);
+    return Object.fromEntries(
+      ids.filter((id) => this.metrics[id]).map((id) => [id, this.metrics[id]])
+    );
+  }
+}
+
+// One without metrics, like a destination that has no API for them
+class SilentPublisher extends Publisher {
+  constructor(name) {
+    super(name, `Silent ${name}`, { maxLength: 280 });
+  }
+}
+
+function storeWithPosts(now, posts) {
+  const store = new StateStore("/nonexistent/poster.db", { snapshot: true });
+  for (const { publisher, id, ageMs } of posts) {
+    store.recordPost("@chan", `1_${id}_0_0_0`, publisher, {
+      id,
+      messageId: Number(id),
+      postedAt: new Date(now - ageMs).toISOString(),
+    });
+  }
+  return store;
+}
+
+test("collects due snapshots and skips posts that are gone", async () => {
+  const now = Date.now();
+  const store = storeWithPosts(now, [
+    { publisher: "fake", id: "1", ageMs: 1.5 * HOUR },
+    { publisher: "fake", id: "2", ageMs: 1.5 * HOUR },
+    { publisher: "fake", id: "3", ageMs: 0.5 * HOUR },
+  ]);
+  const fake = new FakePublisher("fake", {
+    1: { impressions: 100, likes: 5, reposts: 1, replies: 0 },
+  });
+  const collector = new EngagementCollector({
+    store,
+    publishers: [fake],
+    checkpoints: "1h",
+  });
+
+  assert.strictEqual(await collector.collect(now), 1);
+  assert.deepStrictEqual(fake.requested, [["1", "2"]]);
+
+  const [snapshot] = store.listEngagement({ checkpoint: "1h" });
+  assert.strictEqual(snapshot.post_id, "1");
+  assert.strictEqual(snapshot.likes, 5);
+  store.close();
+});
+
+test("leaves out destinations without fetchMetrics()", async () => {
+  const now = Date.now();
+  const store = storeWithPosts(now, [
+    { publisher: "fake", id: "1", ageMs: 1.5 * HOUR },
+    { publisher: "silent", id: "2", ageMs: 1.5 * HOUR },
+  ]);
+  const fake = new FakePublisher("fake", { 1: { likes: 2 } });
+  const silent = new SilentPublisher("silent");
+  const collector = new EngagementCollector({
+    store,
+    publishers: [fake, silent],
+    checkpoints: "1h",
+  });
+
+  assert.strictEqual(fake.supportsMetrics, true);
+  assert.strictEqual(silent.supportsMetrics, false);
+  assert.deepStrictEqual(collector.publishers, [fake]);
+  assert.strictEqual(await collector.collect(now), 1);
+  store.close();
+});
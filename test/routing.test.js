@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Router, parseRoutes } = require("../src/routing");
+
+const publishers = ["x:main", "x:memes", "x:news", "bluesky"].map((name) => ({
+  name,
+}));
+const names = publishers.map((publisher) => publisher.name);
+
+const item = (text) => ({ message: { message: text } });
+const routedTo = (router, source, text) =>
+  router
+    .route({ name: source }, item(text), publishers)
+    .map((publisher) => publisher.name);
+
+test("parseRoutes reads types, values and destinations", () => {
+  assert.deepStrictEqual(
+    parseRoutes(
+      " source:@memes = x:memes ; HASHTAG:#News=x:news, Bluesky; default=x:main;"
+    ),
+    [
+      { type: "source", value: "@memes", publishers: ["x:memes"] },
+      { type: "hashtag", value: "News", publishers: ["x:news", "bluesky"] },
+      { type: "default", value: "", publishers: ["x:main"] },
+    ]
+  );
+  assert.deepStrictEqual(parseRoutes(""), []);
+  assert.deepStrictEqual(parseRoutes(undefined), []);
+});
+
+test("parseRoutes keeps colons in the value", () => {
+  assert.deepStrictEqual(parseRoutes("keyword:breaking: live=x:news"), [
+    { type: "keyword", value: "breaking: live", publishers: ["x:news"] },
+  ]);
+});
+
+test("parseRoutes rejects malformed routes", () => {
+  assert.throws(
+    () => parseRoutes("channel:@memes=x:memes"),
+    /Invalid route "channel:@memes=x:memes" \(expected source, hashtag/
+  );
+  assert.throws(() => parseRoutes("source:@memes"), /expected e\.g\. source/);
+  assert.throws(() => parseRoutes("hashtag:=x:news"), /expected e\.g\./);
+  assert.throws(() => parseRoutes("default:x=x:main"), /expected e\.g\./);
+  assert.throws(() => parseRoutes("source:@memes= ,"), /expected e\.g\./);
+});
+
+test("a router rejects destinations that aren't in PUBLISHERS", () => {
+  assert.throws(
+    () => new Router(parseRoutes("hashtag:news=x:news,mastodon"), names),
+    /Route "hashtag:news" sends to mastodon, which is not in PUBLISHERS/
+  );
+  assert.throws(
+    () => new Router(parseRoutes("default=a,b"), names),
+    /Route "default" sends to a, b, which are not in PUBLISHERS/
+  );
+});
+
+test("without routes every item goes everywhere", () => {
+  const router = new Router([], names);
+  assert.strictEqual(router.enabled, false);
+  assert.deepStrictEqual(routedTo(router, "@any", "text"), names);
+});
+
+test("source routes ignore case and the leading @", () => {
+  const router = new Router(parseRoutes("source:@Memes=x:memes"), names);
+  assert.deepStrictEqual(routedTo(router, "memes", ""), names);
+  // Unrouted publishers still get everything
+  assert.deepStrictEqual(routedTo(router, "@other", ""), [
+    "x:main",
+    "x:news",
+    "bluesky",
+  ]);
+});
+
+test("hashtag and keyword routes match whole words in any case", () => {
+  const router = new Router(
+    parseRoutes("hashtag:news=x:news; keyword:cat=x:memes"),
+    names
+  );
+  assert.deepStrictEqual(routedTo(router, "@src", "Today's #NEWS!"), [
+    "x:main",
+    "x:news",
+    "bluesky",
+  ]);
+  assert.deepStrictEqual(routedTo(router, "@src", "#newsletter"), [
+    "x:main",
+    "bluesky",
+  ]);
+  assert.deepStrictEqual(routedTo(router, "@src", "A Cat, again"), [
+    "x:main",
+    "x:memes",
+    "bluesky",
+  ]);
+  assert.deepStrictEqual(routedTo(router, "@src", "concatenate"), [
+    "x:main",
+    "bluesky",
+  ]);
+  // Non-Latin letters count as part of a word too
+  assert.deepStrictEqual(routedTo(router, "@src", "catя"), [
+    "x:main",
+    "bluesky",
+  ]);
+});
+
+test("default routes apply only when no other route matches", () => {
+  const router = new Router(
+    parseRoutes("hashtag:news=x:news; default=x:main"),
+    names
+  );
+  assert.deepStrictEqual(routedTo(router, "@src", "#news"), [
+    "x:memes",
+    "x:news",
+    "bluesky",
+  ]);
+  assert.deepStrictEqual(routedTo(router, "@src", "nothing special"), [
+    "x:main",
+    "x:memes",
+    "bluesky",
+  ]);
+});
+
+test("album items are matched on the text of all their messages", () => {
+  const router = new Router(parseRoutes("hashtag:news=x:news"), names);
+  const album = {
+    messages: [{ message: "" }, { message: "Caption #news" }, {}],
+  };
+  assert.deepStrictEqual(
+    [...router.matches({ name: "@src" }, album)],
+    ["x:news"]
+  );
+});
@@ -0,0 +1,209 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Schedule, CronExpression } = require("../src/schedule");
+
+const at = (iso) => Date.parse(iso);
+const iso = (time) => (time === null ? null : new Date(time).toISOString());
+
+// Consecutive cron matches after `from`
+function cronTimes(expression, from, count, timeZone = "UTC") {
+  const cron = new CronExpression(expression);
+  const times = [];
+  let time = at(from);
+  for (let i = 0; i < count; i++) {
+    time = cron.next(time, timeZone);
+    times.push(iso(time));
+  }
+  return times;
+}
+
+test("cron expressions need five valid fields", () => {
+  assert.throws(() => new CronExpression("0 9 * *"), /expected 5 fields/);
+  assert.throws(() => new CronExpression("60 9 * * *"), /expected 0-59/);
+  assert.throws(() => new CronExpression("0 9 * * funday"), /Invalid cron/);
+  assert.throws(() => new CronExpression("*/0 * * * *"), /Invalid cron step/);
+});
+
+test("cron matches lists, ranges, steps and day names", () => {
+  // 2026-01-03 is a Saturday
+  assert.deepStrictEqual(
+    cronTimes("30 9 * * mon-fri", "2026-01-03T12:00:00Z", 2),
+    ["2026-01-05T09:30:00.000Z", "2026-01-06T09:30:00.000Z"]
+  );
+  assert.deepStrictEqual(
+    cronTimes("*/20 8,17 * * *", "2026-01-05T08:10:00Z", 3),
+    [
+      "2026-01-05T08:20:00.000Z",
+      "2026-01-05T08:40:00.000Z",
+      "2026-01-05T17:00:00.000Z",
+    ]
+  );
+});
+
+test("cron treats 7 as Sunday and ORs restricted day fields", () => {
+  assert.deepStrictEqual(cronTimes("0 12 * * 7", "2026-01-05T00:00:00Z", 1), [
+    "2026-01-11T12:00:00.000Z",
+  ]);
+  // The 13th, or any Friday (2026-01-09 is a Friday)
+  assert.deepStrictEqual(
+    cronTimes("0 12 13 * fri", "2026-01-05T00:00:00Z", 3),
+    [
+      "2026-01-09T12:00:00.000Z",
+      "2026-01-13T12:00:00.000Z",
+      "2026-01-16T12:00:00.000Z",
+    ]
+  );
+});
+
+test("cron runs on local time in the schedule's time zone", () => {
+  const [winter] = cronTimes(
+    "0 9 * * *",
+    "2026-01-05T00:00:00Z",
+    1,
+    "Europe/Berlin"
+  );
+  const [summer] = cronTimes(
+    "0 9 * * *",
+    "2026-07-06T00:00:00Z",
+    1,
+    "Europe/Berlin"
+  );
+  assert.strictEqual(winter, "2026-01-05T08:00:00.000Z");
+  assert.strictEqual(summer, "2026-07-06T07:00:00.000Z");
+});
+
+test("a cron time skipped by the spring DST change fires an hour later", () => {
+  // Berlin jumps from 02:00 to 03:00 on 2026-03-29
+  assert.deepStrictEqual(
+    cronTimes("30 2 * * *", "2026-03-28T12:00:00Z", 2, "Europe/Berlin"),
+    ["2026-03-29T01:30:00.000Z", "2026-03-30T00:30:00.000Z"]
+  );
+});
+
+test("a cron time repeated by the autumn DST change fires once", () => {
+  // Berlin goes through 02:00-03:00 twice on 2026-10-25
+  assert.deepStrictEqual(
+    cronTimes("30 2 * * *", "2026-10-24T12:00:00Z", 2, "Europe/Berlin"),
+    ["2026-10-25T01:30:00.000Z", "2026-10-26T01:30:00.000Z"]
+  );
+});
+
+test("N per day spreads posts evenly over the posting windows", () => {
+  const schedule = new Schedule({
+    schedule: "3 per day",
+    timeZone: "UTC",
+    windows: "08:00-20:00",
+  });
+  assert.deepStrictEqual(
+    schedule.upcoming(4, at("2026-01-05T00:00:00Z")).map(iso),
+    [
+      "2026-01-05T10:00:00.000Z",
+      "2026-01-05T14:00:00.000Z",
+      "2026-01-05T18:00:00.000Z",
+      "2026-01-06T10:00:00.000Z",
+    ]
+  );
+});
+
+test("N per day keeps local time across DST changes", () => {
+  const schedule = new Schedule({
+    schedule: "1 per day",
+    timeZone: "Europe/Berlin",
+  });
+  assert.deepStrictEqual(
+    schedule.upcoming(3, at("2026-03-28T00:00:00Z")).map(iso),
+    [
+      "2026-03-28T11:00:00.000Z",
+      "2026-03-29T10:00:00.000Z",
+      "2026-03-30T10:00:00.000Z",
+    ]
+  );
+});
+
+test("posting windows can cross midnight", () => {
+  const schedule = new Schedule({
+    schedule: "0 * * * *",
+    timeZone: "UTC",
+    windows: "22:00-02:00",
+  });
+  assert.deepStrictEqual(schedule.windows, [
+    [0, 120],
+    [1320, 1440],
+  ]);
+  assert.deepStrictEqual(
+    schedule.upcoming(4, at("2026-01-05T00:30:00Z")).map(iso),
+    [
+      "2026-01-05T01:00:00.000Z",
+      "2026-01-05T22:00:00.000Z",
+      "2026-01-05T23:00:00.000Z",
+      "2026-01-06T00:00:00.000Z",
+    ]
+  );
+});
+
+test("invalid posting windows and quiet days are rejected", () => {
+  assert.throws(
+    () => new Schedule({ windows: "8-12" }),
+    /Invalid posting window "8-12"/
+  );
+  assert.throws(
+    () => new Schedule({ windows: "10:00-10:00" }),
+    /Invalid posting window/
+  );
+  assert.throws(
+    () => new Schedule({ quietDays: "someday" }),
+    /Invalid quiet day "someday"/
+  );
+});
+
+test("quiet weekdays and dates are skipped", () => {
+  const schedule = new Schedule({
+    schedule: "0 12 * * *",
+    timeZone: "UTC",
+    quietDays: "sat,sunday,2026-01-05",
+  });
+  // Friday 2026-01-02, then Tuesday 2026-01-06
+  assert.deepStrictEqual(
+    schedule.upcoming(2, at("2026-01-02T00:00:00Z")).map(iso),
+    ["2026-01-02T12:00:00.000Z", "2026-01-06T12:00:00.000Z"]
+  );
+  assert.strictEqual(schedule.isAllowed(at("2026-01-03T12:00:00Z")), false);
+});
+
+test("nextAllowed moves to the next window on a day that isn't quiet", () => {
+  const schedule = new Schedule({
+    timeZone: "UTC",
+    windows: "09:00-17:00",
+    quietDays: "sat,sun",
+  });
+  const inside = at("2026-01-05T10:00:00Z");
+  assert.strictEqual(schedule.nextAllowed(inside), inside);
+  // Friday evening waits for Monday morning
+  assert.strictEqual(
+    iso(schedule.nextAllowed(at("2026-01-09T18:00:00Z"))),
+    "2026-01-12T09:00:00.000Z"
+  );
+});
+
+test("jitter delays a post without leaving its window", () => {
+  const schedule = new Schedule({
+    schedule: "0 16 * * *",
+    timeZone: "UTC",
+    windows: "09:00-17:00",
+    jitterMinutes: 120,
+  });
+  for (let i = 0; i < 20; i++) {
+    const time = schedule.next(at("2026-01-05T00:00:00Z"));
+    assert.ok(time >= at("2026-01-05T16:00:00Z"));
+    assert.ok(time < at("2026-01-05T17:00:00Z"), iso(time));
+  }
+});
+
+test("a schedule that can never fire says so", () => {
+  const schedule = new Schedule({
+    schedule: "0 3 * * *",
+    timeZone: "UTC",
+    windows: "09:00-17:00",
+  });
+  assert.throws(() => schedule.next(), /never fires/);
+});
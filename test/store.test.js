@@ -0,0 +1,269 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const Database = require("better-sqlite3");
+const { StateStore } = require("../src/store");
+const { importLegacyState } = require("../src/legacyImport");
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "poster-test-"));
+  t.after(() => fs.removeSync(dir));
+  return dir;
+}
+
+const userVersion = (store) =>
+  store.db.pragma("user_version", { simple: true });
+
+// The tables of a version 1 database (the first SQLite release) that later
+// migrations change, with one item of each kind
+function createVersion1Database(dbFile) {
+  const db = new Database(dbFile);
+  db.exec(`
+    CREATE TABLE processed_items (
+      source TEXT NOT NULL,
+      item_id TEXT NOT NULL,
+      processed_at TEXT NOT NULL,
+      PRIMARY KEY (source, item_id)
+    );
+    CREATE TABLE failures (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL,
+      item_id TEXT NOT NULL,
+      publisher TEXT,
+      reason TEXT NOT NULL,
+      error TEXT,
+      failed_at TEXT NOT NULL
+    );
+    CREATE TABLE posts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL,
+      item_id TEXT NOT NULL,
+      publisher TEXT NOT NULL,
+      post_id TEXT NOT NULL,
+      url TEXT,
+      posted_at TEXT NOT NULL,
+      UNIQUE (source, item_id, publisher)
+    );
+    CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT);
+
+    INSERT INTO processed_items VALUES
+      ('@chan', '100_42_1700000000_1000_10', '2024-01-01T00:00:00.000Z'),
+      ('@chan', '100_album_999', '2024-01-01T00:00:00.000Z');
+    INSERT INTO failures (source, item_id, publisher, reason, failed_at) VALUES
+      ('@chan', '100_43_1700000000_1000_10', 'x', 'Too long', '2024-01-01T00:00:00.000Z');
+    INSERT INTO posts (source, item_id, publisher, post_id, url, posted_at) VALUES
+      ('@chan', '100_42_1700000000_1000_10', 'x', '555', 'https://x.com/i/555', '2024-01-01T00:00:00.000Z');
+    PRAGMA user_version = 1;
+  `);
+  db.close();
+}
+
+test("a new store runs every migration once", (t) => {
+  const dbFile = path.join(tempDir(t), "state", "poster.db");
+  const store = new StateStore(dbFile);
+  const version = userVersion(store);
+  assert.ok(version > 1);
+  store.markProcessed("@chan", "100_42_1700000000_1000_10", { messageId: 42 });
+  store.close();
+
+  // Reopening finds the schema current and leaves the data alone
+  const reopened = new StateStore(dbFile);
+  assert.strictEqual(userVersion(reopened), version);
+  assert.strictEqual(reopened.countProcessed("@chan"), 1);
+  reopened.close();
+});
+
+test("an old database is migrated forward with its data", (t) => {
+  const dbFile = path.join(tempDir(t), "poster.db");
+  createVersion1Database(dbFile);
+
+  const store = new StateStore(dbFile);
+  assert.ok(userVersion(store) > 1);
+
+  // Message IDs are filled in from the item IDs; albums don't have one
+  assert.deepStrictEqual(store.findProcessed("@chan", 42), [
+    "100_42_1700000000_1000_10",
+  ]);
+  const [failure] = store.listFailures({ id: 43 });
+  assert.strictEqual(failure.reason, "Too long");
+  assert.strictEqual(
+    store.db
+      .prepare("SELECT message_id FROM processed_items WHERE item_id = ?")
+      .get("100_album_999").message_id,
+    null
+  );
+
+  // Posts keep their IDs and become a history that undone posts stay in
+  const [post] = store.listPosts();
+  assert.strictEqual(post.id, 1);
+  assert.strictEqual(post.message_id, 42);
+  assert.strictEqual(post.post_id, "555");
+  store.markPostDeleted(post.id, "2024-01-02T00:00:00.000Z");
+  store.recordPost("@chan", "100_42_1700000000_1000_10", "x", { id: "556" });
+  assert.strictEqual(
+    store.getPosts("@chan", "100_42_1700000000_1000_10").x.id,
+    "556"
+  );
+  assert.strictEqual(
+    store.db.prepare("SELECT COUNT(*) AS count FROM posts").get().count,
+    2
+  );
+  store.close();
+});
+
+const sources = [
+  { name: "@first", slug: "first" },
+  { name: "@second", slug: "second" },
+];
+
+function writeJson(file, data) {
+  fs.outputJsonSync(file, data);
+}
+
+test("legacy JSON state is imported once per source", (t) => {
+  const stateDir = tempDir(t);
+  const firstDir = path.join(stateDir, "first");
+  writeJson(path.join(firstDir, "processed_videos.json"), {
+    videos: ["100_42_1700000000_1000_10", "100_album_7"],
+    lastUpdated: "2024-01-01T00:00:00.000Z",
+  });
+  writeJson(path.join(firstDir, "failed_videos.json"), [
+    "100_43_1700000000_1000_10",
+    JSON.stringify({
+      videoId: "100_44_1700000000_1000_10",
+      publisher: "bluesky",
+      reason: "Upload rejected",
+      timestamp: "2024-01-01T01:00:00.000Z",
+    }),
+  ]);
+  writeJson(path.join(firstDir, "video_offset.json"), { offset: 44 });
+  writeJson(path.join(firstDir, "published_posts.json"), {
+    posts: {
+      "100_42_1700000000_1000_10": {
+        x: { id: "555", url: "https://x.com/i/555", timestamp: "2024-01-01" },
+      },
+    },
+  });
+  // The older array format
+  writeJson(path.join(stateDir, "second", "processed_videos.json"), [
+    "200_9_1700000000_1000_10",
+  ]);
+
+  const store = new StateStore(path.join(stateDir, "poster.db"));
+  importLegacyState(store, sources, stateDir);
+
+  assert.strictEqual(store.countProcessed("@first"), 2);
+  assert.deepStrictEqual(store.findProcessed("@first", 42), [
+    "100_42_1700000000_1000_10",
+  ]);
+  assert.strictEqual(store.countProcessed("@second"), 1);
+
+  // Bare IDs have no timestamp, so they count as failing at import time
+  const failures = store.listFailures({ source: "@first" });
+  assert.deepStrictEqual(
+    failures.map(({ item_id, publisher, reason }) => ({
+      item_id,
+      publisher,
+      reason,
+    })),
+    [
+      {
+        item_id: "100_43_1700000000_1000_10",
+        publisher: null,
+        reason: "Imported legacy failure",
+      },
+      {
+        item_id: "100_44_1700000000_1000_10",
+        publisher: "bluesky",
+        reason: "Upload rejected",
+      },
+    ]
+  );
+  assert.strictEqual(store.getCursor("@first"), 44);
+  assert.strictEqual(
+    store.getPosts("@first", "100_42_1700000000_1000_10").x.id,
+    "555"
+  );
+
+  // Every file is renamed and every source marked done
+  assert.ok(
+    fs.existsSync(path.join(firstDir, "processed_videos.json.imported"))
+  );
+  assert.ok(!fs.existsSync(path.join(firstDir, "processed_videos.json")));
+  assert.ok(store.getMeta("legacy_import:first"));
+  assert.ok(store.getMeta("legacy_import:second"));
+  assert.ok(store.getMeta("legacy_import:global"));
+
+  // Files that show up again later are not imported a second time
+  writeJson(path.join(firstDir, "processed_videos.json"), [
+    "100_50_1700000000_1000_10",
+  ]);
+  importLegacyState(store, sources, stateDir);
+  assert.strictEqual(store.countProcessed("@first"), 2);
+  assert.ok(fs.existsSync(path.join(firstDir, "processed_videos.json")));
+  store.close();
+});
+
+test("only the first source falls back to files in the working directory", (t) => {
+  const stateDir = tempDir(t);
+  const cwd = process.cwd();
+  process.chdir(stateDir);
+  t.after(() => process.chdir(cwd));
+  writeJson("processed_videos.json", ["100_42_1700000000_1000_10"]);
+
+  const store = new StateStore(path.join(stateDir, "poster.db"));
+  importLegacyState(store, sources, "state");
+
+  assert.strictEqual(store.countProcessed("@first"), 1);
+  assert.strictEqual(store.countProcessed("@second"), 0);
+  assert.ok(fs.existsSync("processed_videos.json.imported"));
+  store.close();
+});
+
+test("the rotation and the retry queue are imported with the sources", (t) => {
+  const stateDir = tempDir(t);
+  writeJson(path.join(stateDir, "rotation.json"), { lastSource: "@second" });
+  writeJson(path.join(stateDir, "retry_queue.json"), {
+    entries: [
+      {
+        source: "@first",
+        videoId: "100_42_1700000000_1000_10",
+        publisher: "x",
+        messageId: 42,
+        attempts: 2,
+        reason: "Rate limited",
+        firstFailedAt: "2024-01-01T00:00:00.000Z",
+        nextAttemptAt: Date.parse("2024-01-01T01:00:00.000Z"),
+      },
+    ],
+    cooldowns: { x: Date.parse("2024-01-01T02:00:00.000Z") },
+  });
+
+  const store = new StateStore(path.join(stateDir, "poster.db"));
+  importLegacyState(store, sources, stateDir);
+
+  assert.strictEqual(store.getMeta("rotation.lastSource"), "@second");
+  const [retry] = store.listRetries("@first");
+  assert.strictEqual(retry.attempts, 2);
+  assert.strictEqual(retry.message_id, 42);
+  assert.strictEqual(retry.next_attempt_at, "2024-01-01T01:00:00.000Z");
+  assert.strictEqual(store.getCooldown("x"), "2024-01-01T02:00:00.000Z");
+  assert.ok(fs.existsSync(path.join(stateDir, "retry_queue.json.imported")));
+  store.close();
+});
+
+test("an unreadable legacy file is skipped, not retried forever", (t) => {
+  const stateDir = tempDir(t);
+  const file = path.join(stateDir, "first", "processed_videos.json");
+  fs.outputFileSync(file, "{ not json");
+
+  const store = new StateStore(path.join(stateDir, "poster.db"));
+  importLegacyState(store, sources, stateDir);
+
+  assert.strictEqual(store.countProcessed("@first"), 0);
+  assert.ok(store.getMeta("legacy_import:first"));
+  assert.ok(fs.existsSync(`${file}.imported`));
+  store.close();
+});
@@ -0,0 +1,136 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { splitIntoThread, CaptionRules } = require("../src/captionRules");
+const { Publisher } = require("../src/publishers/publisher");
+
+const under = (limit) => (text) => [...text].length <= limit;
+
+// Posts go to an array instead of an API; replies fail from `failAt` on
+class FakePublisher extends Publisher {
+  constructor({ maxLength = 50, threadLength = 1, failAt = Infinity } = {}) {
+    super("fake", "Fake", { maxLength, threadLength });
+    this.failAt = failAt;
+    this.sent = [];
+  }
+
+  async prepare(media) {
+    return media;
+  }
+
+  async uploadMedia() {
+    return ["media-1"];
+  }
+
+  async post(text, mediaIds) {
+    this.sent.push({ text, mediaIds });
+    return { id: "p1", url: "https://fake/p1" };
+  }
+
+  async reply(text, inReplyToId) {
+    if (this.sent.length >= this.failAt) throw new Error("reply refused");
+    this.sent.push({ text, inReplyToId });
+    return { id: `p${this.sent.length}` };
+  }
+}
+
+const sentences = (count) =>
+  Array.from({ length: count }, (_, i) => `Sentence number ${i + 1}.`).join(
+    " "
+  );
+
+test("splitIntoThread leaves text that fits in one post alone", () => {
+  assert.deepStrictEqual(splitIntoThread("One post.", under(50)), [
+    "One post.",
+  ]);
+});
+
+test("splitIntoThread packs whole sentences into numbered posts", () => {
+  const posts = splitIntoThread(sentences(6), under(50));
+  assert.deepStrictEqual(posts, [
+    "Sentence number 1. Sentence number 2. 1/3",
+    "Sentence number 3. Sentence number 4. 2/3",
+    "Sentence number 5. Sentence number 6. 3/3",
+  ]);
+});
+
+test("splitIntoThread keeps every post within the limit, markers included", () => {
+  const posts = splitIntoThread(sentences(40), under(30));
+  assert.ok(posts.length >= 10);
+  for (const [index, post] of posts.entries()) {
+    assert.ok([...post].length <= 30, post);
+    assert.ok(post.endsWith(` ${index + 1}/${posts.length}`), post);
+  }
+});
+
+test("splitIntoThread splits a sentence longer than a post between words", () => {
+  const long = "word ".repeat(30).trim() + ".";
+  const posts = splitIntoThread(long, under(40));
+  assert.ok(posts.length > 1);
+  for (const post of posts) {
+    assert.ok([...post].length <= 40, post);
+    assert.match(post, /^(word ?)+\.? \d+\/\d+$/);
+  }
+});
+
+test("a publisher without threads shortens the caption to one post", () => {
+  const publisher = new FakePublisher({ maxLength: 50 });
+  const posts = publisher.formatPosts(sentences(6));
+  assert.strictEqual(posts.length, 1);
+  assert.ok(posts[0].endsWith("..."));
+  assert.ok(posts[0].length <= 50);
+});
+
+test("a publisher with threads splits instead, up to its thread length", () => {
+  const publisher = new FakePublisher({ maxLength: 50, threadLength: 3 });
+  assert.strictEqual(publisher.formatPosts(sentences(6)).length, 3);
+  assert.strictEqual(publisher.fitsText(sentences(6)), true);
+
+  // Too long even for three posts: shortened, then split
+  assert.strictEqual(publisher.fitsText(sentences(20)), false);
+  const posts = publisher.formatPosts(sentences(20));
+  assert.ok(posts.length <= 3);
+  assert.match(posts[posts.length - 1], /\.\.\. \d\/\d$/);
+});
+
+test("publish posts the media first and replies with the rest", async () => {
+  const publisher = new FakePublisher({ maxLength: 50, threadLength: 3 });
+  const result = await publisher.publish([{ kind: "video" }], sentences(6));
+
+  assert.deepStrictEqual(result.threadIds, ["p1", "p2", "p3"]);
+  assert.deepStrictEqual(publisher.sent[0].mediaIds, ["media-1"]);
+  assert.strictEqual(publisher.sent[1].inReplyToId, "p1");
+  assert.strictEqual(publisher.sent[2].inReplyToId, "p2");
+  assert.strictEqual(result.incomplete, undefined);
+});
+
+test("publish reports a thread cut short by a failed reply", async () => {
+  const publisher = new FakePublisher({
+    maxLength: 50,
+    threadLength: 3,
+    failAt: 2,
+  });
+  const result = await publisher.publish([{ kind: "video" }], sentences(6));
+
+  assert.deepStrictEqual(result.threadIds, ["p1", "p2"]);
+  assert.strictEqual(result.incomplete.posted, 2);
+  assert.strictEqual(result.incomplete.total, 3);
+  assert.strictEqual(result.incomplete.error.message, "reply refused");
+});
+
+test("caption rules fit the caption to each publisher separately", () => {
+  const rules = new CaptionRules({ suffix: "via {channel}", timeZone: "UTC" });
+  const message = { channel: "@chan", date: 1700000000, messageId: 1 };
+  const threaded = new FakePublisher({ maxLength: 50, threadLength: 4 });
+  const single = new FakePublisher({ maxLength: 50 });
+
+  const full = rules.apply(sentences(6), message);
+  assert.strictEqual(full, `${sentences(6)} via @chan`);
+
+  // The thread keeps the whole caption
+  assert.strictEqual(rules.apply(sentences(6), message, threaded), full);
+
+  // A single post shortens the caption itself and keeps the suffix
+  const fitted = rules.apply(sentences(6), message, single);
+  assert.ok(fitted.length <= 50);
+  assert.ok(fitted.endsWith("... via @chan"), fitted);
+});